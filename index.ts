@@ -3,75 +3,289 @@ import { join } from "path";
 import { readFileSync, existsSync } from "fs";
 import { AuthController } from "./src/auth/AuthController.ts";
 import { CalendarService } from "./src/services/CalendarService.ts";
-import { CacheManager } from "./src/services/CacheManager.ts";
+import { CacheManager, type UserProfile } from "./src/services/CacheManager.ts";
+import { SyncService } from "./src/services/SyncService.ts";
+import { TokenEncryptionError } from "./src/services/TokenCipher.ts";
+import { EventBroadcaster } from "./src/services/EventBroadcaster.ts";
+import { loadConfig, ConfigError, type AppConfig } from "./src/config/Config.ts";
+import { SessionManager } from "./src/auth/SessionManager.ts";
+import { IcsRenderer } from "./src/services/IcsRenderer.ts";
+import { TimelineService } from "./src/services/TimelineService.ts";
+import { ReminderService } from "./src/services/ReminderService.ts";
+import { metrics } from "./src/services/Metrics.ts";
+import { RefreshScheduler } from "./src/services/RefreshScheduler.ts";
+import { SubscriptionService } from "./src/services/SubscriptionService.ts";
+import { FreeBusyService } from "./src/services/FreeBusyService.ts";
+import { SearchService } from "./src/services/SearchService.ts";
+import { KioskService } from "./src/services/KioskService.ts";
+import { randomBytes } from "crypto";
+import { secretsMatch } from "./src/utils/secrets.ts";
+import { formatLastUpdate, resolveLocale, resolveTimeZone } from "./src/utils/time.ts";
+import { parseEventRange } from "./src/utils/eventRange.ts";
 
-const PORT = parseInt(process.env.PORT || "3000");
+// Load configuration
+let config: AppConfig;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (error instanceof ConfigError) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  throw error;
+}
 
 // Initialize services
-const cacheManager = new CacheManager();
-const authController = new AuthController(cacheManager);
-const calendarService = new CalendarService();
+let cacheManager: CacheManager;
+try {
+  cacheManager = new CacheManager(config.dataDir);
+} catch (error) {
+  if (error instanceof TokenEncryptionError) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  throw error;
+}
+const authController = new AuthController(cacheManager, config);
+const calendarService = new CalendarService(cacheManager, authController, config.timeZone);
+calendarService.registerFixtureAccounts(config.fixtures);
+const syncService = new SyncService(cacheManager, authController, calendarService);
+const broadcaster = new EventBroadcaster();
+const sessionManager = new SessionManager(cacheManager, config);
+const icsRenderer = new IcsRenderer();
+const timelineService = new TimelineService(cacheManager, syncService);
+const reminderService = new ReminderService(cacheManager);
+const freeBusyService = new FreeBusyService(cacheManager, calendarService, config.workingHours);
+const searchService = new SearchService(cacheManager, calendarService);
+const kioskService = new KioskService(cacheManager);
 
-// Set up background refresh
-let refreshInterval: Timer;
+// Accounts signed in from a bound dashboard session become visible to that session
+authController.onAccountAdded((userId, sessionId) => {
+  if (sessionId) {
+    sessionManager.bindAccount(sessionId, userId);
+  }
+});
 
-function setupBackgroundRefresh() {
-  if (refreshInterval) {
-    clearInterval(refreshInterval);
+// Background refresh, every account runs on its own schedule
+const refreshScheduler = new RefreshScheduler(syncService, config.refresh, config.notifications.fallbackPollSeconds);
+
+refreshScheduler.onRefreshed((result) => {
+  const { userId } = result;
+  if (result.success) {
+    console.log(`✓ Background refresh completed for user ${userId}${result.fullResync ? ' (full sync)' : ''}`);
+  } else if (result.reason === 'no_token') {
+    console.log(`⚠ No valid token for user ${userId}`);
+  } else {
+    console.error(`✗ Background refresh failed for user ${userId}:`, result.error || result.reason);
   }
-  
-  // Random interval between 50-70 seconds (60±10)
-  const randomInterval = 50000 + Math.random() * 20000;
-  
-  refreshInterval = setInterval(async () => {
-    try {
-      const users = cacheManager.getAllUsers();
-      console.log(`Starting background refresh for ${users.length} users...`);
-      
-      // Refresh all users' data in parallel for better performance
-      const refreshPromises = users.map(async (userId) => {
-        try {
-          const accessToken = await authController.getValidAccessToken(userId);
-          if (accessToken) {
-            const events = await calendarService.getTodayEvents(accessToken);
-            cacheManager.cacheEvents(userId, events);
-            console.log(`✓ Background refresh completed for user ${userId}`);
-            return { userId, success: true, eventCount: events.length };
-          } else {
-            console.log(`⚠ No valid token for user ${userId}`);
-            return { userId, success: false, reason: 'no_token' };
-          }
-        } catch (error) {
-          console.error(`✗ Background refresh failed for user ${userId}:`, error);
-          return { userId, success: false, reason: 'error', error: error.message };
-        }
-      });
-      
-      const results = await Promise.allSettled(refreshPromises);
-      const successCount = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-      console.log(`Background refresh completed: ${successCount}/${users.length} users updated`);
-      
-    } catch (error) {
-      console.error("Background refresh error:", error);
-    }
-    
-    // Set up next random interval
-    setupBackgroundRefresh();
-  }, randomInterval);
-  
-  console.log(`📅 Next background refresh scheduled in ${Math.round(randomInterval / 1000)} seconds`);
-}
+
+  // Push the outcome to connected browsers right away
+  if (result.success) {
+    broadcaster.publish("events", userId, {
+      userId,
+      events: cacheManager.getCachedEvents(userId) || [],
+      timestamp: cacheManager.getCacheTimestamp(userId)
+    });
+  }
+  const profile = cacheManager.getUserProfile(userId);
+  if (profile) {
+    broadcaster.publishLocalized("status", userId, locale => getUserStatus(profile, locale));
+  }
+});
 
 // Start background refresh
-setupBackgroundRefresh();
+for (const userId of cacheManager.getAllUsers()) {
+  refreshScheduler.add(userId);
+}
+
+// Change notifications trigger refreshes as soon as Graph reports a change
+const subscriptionService = new SubscriptionService(cacheManager, calendarService, refreshScheduler, config);
+subscriptionService.start();
+
+// New accounts join the background refresh, paused ones resume after signing in again
+authController.onAccountAdded((userId) => {
+  refreshScheduler.add(userId);
+  subscriptionService.ensureSubscription(userId);
+});
+
+// Cache state is read when /metrics is scraped
+metrics.registry.addCollector(() => {
+  const users = cacheManager.getAllUsers();
+  metrics.accounts.set({}, users.length);
+  metrics.streamClients.set({}, broadcaster.getClientCount());
+
+  metrics.cacheAge.reset();
+  metrics.cachedEvents.reset();
+  for (const userId of users) {
+    const timestamp = cacheManager.getCacheTimestamp(userId);
+    if (timestamp) {
+      metrics.cacheAge.set({ user_id: userId }, Math.round((Date.now() - timestamp) / 1000));
+    }
+    metrics.cachedEvents.set({ user_id: userId }, cacheManager.getCachedEvents(userId)?.length || 0);
+  }
+
+  metrics.refreshFailures.reset();
+  metrics.refreshPaused.reset();
+  for (const [userId, state] of refreshScheduler.getStates()) {
+    metrics.refreshFailures.set({ user_id: userId }, state.consecutiveFailures);
+    metrics.refreshPaused.set({ user_id: userId }, state.status === 'paused' ? 1 : 0);
+  }
+});
 
 const server = serve({
-  port: PORT,
+  hostname: config.server.host,
+  port: config.server.port,
+  // Long enough for the SSE heartbeat to keep /api/stream connections open
+  idleTimeout: 30,
   async fetch(req) {
     const url = new URL(req.url);
     const path = url.pathname;
 
     try {
+      // The login page, its message catalog and dashboard session routes are reachable without a session
+      if (path === "/login" || path === "/login.html") {
+        return serveStaticFile("public/login.html");
+      }
+
+      if (path === "/i18n.js") {
+        return serveStaticFile("public/i18n.js");
+      }
+
+      if (path === "/api/session") {
+        const session = sessionManager.getSession(req);
+        return new Response(JSON.stringify({
+          accessControl: sessionManager.isEnabled(),
+          authenticated: !!session,
+          restricted: !!session && session.accountIds !== null
+        }), {
+          headers: { "Content-Type": "application/json" }
+        });
+      }
+
+      if (path === "/api/session/login" && req.method === "POST") {
+        const body = await req.json().catch(() => ({}));
+        const session = sessionManager.login({ password: body.password, token: body.token });
+        if (!session) {
+          // Slow down guessing
+          await new Promise(resolve => setTimeout(resolve, 1000));
+          return new Response(JSON.stringify({ error: "Invalid password or token", code: "invalid_credentials" }), {
+            status: 401,
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+        return new Response(JSON.stringify({ success: true }), {
+          headers: {
+            "Content-Type": "application/json",
+            "Set-Cookie": sessionManager.createCookie(session)
+          }
+        });
+      }
+
+      if (path === "/api/session/logout" && req.method === "POST") {
+        const session = sessionManager.getSession(req);
+        if (session) {
+          sessionManager.logout(session);
+        }
+        return new Response(JSON.stringify({ success: true }), {
+          headers: {
+            "Content-Type": "application/json",
+            "Set-Cookie": sessionManager.clearCookie()
+          }
+        });
+      }
+
+      // Scrapers authenticate with the metrics token, otherwise a dashboard session is needed
+      if (path === "/metrics" && config.metrics.enabled) {
+        const authorization = req.headers.get("Authorization") || "";
+        const authorized = config.metrics.token
+          ? authorization.startsWith("Bearer ") && secretsMatch(authorization.slice(7), config.metrics.token)
+          : !!sessionManager.getSession(req);
+        if (!authorized) {
+          return new Response("Unauthorized", { status: 401 });
+        }
+        return new Response(metrics.registry.render(), {
+          headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }
+        });
+      }
+
+      // Graph change notifications are authenticated by the subscription's clientState
+      if (path === "/api/graph/notifications" && subscriptionService.isEnabled()) {
+        return subscriptionService.handleNotification(req, url);
+      }
+
+      // ICS feeds are protected by their own per-account secret so calendar apps can subscribe
+      if (path === "/api/calendar.ics") {
+        const userId = url.searchParams.get("userId");
+        const token = url.searchParams.get("token");
+        const profile = userId ? cacheManager.getUserProfile(userId) : undefined;
+        const feedToken = userId ? cacheManager.getUserSettings(userId).feedToken : undefined;
+        if (!profile || !feedToken || !token || !secretsMatch(token, feedToken)) {
+          return new Response("Not Found", { status: 404 });
+        }
+
+        const calendar = icsRenderer.renderCalendar(
+          profile,
+          cacheManager.getAllCachedEvents(profile.id),
+          calendarService.getTimeZone(profile.id)
+        );
+        return new Response(calendar, {
+          headers: {
+            "Content-Type": "text/calendar; charset=utf-8",
+            "Content-Disposition": `inline; filename="calendar.ics"`,
+            "Cache-Control": "no-cache"
+          }
+        });
+      }
+
+      // The kiosk display is read-only and opens with a dashboard session or a kiosk token
+      if (path === "/kiosk" || path === "/kiosk.html") {
+        if (!sessionManager.getKioskAccess(req, url.searchParams.get("token"))) {
+          return Response.redirect(`/login?next=${encodeURIComponent(path + url.search)}`);
+        }
+        return serveStaticFile("public/kiosk.html");
+      }
+
+      if (path === "/api/kiosk") {
+        const access = sessionManager.getKioskAccess(req, url.searchParams.get("token"));
+        if (!access) {
+          return new Response(JSON.stringify({ error: "Unauthorized" }), {
+            status: 401,
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+        if (req.method !== "GET") {
+          return new Response("Method Not Allowed", { status: 405 });
+        }
+
+        const accessible = sessionManager.filterUsers(access, cacheManager.getAllUserProfiles());
+        const requested = url.searchParams.get("userIds")?.split(",").filter(Boolean);
+        if (requested && requested.some(userId => !accessible.some(account => account.id === userId))) {
+          return forbiddenResponse();
+        }
+
+        const profiles = requested
+          ? requested.map(userId => accessible.find(account => account.id === userId)!)
+          : accessible;
+        return new Response(JSON.stringify({
+          now: new Date().toISOString(),
+          accounts: profiles.map(profile => kioskService.getStatus(profile))
+        }), {
+          headers: { "Content-Type": "application/json", "Cache-Control": "no-store" }
+        });
+      }
+
+      // Everything below requires a dashboard session
+      const session = sessionManager.getSession(req);
+      if (!session) {
+        if (path.startsWith("/api/")) {
+          return new Response(JSON.stringify({ error: "Unauthorized", loginRequired: true }), {
+            status: 401,
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+        return Response.redirect(`/login?next=${encodeURIComponent(path + url.search)}`);
+      }
+
       // Auth callback route (outside of /api/ prefix)
       if (path === "/auth/callback") {
         const code = url.searchParams.get("code");
@@ -85,9 +299,21 @@ const server = serve({
       // API Routes
       if (path.startsWith("/api/")) {
         if (path === "/api/login") {
-          return authController.initiateLogin();
+          return authController.initiateLogin(sessionManager.isEnabled() ? session.id : undefined);
         }
         
+        if (path === "/api/device-login" && req.method === "POST") {
+          return await authController.startDeviceLogin(sessionManager.isEnabled() ? session.id : undefined);
+        }
+
+        if (path === "/api/device-login/poll") {
+          const flowId = url.searchParams.get("flowId");
+          if (!flowId) {
+            return new Response("Missing flowId", { status: 400 });
+          }
+          return await authController.pollDeviceLogin(flowId, sessionManager.isEnabled() ? session.id : undefined);
+        }
+
         if (path === "/api/callback") {
           const code = url.searchParams.get("code");
           const state = url.searchParams.get("state");
@@ -99,8 +325,14 @@ const server = serve({
         
         if (path === "/api/logout") {
           const userId = url.searchParams.get("userId");
+          if (userId && !sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
           if (userId) {
+            await subscriptionService.removeSubscription(userId);
+            refreshScheduler.remove(userId);
             cacheManager.clearUserData(userId);
+            broadcaster.publish("removed", userId, { userId });
           }
           return new Response(JSON.stringify({ success: true }), {
             headers: { "Content-Type": "application/json" }
@@ -112,10 +344,52 @@ const server = serve({
           if (!userId) {
             return new Response("Missing userId", { status: 400 });
           }
+          if (!sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
+
+          // New event from the form, or a focus block in the next free slot
+          if (req.method === "POST") {
+            if (!cacheManager.getUserProfile(userId)) {
+              return new Response("Unknown userId", { status: 400 });
+            }
+            try {
+              const body = await req.json().catch(() => ({}));
+              const result = body.blockMinutes !== undefined
+                ? await calendarService.blockNextFreeSlot(userId, body.blockMinutes)
+                : await calendarService.createEvent(userId, body);
+              if ("error" in result) {
+                return new Response(JSON.stringify({ error: result.error, consentRequired: result.consentRequired }), {
+                  status: result.status,
+                  headers: { "Content-Type": "application/json" }
+                });
+              }
+
+              refreshScheduler.refreshNow(userId);
+              return new Response(JSON.stringify({ event: result }), {
+                status: 201,
+                headers: { "Content-Type": "application/json" }
+              });
+            } catch (error) {
+              console.error("Create event error:", error);
+              return new Response(JSON.stringify({ error: "Failed to create the event" }), {
+                status: 502,
+                headers: { "Content-Type": "application/json" }
+              });
+            }
+          }
+          
+          const range = parseEventRange(url.searchParams, calendarService.getTimeZone(userId));
+          if ("error" in range) {
+            return new Response(JSON.stringify({ error: range.error }), {
+              status: 400,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
           
           try {
-            const accessToken = await authController.getValidAccessToken(userId);
-            if (!accessToken) {
+            const provider = await calendarService.getProvider(userId);
+            if (!provider) {
               return new Response(JSON.stringify({ error: "Not authenticated" }), {
                 status: 401,
                 headers: { "Content-Type": "application/json" }
@@ -124,15 +398,27 @@ const server = serve({
             
             // Try to get fresh data, fall back to cache
             let events;
-            try {
-              events = await calendarService.getTodayEvents(accessToken);
-              cacheManager.cacheEvents(userId, events);
-            } catch (error) {
-              console.log("Failed to fetch fresh events, using cache:", error);
+            if (range.isToday) {
+              // Accounts in backoff or throttled are served from cache until the scheduler retries them
+              const result = await refreshScheduler.refreshOnDemand(userId);
+              if (result && !result.success) {
+                console.log("Failed to sync fresh events, using cache:", result.error);
+              }
               events = cacheManager.getCachedEvents(userId) || [];
+            } else {
+              try {
+                events = await provider.getEvents(range.start, range.end, calendarService.getSelectedCalendarIds(userId));
+                cacheManager.cacheEventsForRange(userId, range.start, range.end, events);
+              } catch (error) {
+                console.log("Failed to fetch fresh events for range, using cache:", error);
+                events = cacheManager.getCachedEventsForRange(userId, range.start, range.end) || [];
+              }
             }
             
-            return new Response(JSON.stringify({ events }), {
+            return new Response(JSON.stringify({ 
+              events,
+              range: { start: range.start.toISOString(), end: range.end.toISOString() }
+            }), {
               headers: { "Content-Type": "application/json" }
             });
           } catch (error) {
@@ -144,46 +430,367 @@ const server = serve({
           }
         }
         
+        // Search the events of the accounts the session can see, optionally limited to a range and userIds
+        if (path === "/api/search") {
+          const query = (url.searchParams.get("q") || "").trim();
+          const limit = parseInt(url.searchParams.get("limit") || "50");
+          if (query.length < 2 || query.length > 200 || isNaN(limit) || limit < 1 || limit > 100) {
+            return new Response(JSON.stringify({ error: "q must be 2 to 200 characters and limit between 1 and 100" }), {
+              status: 400,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+
+          // Without start, end or days every cached event is searched
+          const hasRange = ["start", "end", "days"].some(name => url.searchParams.has(name));
+          const range = hasRange ? parseEventRange(url.searchParams, config.timeZone) : {};
+          if ("error" in range) {
+            return new Response(JSON.stringify({ error: range.error }), {
+              status: 400,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+
+          const accessible = sessionManager.filterUsers(session, cacheManager.getAllUserProfiles()).map(account => account.id);
+          const requested = url.searchParams.get("userIds")?.split(",").filter(Boolean);
+          if (requested && requested.some(userId => !accessible.includes(userId))) {
+            return forbiddenResponse();
+          }
+
+          try {
+            const result = await searchService.search(requested || accessible, query, range, limit);
+            return new Response(JSON.stringify({ query, ...result }), {
+              headers: { "Content-Type": "application/json" }
+            });
+          } catch (error) {
+            console.error("Search API error:", error);
+            return new Response(JSON.stringify({ error: "Search failed" }), {
+              status: 500,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+        }
+
+        // Time that is free in every account, within working hours
+        if (path === "/api/free-slots") {
+          const timeZone = resolveTimeZone(url.searchParams.get("timeZone") || config.timeZone);
+          const minutes = parseInt(url.searchParams.get("minutes") || "30");
+          if (!timeZone || isNaN(minutes) || minutes < 5 || minutes > 480) {
+            return new Response(JSON.stringify({ error: "timeZone must be an IANA time zone and minutes between 5 and 480" }), {
+              status: 400,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+
+          // This week unless a range is given
+          const params = new URLSearchParams(url.searchParams);
+          if (!params.has("start") && !params.has("end") && !params.has("days")) {
+            params.set("days", "7");
+          }
+          const range = parseEventRange(params, timeZone);
+          if ("error" in range) {
+            return new Response(JSON.stringify({ error: range.error }), {
+              status: 400,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+
+          const accessible = sessionManager.filterUsers(session, cacheManager.getAllUserProfiles()).map(account => account.id);
+          const requested = url.searchParams.get("userIds")?.split(",").filter(Boolean);
+          if (requested && requested.some(userId => !accessible.includes(userId))) {
+            return forbiddenResponse();
+          }
+
+          try {
+            const result = await freeBusyService.findFreeSlots(requested || accessible, range.start, range.end, minutes, timeZone);
+            return new Response(JSON.stringify({
+              ...result,
+              minutes,
+              timeZone,
+              workingHours: freeBusyService.getWorkingHours(),
+              range: { start: range.start.toISOString(), end: range.end.toISOString() }
+            }), {
+              headers: { "Content-Type": "application/json" }
+            });
+          } catch (error) {
+            console.error("Free slots API error:", error);
+            return new Response(JSON.stringify({ error: "Failed to find free slots" }), {
+              status: 500,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+        }
+
+        // All accounts of the session in one timeline, with cross-account double-bookings flagged
+        if (path === "/api/events/merged") {
+          const range = parseEventRange(url.searchParams, config.timeZone);
+          if ("error" in range) {
+            return new Response(JSON.stringify({ error: range.error }), {
+              status: 400,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+
+          try {
+            const accounts = sessionManager.filterUsers(session, cacheManager.getAllUserProfiles());
+            const timeline = await timelineService.getMergedTimeline(
+              accounts.map(account => account.id),
+              range.start,
+              range.end,
+              range.isToday
+            );
+
+            return new Response(JSON.stringify({
+              events: timeline.events,
+              conflictCount: timeline.conflictCount,
+              accounts,
+              range: { start: range.start.toISOString(), end: range.end.toISOString() }
+            }), {
+              headers: { "Content-Type": "application/json" }
+            });
+          } catch (error) {
+            console.error("Merged events API error:", error);
+            return new Response(JSON.stringify({ error: "Failed to build merged timeline" }), {
+              status: 500,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+        }
+
         if (path === "/api/users") {
-          const users = cacheManager.getAllUserProfiles();
+          const users = sessionManager.filterUsers(session, cacheManager.getAllUserProfiles()).map(user => ({
+            ...user,
+            calendars: calendarService.getSelectedCalendars(user.id),
+            timeZone: calendarService.getTimeZone(user.id),
+            timeZoneOverride: !!cacheManager.getUserSettings(user.id).timeZone,
+            provider: calendarService.getProviderType(user.id),
+            writeAccess: authController.hasWriteAccess(user.id)
+          }));
           return new Response(JSON.stringify({ users }), {
             headers: { "Content-Type": "application/json" }
           });
         }
 
         if (path === "/api/users/status") {
-          const users = cacheManager.getAllUserProfiles();
-          const userStatus = users.map(user => {
-            const tokenData = cacheManager.getTokenData(user.id);
-            const isExpired = cacheManager.isTokenExpired(user.id);
-            const cachedEvents = cacheManager.getCachedEvents(user.id);
-            const cacheValid = cacheManager.isCacheValid(user.id);
-            const lastUpdateTimestamp = cacheManager.getCacheTimestamp(user.id);
-            
-            return {
-              id: user.id,
-              name: user.name,
-              email: user.email,
-              hasToken: !!tokenData?.accessToken,
-              tokenExpired: isExpired,
-              eventCount: cachedEvents?.length || 0,
-              cacheValid,
-              lastUpdate: lastUpdateTimestamp ? new Date(lastUpdateTimestamp).toISOString() : null,
-              lastUpdateRelative: lastUpdateTimestamp ? 
-                getRelativeTime(lastUpdateTimestamp) : 'Never'
-            };
-          });
+          const users = sessionManager.filterUsers(session, cacheManager.getAllUserProfiles());
+          const locale = resolveLocale(url.searchParams.get("lang"), req.headers.get("Accept-Language"));
+          const userStatus = users.map(user => getUserStatus(user, locale));
           
           return new Response(JSON.stringify({ userStatus }), {
             headers: { "Content-Type": "application/json" }
           });
         }
 
+        if (path === "/api/stream") {
+          // Optional userId limits the stream to one account, otherwise all accounts are streamed
+          const userId = url.searchParams.get("userId");
+          if (userId && !sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
+          // Re-read the session before each message so a logout or expiry ends the stream
+          let streamSession = session;
+          const isOpen = () => {
+            const refreshed = sessionManager.refreshSession(streamSession);
+            if (refreshed) {
+              streamSession = refreshed;
+            }
+            return refreshed !== null;
+          };
+          const canReceive = (id: string) => (!userId || id === userId) && sessionManager.canAccessUser(streamSession, id);
+          const locale = resolveLocale(url.searchParams.get("lang"), req.headers.get("Accept-Language"));
+          const users = cacheManager.getAllUserProfiles().filter(user => canReceive(user.id));
+          const initialMessages = users.map(user => ({
+            type: "status",
+            data: getUserStatus(user, locale)
+          }));
+          return broadcaster.createStream(canReceive, initialMessages, { isOpen, locale });
+        }
+
+        if (path === "/api/feed" || path === "/api/feed/rotate") {
+          const userId = url.searchParams.get("userId");
+          if (!userId || !cacheManager.getUserProfile(userId)) {
+            return new Response("Missing or unknown userId", { status: 400 });
+          }
+          if (!sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
+
+          if (path === "/api/feed/rotate" && req.method === "POST") {
+            // Issuing a new secret invalidates every previously shared feed URL
+            cacheManager.updateUserSettings(userId, { feedToken: randomBytes(24).toString("base64url") });
+          } else if (path === "/api/feed" && req.method === "DELETE") {
+            cacheManager.updateUserSettings(userId, { feedToken: undefined });
+          }
+
+          const feedToken = cacheManager.getUserSettings(userId).feedToken;
+          const feedUrl = feedToken
+            ? `${config.server.publicBaseUrl}/api/calendar.ics?userId=${encodeURIComponent(userId)}&token=${feedToken}`
+            : null;
+          return new Response(JSON.stringify({ feedUrl }), {
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+
+        // Upcoming reminders of every account, scheduled as notifications by the service worker
+        if (path === "/api/reminders") {
+          const users = sessionManager.filterUsers(session, cacheManager.getAllUserProfiles());
+          return new Response(JSON.stringify({ reminders: reminderService.getUpcomingReminders(users) }), {
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+
+        if (path === "/api/reminders/settings") {
+          const userId = url.searchParams.get("userId");
+          if (!userId || !cacheManager.getUserProfile(userId)) {
+            return new Response("Missing or unknown userId", { status: 400 });
+          }
+          if (!sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
+
+          if (req.method === "PUT") {
+            const body = await req.json().catch(() => ({}));
+            const result = reminderService.setLeadMinutes(userId, body.leadMinutes);
+            if ("error" in result) {
+              return new Response(JSON.stringify({ error: result.error }), {
+                status: 400,
+                headers: { "Content-Type": "application/json" }
+              });
+            }
+          }
+
+          return new Response(JSON.stringify({ leadMinutes: reminderService.getLeadMinutes(userId) }), {
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+
+        // Responding to invitations needs Calendars.ReadWrite, accounts opt in one by one
+        if (path === "/api/consent/write") {
+          const userId = url.searchParams.get("userId");
+          if (!userId || !cacheManager.getUserProfile(userId)) {
+            return new Response("Missing or unknown userId", { status: 400 });
+          }
+          if (!sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
+
+          if (req.method === "DELETE") {
+            authController.disableWriteAccess(userId);
+            return new Response(JSON.stringify({ writeAccess: false }), {
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+          if (calendarService.getProviderType(userId) !== "graph") {
+            return new Response("Fixture accounts are read-only", { status: 400 });
+          }
+          return authController.initiateWriteConsent(userId, sessionManager.isEnabled() ? session.id : undefined);
+        }
+
+        const respondMatch = path.match(/^\/api\/events\/([^/]+)\/respond$/);
+        if (respondMatch && req.method === "POST") {
+          const userId = url.searchParams.get("userId");
+          if (!userId || !cacheManager.getUserProfile(userId)) {
+            return new Response("Missing or unknown userId", { status: 400 });
+          }
+          if (!sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
+
+          try {
+            const body = await req.json().catch(() => ({}));
+            const result = await calendarService.respondToEvent(
+              userId,
+              decodeURIComponent(respondMatch[1]),
+              body.response,
+              body.comment,
+              body.sendResponse !== false
+            );
+            if ("error" in result) {
+              return new Response(JSON.stringify({ error: result.error, consentRequired: result.consentRequired }), {
+                status: result.status,
+                headers: { "Content-Type": "application/json" }
+              });
+            }
+
+            // Dashboards of other browsers pick up the response with the refresh
+            refreshScheduler.refreshNow(userId);
+            return new Response(JSON.stringify({ success: true, response: result.response }), {
+              headers: { "Content-Type": "application/json" }
+            });
+          } catch (error) {
+            console.error("Event response error:", error);
+            return new Response(JSON.stringify({ error: "Failed to send the response" }), {
+              status: 502,
+              headers: { "Content-Type": "application/json" }
+            });
+          }
+        }
+
+        if (path === "/api/calendars") {
+          const userId = url.searchParams.get("userId");
+          if (!userId || !cacheManager.getUserProfile(userId)) {
+            return new Response("Missing or unknown userId", { status: 400 });
+          }
+          if (!sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
+
+          if (req.method === "PUT") {
+            const body = await req.json().catch(() => ({}));
+            const result = await calendarService.setSelectedCalendars(userId, body.calendars);
+            if ("error" in result) {
+              return new Response(JSON.stringify({ error: result.error }), {
+                status: 400,
+                headers: { "Content-Type": "application/json" }
+              });
+            }
+            // Pick up the new selection without waiting for the next scheduled refresh
+            refreshScheduler.refreshNow(userId);
+          }
+
+          return new Response(JSON.stringify({ calendars: await calendarService.getCalendarOptions(userId) }), {
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+
+        if (path === "/api/timezone") {
+          const userId = url.searchParams.get("userId");
+          if (!userId || !cacheManager.getUserProfile(userId)) {
+            return new Response("Missing or unknown userId", { status: 400 });
+          }
+          if (!sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
+
+          if (req.method === "PUT") {
+            const body = await req.json().catch(() => ({}));
+            const result = calendarService.setTimeZone(userId, body.timeZone);
+            if (typeof result !== "string") {
+              return new Response(JSON.stringify({ error: result.error }), {
+                status: 400,
+                headers: { "Content-Type": "application/json" }
+              });
+            }
+            // Today's window moves with the zone, refetch it right away
+            refreshScheduler.refreshNow(userId);
+          }
+
+          return new Response(JSON.stringify({
+            timeZone: calendarService.getTimeZone(userId),
+            defaultTimeZone: config.timeZone
+          }), {
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+
         if (path === "/api/token-status") {
           const userId = url.searchParams.get("userId");
           if (!userId) {
             return new Response("Missing userId", { status: 400 });
           }
+          if (!sessionManager.canAccessUser(session, userId)) {
+            return forbiddenResponse();
+          }
           
           const tokenData = cacheManager.getTokenData(userId);
           const isExpired = cacheManager.isTokenExpired(userId);
@@ -278,29 +885,37 @@ function serveStaticFile(filePath: string) {
   }
 }
 
-console.log(`🚀 MS Graph Calendar WebUI Daemon running on http://localhost:${PORT}`);
-console.log(`📅 Background refresh: every 60±10 seconds`);
+console.log(`🚀 MS Graph Calendar WebUI Daemon listening on ${config.server.host}:${config.server.port}`);
+console.log(`🌐 Public URL: ${config.server.publicBaseUrl}`);
+console.log(`📅 Background refresh: every ${config.refresh.minSeconds}-${config.refresh.maxSeconds} seconds`);
 
-// Helper function for relative time formatting
-function getRelativeTime(timestamp: number): string {
-  const now = Date.now();
-  const diff = now - timestamp;
-  const seconds = Math.floor(diff / 1000);
-  const minutes = Math.floor(seconds / 60);
-  const hours = Math.floor(minutes / 60);
-  const days = Math.floor(hours / 24);
+function forbiddenResponse() {
+  return new Response(JSON.stringify({ error: "This dashboard session has no access to the requested account" }), {
+    status: 403,
+    headers: { "Content-Type": "application/json" }
+  });
+}
 
-  if (days > 0) {
-    return `${days} day${days > 1 ? 's' : ''} ago`;
-  }
-  if (hours > 0) {
-    return `${hours} hour${hours > 1 ? 's' : ''} ago`;
-  }
-  if (minutes > 0) {
-    return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
-  }
-  if (seconds > 30) {
-    return `${seconds} seconds ago`;
-  }
-  return 'Just now';
+// Helper to summarize a user's token and cache state for the status API and stream,
+// with the relative update time worded for the client's locale
+function getUserStatus(user: UserProfile, locale: string = "en") {
+  const tokenData = cacheManager.getTokenData(user.id);
+  const isExpired = cacheManager.isTokenExpired(user.id);
+  const cachedEvents = cacheManager.getCachedEvents(user.id);
+  const cacheValid = cacheManager.isCacheValid(user.id);
+  const lastUpdateTimestamp = cacheManager.getCacheTimestamp(user.id);
+
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    provider: calendarService.getProviderType(user.id),
+    hasToken: !!tokenData?.accessToken,
+    tokenExpired: isExpired,
+    eventCount: cachedEvents?.length || 0,
+    cacheValid,
+    lastUpdate: lastUpdateTimestamp ? new Date(lastUpdateTimestamp).toISOString() : null,
+    lastUpdateRelative: formatLastUpdate(lastUpdateTimestamp, locale),
+    refresh: refreshScheduler.getState(user.id)
+  };
 }
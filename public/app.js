@@ -6,20 +6,48 @@ class CalendarApp {
     this.refreshInterval = null;
     this.nextRefreshTime = null;
     this.refreshCountdown = null;
+    this.lastUpdatedAt = null;
+    this.lastUpdateCached = false;
+    this.eventSource = null;
+    this.streamConnected = false;
+    this.streamRetryDelay = 1000;
+    this.streamReconnectTimer = null;
+    this.userStatus = {};
+    this.deviceLoginFlow = null;
+    this.deviceLoginTimer = null;
     this.isOnline = navigator.onLine;
+    this.view = localStorage.getItem("calendarView") || "day";
+    // Empty means the browser's own time zone and language
+    this.displayTimeZone = localStorage.getItem("displayTimeZone") || "";
+    this.displayLocale = localStorage.getItem("displayLocale") || "";
+    this.anchorDate = this.today();
+    this.mergedView = localStorage.getItem("mergedView") === "true";
+    this.mergedReloadTimer = null;
+    this.remindersSyncedAt = 0;
+    this.reminderSyncTimer = null;
+    // Event cards with an open detail panel, kept across re-renders
+    this.expandedEvents = new Set();
 
     this.init();
   }
 
   init() {
+    i18n.translatePage();
+    this.showLoadingState();
+    this.renderLastUpdate();
+    this.renderRefreshCounter();
     this.setupEventListeners();
+    this.updateViewControls();
+    this.loadSessionInfo();
     this.checkConnectionStatus();
     this.loadFromURL();
     this.loadUsers();
     this.startRefreshCountdown();
+    this.connectStream();
 
     // Service Worker registration for PWA with update handling
     this.setupServiceWorker();
+    this.setupReminders();
   }
 
   setupServiceWorker() {
@@ -58,6 +86,68 @@ class CalendarApp {
     }
   }
 
+  // The service worker shows the notifications, the page keeps its schedule up to date
+  setupReminders() {
+    if (!("serviceWorker" in navigator) || !("Notification" in window)) {
+      return;
+    }
+
+    this.syncReminders();
+    setInterval(() => {
+      // Timers are throttled in background tabs, but still fire about once a minute
+      if (Date.now() - this.remindersSyncedAt > 5 * 60 * 1000) {
+        this.syncReminders();
+      } else {
+        this.postToServiceWorker({ type: "CHECK_REMINDERS" });
+      }
+    }, 30000);
+  }
+
+  async syncReminders() {
+    if (!this.isOnline || Notification.permission !== "granted") {
+      return;
+    }
+
+    try {
+      const response = await fetch("/api/reminders");
+      if (!response.ok) {
+        return;
+      }
+      const data = await response.json();
+      this.remindersSyncedAt = Date.now();
+      this.postToServiceWorker({
+        type: "SCHEDULE_REMINDERS",
+        reminders: data.reminders || [],
+        labels: this.getReminderLabels(),
+      });
+    } catch (error) {
+      console.error("Failed to load reminders:", error);
+    }
+  }
+
+  // Several accounts refresh in a row, so resync once they are done
+  scheduleReminderSync() {
+    clearTimeout(this.reminderSyncTimer);
+    this.reminderSyncTimer = setTimeout(() => this.syncReminders(), 2000);
+  }
+
+  // Notifications are shown by the service worker, which has no catalog of its own
+  getReminderLabels() {
+    return {
+      startsIn: this.t("reminders.startsIn"),
+      startingNow: this.t("reminders.startingNow"),
+      upcoming: this.t("reminders.upcoming"),
+      join: this.t("event.join"),
+    };
+  }
+
+  async postToServiceWorker(message) {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.active) {
+      registration.active.postMessage(message);
+    }
+  }
+
   showUpdateAvailable() {
     // Create update notification
     const toast = document.createElement("div");
@@ -69,8 +159,8 @@ class CalendarApp {
             <div class="d-flex">
                 <div class="toast-body">
                     <i class="fas fa-sync-alt me-2"></i>
-                    App update available! 
-                    <button class="btn btn-sm btn-light ms-2" onclick="app.updateApp()">Update Now</button>
+                    ${this.t("update.available")}
+                    <button class="btn btn-sm btn-light ms-2" onclick="app.updateApp()">${this.t("update.now")}</button>
                 </div>
                 <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
             </div>
@@ -109,7 +199,7 @@ class CalendarApp {
           const channel = new MessageChannel();
           channel.port1.onmessage = (event) => {
             if (event.data.success) {
-              this.showSuccess("Cache cleared successfully!");
+              this.showSuccess(this.t("cache.cleared"));
             }
           };
           registration.active.postMessage({ type: "CLEAR_CACHE" }, [
@@ -129,10 +219,10 @@ class CalendarApp {
         }
       });
 
-      this.showSuccess("All caches cleared! Refresh the page to see changes.");
+      this.showSuccess(this.t("cache.allCleared"));
     } catch (error) {
       console.error("Failed to clear cache:", error);
-      this.showError("Failed to clear cache");
+      this.showError(this.t("cache.clearFailed"));
     }
   }
 
@@ -167,6 +257,15 @@ class CalendarApp {
     document
       .getElementById("addAccountBtnModal")
       .addEventListener("click", () => this.login());
+    document
+      .getElementById("deviceLoginBtnMain")
+      .addEventListener("click", () => this.startDeviceLogin());
+    document
+      .getElementById("deviceLoginBtnModal")
+      .addEventListener("click", () => this.startDeviceLogin());
+    document
+      .getElementById("deviceLoginModal")
+      .addEventListener("hidden.bs.modal", () => this.stopDeviceLogin());
 
     // Refresh buttons
     document
@@ -176,6 +275,51 @@ class CalendarApp {
       .getElementById("refreshBtn2")
       .addEventListener("click", () => this.refreshEvents());
 
+    // View switching and range navigation
+    document.querySelectorAll("#viewSwitcher [data-view]").forEach((button) => {
+      button.addEventListener("click", () => this.setView(button.dataset.view));
+    });
+    document
+      .getElementById("prevRangeBtn")
+      .addEventListener("click", () => this.navigateRange(-1));
+    document
+      .getElementById("nextRangeBtn")
+      .addEventListener("click", () => this.navigateRange(1));
+    document
+      .getElementById("todayBtn")
+      .addEventListener("click", () => this.goToToday());
+    document
+      .getElementById("mergedViewBtn")
+      .addEventListener("click", () => this.setMergedView(!this.mergedView));
+
+    // Creating events and blocking time
+    document
+      .getElementById("newEventBtn")
+      .addEventListener("click", () => this.showCreateEvent());
+    document.querySelectorAll("[data-block-minutes]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.blockNextFreeSlot(parseInt(button.dataset.blockMinutes))
+      );
+    });
+    document
+      .getElementById("createEventForm")
+      .addEventListener("submit", (event) => {
+        event.preventDefault();
+        this.createEvent();
+      });
+    document
+      .getElementById("createEventAccount")
+      .addEventListener("change", () => this.renderCreateEventCalendars());
+    document
+      .getElementById("findFreeSlotsBtn")
+      .addEventListener("click", () => this.findFreeSlots());
+
+    // Search across all accounts
+    document.getElementById("searchForm").addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.searchEvents(document.getElementById("searchInput").value.trim());
+    });
+
     // Settings and logout
     document
       .getElementById("settingsBtn")
@@ -183,6 +327,9 @@ class CalendarApp {
     document
       .getElementById("logoutBtn")
       .addEventListener("click", () => this.logout());
+    document
+      .getElementById("dashboardLogoutBtn")
+      .addEventListener("click", () => this.signOutDashboard());
 
     // Developer tools (will be attached when settings modal is shown)
     document.addEventListener("click", (event) => {
@@ -202,8 +349,12 @@ class CalendarApp {
         this.loadEvents();
       }
       this.startRefreshCountdown();
+      this.connectStream();
+    });
+    window.addEventListener("offline", () => {
+      this.setConnectionStatus(false);
+      this.disconnectStream();
     });
-    window.addEventListener("offline", () => this.setConnectionStatus(false));
 
     // Keyboard shortcuts for user switching
     document.addEventListener("keydown", (event) =>
@@ -247,6 +398,18 @@ class CalendarApp {
       event.preventDefault();
       this.showSettings();
     }
+
+    // Alt/Option + M to toggle the merged view of all accounts
+    if (
+      event.altKey &&
+      event.key.toLowerCase() === "m" &&
+      !event.ctrlKey &&
+      !event.shiftKey &&
+      !event.metaKey
+    ) {
+      event.preventDefault();
+      this.setMergedView(!this.mergedView);
+    }
   }
 
   setConnectionStatus(online) {
@@ -258,20 +421,20 @@ class CalendarApp {
 
     if (online) {
       statusElement.className = "badge bg-success me-3";
-      statusText.innerHTML = '<i class="fas fa-wifi me-1"></i>Online';
+      statusText.innerHTML = `<i class="fas fa-wifi me-1"></i>${this.t("status.online")}`;
 
       // Re-enable refresh buttons
       refreshBtn.disabled = false;
       refreshBtn2.disabled = false;
-      refreshBtn.title = "Refresh data from server";
-      refreshBtn2.title = "Refresh data from server";
+      refreshBtn.title = this.t("refresh.title");
+      refreshBtn2.title = this.t("refresh.title");
     } else {
       statusElement.className = "badge bg-danger me-3";
-      statusText.innerHTML = '<i class="fas fa-wifi-slash me-1"></i>Offline';
+      statusText.innerHTML = `<i class="fas fa-wifi-slash me-1"></i>${this.t("status.offline")}`;
 
       // Update refresh buttons for offline mode
-      refreshBtn.title = "Cannot refresh while offline - showing cached data";
-      refreshBtn2.title = "Cannot refresh while offline - showing cached data";
+      refreshBtn.title = this.t("refresh.offlineTitle");
+      refreshBtn2.title = this.t("refresh.offlineTitle");
 
       // When going offline, try to load cached data if no current content
       if (this.users.length === 0) {
@@ -291,11 +454,22 @@ class CalendarApp {
     const error = urlParams.get("error");
 
     if (error === "auth_failed") {
-      this.showError("Authentication failed. Please try again.");
+      this.showError(this.t("login.authFailed"));
+    } else if (error === "invalid_state") {
+      this.showError(this.t("login.invalidState"));
+    } else if (error === "login_expired") {
+      this.showError(this.t("login.expired"));
     } else if (loginSuccess && userId) {
       this.currentUserId = userId;
       localStorage.setItem("currentUserId", userId);
-      this.showSuccess("Login successful!");
+      const writeAccess = urlParams.get("writeAccess");
+      if (writeAccess === "true") {
+        this.showSuccess(this.t("login.writeGranted"));
+      } else if (writeAccess === "false") {
+        this.showError(this.t("login.writeDenied"));
+      } else {
+        this.showSuccess(this.t("login.success"));
+      }
       // Clean URL
       window.history.replaceState({}, document.title, "/");
     } else {
@@ -312,6 +486,9 @@ class CalendarApp {
       try {
         const response = await fetch("/api/users");
         const data = await response.json();
+        if (this.handleLoginRequired(response, data)) {
+          return;
+        }
         this.users = data.users || [];
 
         // Cache users data when online
@@ -354,7 +531,7 @@ class CalendarApp {
 
       // Try to load from cache when network fails
       if (this.loadCachedUsers()) {
-        this.showError("Network error. Showing cached data.");
+        this.showError(this.t("events.networkError"));
       } else {
         this.showLoginSection();
       }
@@ -366,6 +543,7 @@ class CalendarApp {
     document.getElementById("mainContent").style.display = "none";
     document.getElementById("loginBtn").style.display = "inline-block";
     document.getElementById("userDropdown").style.display = "none";
+    document.getElementById("searchForm").style.display = "none";
   }
 
   showMainContent() {
@@ -373,6 +551,7 @@ class CalendarApp {
     document.getElementById("mainContent").style.display = "block";
     document.getElementById("loginBtn").style.display = "none";
     document.getElementById("userDropdown").style.display = "inline-block";
+    document.getElementById("searchForm").style.display = "block";
 
     const currentUser = this.users.find((u) => u.id === this.currentUserId);
     if (currentUser) {
@@ -387,10 +566,17 @@ class CalendarApp {
   }
 
   switchUser(userId) {
-    if (userId === this.currentUserId) {
+    if (userId === this.currentUserId && !this.mergedView) {
       return; // Already selected
     }
 
+    // Picking an account leaves the merged view
+    if (this.mergedView) {
+      this.mergedView = false;
+      localStorage.setItem("mergedView", "false");
+      this.updateViewControls();
+    }
+
     // Show loading state
     this.showLoadingState();
 
@@ -400,7 +586,10 @@ class CalendarApp {
     this.loadEvents();
 
     this.showSuccess(
-      `Switched to ${this.users.find((u) => u.id === userId)?.name || "user"}`
+      this.t("events.switchedTo", {
+        name:
+          this.users.find((u) => u.id === userId)?.name || this.t("common.user"),
+      })
     );
   }
 
@@ -409,7 +598,7 @@ class CalendarApp {
     container.innerHTML = `
             <div class="text-center">
                 <div class="loading-spinner mx-auto"></div>
-                <p class="mt-3">Loading calendar events...</p>
+                <p class="mt-3">${this.t("events.loading")}</p>
             </div>
         `;
   }
@@ -431,6 +620,144 @@ class CalendarApp {
     window.location.href = "/api/login";
   }
 
+  // Device code login: the daemon requests a code, the user enters it on any device
+  async startDeviceLogin() {
+    const settingsModal = bootstrap.Modal.getInstance(
+      document.getElementById("settingsModal")
+    );
+    if (settingsModal) {
+      settingsModal.hide();
+    }
+
+    const status = document.getElementById("deviceLoginStatus");
+    const codeElement = document.getElementById("deviceLoginCode");
+    const urlElement = document.getElementById("deviceLoginUrl");
+    codeElement.innerHTML = "&nbsp;";
+    urlElement.innerHTML = "&nbsp;";
+    status.innerHTML = `<i class="fas fa-spinner fa-spin me-1"></i>${this.t(
+      "device.requesting"
+    )}`;
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("deviceLoginModal")
+    ).show();
+
+    try {
+      const response = await fetch("/api/device-login", { method: "POST" });
+      const data = await response.json();
+      if (this.handleLoginRequired(response, data)) {
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || this.t("device.startFailed"));
+      }
+
+      this.deviceLoginFlow = data.flowId;
+      codeElement.textContent = data.userCode;
+      urlElement.textContent = data.verificationUri;
+      urlElement.href = data.verificationUri;
+      status.innerHTML = `<i class="fas fa-spinner fa-spin me-1"></i>${this.t(
+        "device.waiting"
+      )}`;
+      this.scheduleDeviceLoginPoll(data.flowId, data.interval);
+    } catch (error) {
+      console.error("Device login error:", error);
+      status.innerHTML = `<span class="text-danger"><i class="fas fa-exclamation-triangle me-1"></i>${this.escapeHtml(
+        error.message
+      )}</span>`;
+    }
+  }
+
+  scheduleDeviceLoginPoll(flowId, intervalSeconds) {
+    this.deviceLoginTimer = setTimeout(
+      () => this.pollDeviceLogin(flowId),
+      intervalSeconds * 1000
+    );
+  }
+
+  async pollDeviceLogin(flowId) {
+    if (this.deviceLoginFlow !== flowId) {
+      return;
+    }
+
+    const status = document.getElementById("deviceLoginStatus");
+    try {
+      const response = await fetch(
+        `/api/device-login/poll?flowId=${encodeURIComponent(flowId)}`
+      );
+      const data = await response.json();
+      if (this.deviceLoginFlow !== flowId) {
+        return; // Cancelled while the request was in flight
+      }
+
+      if (data.status === "pending") {
+        this.scheduleDeviceLoginPoll(flowId, data.interval || 5);
+        return;
+      }
+
+      this.deviceLoginFlow = null;
+      if (data.status === "complete") {
+        bootstrap.Modal.getInstance(
+          document.getElementById("deviceLoginModal")
+        ).hide();
+        this.currentUserId = data.userId;
+        localStorage.setItem("currentUserId", data.userId);
+        this.showSuccess(this.t("login.success"));
+        this.loadUsers();
+        return;
+      }
+
+      const messages = {
+        declined: "device.declined",
+        expired: "device.expired",
+      };
+      status.innerHTML = `<span class="text-danger"><i class="fas fa-exclamation-triangle me-1"></i>${this.t(
+        messages[data.status] || "device.failed"
+      )}</span>`;
+    } catch (error) {
+      // Network hiccup, keep waiting
+      this.scheduleDeviceLoginPoll(flowId, 5);
+    }
+  }
+
+  stopDeviceLogin() {
+    this.deviceLoginFlow = null;
+    if (this.deviceLoginTimer) {
+      clearTimeout(this.deviceLoginTimer);
+      this.deviceLoginTimer = null;
+    }
+  }
+
+  async loadSessionInfo() {
+    try {
+      const response = await fetch("/api/session");
+      const data = await response.json();
+      document.getElementById("dashboardLogoutItem").style.display =
+        data.accessControl ? "block" : "none";
+    } catch (error) {
+      // Offline, keep the menu as it is
+    }
+  }
+
+  // The dashboard session expired or was never established
+  handleLoginRequired(response, data) {
+    if (response.status === 401 && data && data.loginRequired) {
+      const next = window.location.pathname + window.location.search;
+      window.location.href = `/login?next=${encodeURIComponent(next)}`;
+      return true;
+    }
+    return false;
+  }
+
+  async signOutDashboard() {
+    try {
+      await fetch("/api/session/logout", { method: "POST" });
+    } catch (error) {
+      console.error("Dashboard sign out error:", error);
+    }
+    this.disconnectStream();
+    window.location.href = "/login";
+  }
+
   async logout() {
     if (this.currentUserId) {
       try {
@@ -484,6 +811,325 @@ class CalendarApp {
     }
   }
 
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  isToday(date) {
+    return this.startOfDay(date).getTime() === this.today().getTime();
+  }
+
+  getTimeZone() {
+    return (
+      this.displayTimeZone ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone ||
+      "UTC"
+    );
+  }
+
+  // Dates follow the chosen date format, else a chosen language, else the browser
+  getLocale() {
+    return (
+      this.displayLocale ||
+      (i18n.override ? i18n.language : navigator.language) ||
+      "en-US"
+    );
+  }
+
+  t(key, params) {
+    return i18n.t(key, params);
+  }
+
+  // Calendar days are local Date objects at midnight, only year, month and day matter
+  today() {
+    const [year, month, day] = this.getDateInZone(new Date())
+      .split("-")
+      .map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  // YYYY-MM-DD of an instant in the display time zone
+  getDateInZone(date) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: this.getTimeZone(),
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).formatToParts(date);
+    const value = (type) => parts.find((part) => part.type === type).value;
+    return `${value("year")}-${value("month")}-${value("day")}`;
+  }
+
+  getDayKey(day) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(
+      day.getDate()
+    )}`;
+  }
+
+  // The instant a calendar day starts in the display time zone
+  zonedMidnight(day) {
+    return this.toDate({
+      dateTime: `${this.getDayKey(day)}T00:00:00`,
+      timeZone: this.getTimeZone(),
+    });
+  }
+
+  // Graph times are wall-clock times in the zone named next to them
+  toDate(time) {
+    if (/(Z|[+-]\d{2}:\d{2})$/.test(time.dateTime)) {
+      return new Date(time.dateTime);
+    }
+    const wallClock = Date.parse(`${time.dateTime.slice(0, 23)}Z`);
+    let timeZone = time.timeZone || "UTC";
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+    } catch (error) {
+      timeZone = "UTC";
+    }
+    if (isNaN(wallClock) || timeZone === "UTC") {
+      return new Date(wallClock);
+    }
+
+    // Two passes so times right after a DST change pick up the new offset
+    const offsetAt = (timestamp) => {
+      const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }).formatToParts(new Date(timestamp));
+      const value = (type) =>
+        parseInt(parts.find((part) => part.type === type).value);
+      const asUtc = Date.UTC(
+        value("year"),
+        value("month") - 1,
+        value("day"),
+        value("hour"),
+        value("minute"),
+        value("second")
+      );
+      return asUtc - Math.floor(timestamp / 1000) * 1000;
+    };
+    let offset = offsetAt(wallClock);
+    offset = offsetAt(wallClock - offset);
+    return new Date(wallClock - offset);
+  }
+
+  // Whether an event overlaps a calendar day; all-day events keep their dates in every zone
+  eventFallsOnDay(event, day) {
+    if (event.isAllDay) {
+      const key = this.getDayKey(day);
+      const startKey = event.start.dateTime.slice(0, 10);
+      const endKey = event.end.dateTime.slice(0, 10);
+      return startKey <= key && (key < endKey || startKey === endKey);
+    }
+    const eventStart = this.toDate(event.start);
+    const eventEnd = this.toDate(event.end);
+    const dayStart = this.zonedMidnight(day);
+    const dayEnd = this.zonedMidnight(this.addDays(day, 1));
+    return (
+      eventStart < dayEnd &&
+      (eventEnd > dayStart || eventStart.getTime() === dayStart.getTime())
+    );
+  }
+
+  formatTime(date) {
+    return date.toLocaleTimeString(this.getLocale(), {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: this.getTimeZone(),
+    });
+  }
+
+  // Calendar days are formatted without a zone, they already are local dates
+  formatDay(day, options) {
+    return day.toLocaleDateString(this.getLocale(), options);
+  }
+
+  formatEventTime(event) {
+    const dayFormat = { weekday: "short", month: "short", day: "numeric" };
+    if (event.isAllDay) {
+      const [startYear, startMonth, startDay] = event.start.dateTime
+        .slice(0, 10)
+        .split("-")
+        .map(Number);
+      const first = new Date(startYear, startMonth - 1, startDay);
+      const [endYear, endMonth, endDay] = event.end.dateTime
+        .slice(0, 10)
+        .split("-")
+        .map(Number);
+      const last = this.addDays(new Date(endYear, endMonth - 1, endDay), -1);
+      return last > first
+        ? this.t("event.allDayRange", {
+            start: this.formatDay(first, dayFormat),
+            end: this.formatDay(last, dayFormat),
+          })
+        : this.t("event.allDay");
+    }
+
+    const start = this.toDate(event.start);
+    const end = this.toDate(event.end);
+    if (this.getDateInZone(start) === this.getDateInZone(end)) {
+      return `${this.formatTime(start)} - ${this.formatTime(end)}`;
+    }
+    // Multi-day events name the days they start and end on
+    const withDay = (date) =>
+      date.toLocaleString(this.getLocale(), {
+        ...dayFormat,
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: this.getTimeZone(),
+      });
+    return `${withDay(start)} - ${withDay(end)}`;
+  }
+
+  // The daemon's default window is "today" in each account's zone, usable when it matches the display zone
+  accountZonesMatch() {
+    const accounts = this.mergedView
+      ? this.users
+      : this.users.filter((user) => user.id === this.currentUserId);
+    return accounts.every(
+      (user) => !user.timeZone || user.timeZone === this.getTimeZone()
+    );
+  }
+
+  getViewRange() {
+    if (this.view === "week") {
+      // Weeks start on Monday
+      const offset = (this.anchorDate.getDay() + 6) % 7;
+      const start = this.addDays(this.anchorDate, -offset);
+      return { start, end: this.addDays(start, 7), days: 7 };
+    }
+    if (this.view === "agenda") {
+      return {
+        start: this.anchorDate,
+        end: this.addDays(this.anchorDate, 14),
+        days: 14,
+      };
+    }
+    return {
+      start: this.anchorDate,
+      end: this.addDays(this.anchorDate, 1),
+      days: 1,
+    };
+  }
+
+  getEventsCacheKey() {
+    const { start, end } = this.getViewRange();
+    const owner = this.mergedView ? "merged" : this.currentUserId;
+    return `events_${owner}_${start.toISOString()}_${end.toISOString()}`;
+  }
+
+  setMergedView(enabled) {
+    if (enabled === this.mergedView) {
+      return;
+    }
+    this.mergedView = enabled;
+    localStorage.setItem("mergedView", String(enabled));
+    this.updateViewControls();
+    this.showLoadingState();
+    this.loadEvents();
+  }
+
+  // Accounts keep the same color as long as their order in the account list does not change
+  getAccountColor(userId) {
+    const palette = [
+      "#0078d4",
+      "#d83b01",
+      "#107c10",
+      "#8764b8",
+      "#c239b3",
+      "#00b7c3",
+      "#ca5010",
+      "#498205",
+    ];
+    const index = this.users.findIndex((user) => user.id === userId);
+    return palette[Math.max(index, 0) % palette.length];
+  }
+
+  // Selected calendar an event came from, null for default-calendar-only accounts
+  getEventCalendar(event) {
+    if (!event.calendarId) {
+      return null;
+    }
+    const user = this.users.find(
+      (user) => user.id === (event.userId || this.currentUserId)
+    );
+    const calendars = (user && user.calendars) || [];
+    return calendars.find((calendar) => calendar.id === event.calendarId) || null;
+  }
+
+  setView(view) {
+    if (!["day", "week", "agenda"].includes(view) || view === this.view) {
+      return;
+    }
+    this.view = view;
+    localStorage.setItem("calendarView", view);
+    this.updateViewControls();
+    this.showLoadingState();
+    this.loadEvents();
+  }
+
+  navigateRange(direction) {
+    const { days } = this.getViewRange();
+    this.anchorDate = this.addDays(this.anchorDate, direction * days);
+    this.updateViewControls();
+    this.showLoadingState();
+    this.loadEvents();
+  }
+
+  goToToday() {
+    this.anchorDate = this.today();
+    this.updateViewControls();
+    this.showLoadingState();
+    this.loadEvents();
+  }
+
+  updateViewControls() {
+    document.querySelectorAll("#viewSwitcher [data-view]").forEach((button) => {
+      button.classList.toggle("active", button.dataset.view === this.view);
+    });
+    document
+      .getElementById("mergedViewBtn")
+      .classList.toggle("active", this.mergedView);
+
+    const { start, end } = this.getViewRange();
+    const lastDay = this.addDays(end, -1);
+    const dateFormat = { weekday: "short", month: "short", day: "numeric" };
+    const label =
+      this.view === "day"
+        ? this.formatDay(start, {
+            weekday: "long",
+            month: "long",
+            day: "numeric",
+            year: "numeric",
+          })
+        : `${this.formatDay(start, dateFormat)} - ${this.formatDay(
+            lastDay,
+            dateFormat
+          )}`;
+    document.getElementById("viewRangeLabel").textContent = label;
+
+    const titles = {
+      day: this.isToday(start) ? "view.titleToday" : "view.titleDay",
+      week: "view.titleWeek",
+      agenda: "view.titleAgenda",
+    };
+    const title = this.t(titles[this.view]);
+    document.getElementById("viewTitle").textContent = this.mergedView
+      ? this.t("view.titleMerged", { title })
+      : title;
+  }
+
   async loadEvents() {
     if (!this.currentUserId) {
       return;
@@ -496,10 +1142,29 @@ class CalendarApp {
         return;
       }
 
-      const response = await fetch(
-        `/api/events?userId=${encodeURIComponent(this.currentUserId)}`
-      );
+      // Today's day view uses the default window the daemon refreshes in the background
+      const { start, end } = this.getViewRange();
+      const params = new URLSearchParams();
+      if (!this.mergedView) {
+        params.set("userId", this.currentUserId);
+      }
+      if (
+        this.view !== "day" ||
+        !this.isToday(start) ||
+        !this.accountZonesMatch()
+      ) {
+        params.set("start", this.zonedMidnight(start).toISOString());
+        params.set("end", this.zonedMidnight(end).toISOString());
+      }
+      const url = `${
+        this.mergedView ? "/api/events/merged" : "/api/events"
+      }?${params}`;
+
+      const response = await fetch(url);
       const data = await response.json();
+      if (this.handleLoginRequired(response, data)) {
+        return;
+      }
 
       if (response.ok) {
         this.setConnectionStatus(true);
@@ -508,7 +1173,7 @@ class CalendarApp {
         this.updateLastUpdate();
         this.cacheEvents();
       } else {
-        throw new Error(data.error || "Failed to load events");
+        throw new Error(data.error || this.t("events.loadFailed"));
       }
     } catch (error) {
       console.error("Failed to load events:", error);
@@ -521,9 +1186,9 @@ class CalendarApp {
 
       // Try to load from cache
       if (this.loadCachedEvents()) {
-        this.showError("Failed to load events. Showing cached data.");
+        this.showError(this.t("events.loadFailedCached"));
       } else {
-        this.showError("Failed to load events and no cached data available.");
+        this.showError(this.t("events.loadFailedNoCache"));
       }
 
       // update the online status
@@ -533,7 +1198,7 @@ class CalendarApp {
 
   async refreshEvents() {
     if (!this.isOnline) {
-      this.showError("Cannot refresh while offline. Showing cached data.");
+      this.showError(this.t("events.offlineRefresh"));
       this.loadCachedEvents();
       return;
     }
@@ -544,10 +1209,11 @@ class CalendarApp {
     // Disable buttons and show loading
     refreshBtn.disabled = true;
     refreshBtn2.disabled = true;
-    refreshBtn.innerHTML =
-      '<i class="fas fa-spinner fa-spin me-1"></i>Refreshing...';
-    refreshBtn2.innerHTML =
-      '<i class="fas fa-spinner fa-spin me-1"></i>Refreshing...';
+    const refreshing = `<i class="fas fa-spinner fa-spin me-1"></i>${this.t(
+      "refresh.refreshing"
+    )}`;
+    refreshBtn.innerHTML = refreshing;
+    refreshBtn2.innerHTML = refreshing;
 
     await this.loadEvents();
 
@@ -555,9 +1221,13 @@ class CalendarApp {
     setTimeout(() => {
       refreshBtn.disabled = false;
       refreshBtn2.disabled = false;
-      refreshBtn.innerHTML =
-        '<i class="fas fa-sync-alt me-1"></i>Manual Refresh';
-      refreshBtn2.innerHTML = '<i class="fas fa-sync-alt me-1"></i>Refresh Now';
+      // Restored with their message keys, so a language change still reaches them
+      refreshBtn.innerHTML = `<i class="fas fa-sync-alt me-1"></i><span data-i18n="nav.manualRefresh">${this.t(
+        "nav.manualRefresh"
+      )}</span>`;
+      refreshBtn2.innerHTML = `<i class="fas fa-sync-alt me-1"></i><span data-i18n="refresh.now">${this.t(
+        "refresh.now"
+      )}</span>`;
     }, 1000);
   }
 
@@ -567,47 +1237,214 @@ class CalendarApp {
 
     eventCount.textContent = this.events.length;
 
-    if (this.events.length === 0) {
-      container.innerHTML = `
+    // Prepended to the event list in the merged view
+    const header = this.mergedView ? this.renderMergedHeader() : "";
+
+    if (this.view === "day") {
+      if (this.events.length === 0) {
+        const isToday = this.isToday(this.anchorDate);
+        container.innerHTML = `${header}
+                <div class="text-center text-muted">
+                    <i class="fas fa-calendar-check fa-3x mb-3"></i>
+                    <h5>${this.t(
+                      isToday ? "events.noneToday" : "events.noneDay"
+                    )}</h5>
+                    <p>${this.t(
+                      isToday ? "events.noneTodayHint" : "events.noneDayHint"
+                    )}</p>
+                </div>
+            `;
+        return;
+      }
+
+      container.innerHTML =
+        header +
+        this.events.map((event) => this.renderEventCard(event)).join("");
+      return;
+    }
+
+    // Week and agenda views group events by day
+    const { start, days } = this.getViewRange();
+    const groups = [];
+    for (let i = 0; i < days; i++) {
+      const day = this.addDays(start, i);
+      const dayEvents = this.events.filter((event) =>
+        this.eventFallsOnDay(event, day)
+      );
+      groups.push({ day, events: dayEvents });
+    }
+
+    // The agenda only lists days that have something scheduled
+    const visibleGroups =
+      this.view === "agenda"
+        ? groups.filter((group) => group.events.length > 0)
+        : groups;
+
+    if (visibleGroups.length === 0) {
+      container.innerHTML = `${header}
                 <div class="text-center text-muted">
                     <i class="fas fa-calendar-check fa-3x mb-3"></i>
-                    <h5>No events today</h5>
-                    <p>You have a free day! Enjoy your time.</p>
+                    <h5>${this.t("events.noneUpcoming")}</h5>
+                    <p>${this.t("events.noneUpcomingHint")}</p>
                 </div>
             `;
       return;
     }
 
-    container.innerHTML = this.events
-      .map((event) => {
-        const startTime = new Date(event.start.dateTime);
-        const endTime = new Date(event.end.dateTime);
-        const timeFormat = { hour: "2-digit", minute: "2-digit" };
+    const groupsHtml = visibleGroups
+      .map(
+        (group) => `
+                <div class="day-group">
+                    <div class="day-group-header ${
+                      this.isToday(group.day) ? "today" : ""
+                    }">
+                        ${this.formatDay(group.day, {
+                          weekday: "long",
+                          month: "short",
+                          day: "numeric",
+                        })}
+                        <span class="badge bg-light text-dark ms-2">${
+                          group.events.length
+                        }</span>
+                    </div>
+                    ${
+                      group.events.length > 0
+                        ? group.events
+                            .map((event) => this.renderEventCard(event))
+                            .join("")
+                        : `<p class="text-muted small mb-0">${this.t("events.none")}</p>`
+                    }
+                </div>
+            `
+      )
+      .join("");
+    container.innerHTML = header + groupsHtml;
+  }
 
-        return `
-                <div class="card event-card">
+  // Account legend and double-booking summary shown above the merged timeline
+  renderMergedHeader() {
+    const conflicted = this.events.filter(
+      (event) => event.conflicts && event.conflicts.length > 0
+    ).length;
+
+    return `
+                <div class="account-legend d-flex flex-wrap gap-3 mb-3">
+                    ${this.users
+                      .map(
+                        (user) => `
+                        <span>
+                            <span class="account-dot" style="background-color: ${this.getAccountColor(
+                              user.id
+                            )}"></span>${this.escapeHtml(user.name)}
+                        </span>
+                    `
+                      )
+                      .join("")}
+                </div>
+                ${
+                  conflicted > 0
+                    ? `
+                    <div class="alert alert-warning py-2">
+                        <i class="fas fa-exclamation-triangle me-1"></i>
+                        ${this.t("events.doubleBooked", { count: conflicted })}
+                    </div>
+                `
+                    : ""
+                }
+            `;
+  }
+
+  renderConflicts(event) {
+    const names = event.conflicts.map((ref) => {
+      const other = this.events.find(
+        (candidate) =>
+          candidate.id === ref.eventId && candidate.userId === ref.userId
+      );
+      const account = this.users.find((user) => user.id === ref.userId);
+      return `${other ? other.subject : this.t("event.anotherEvent")} (${
+        account ? account.name : this.t("event.otherAccount")
+      })`;
+    });
+
+    return `
+                                    <p class="conflict-note mb-1">
+                                        <i class="fas fa-exclamation-triangle me-1"></i>
+                                        ${this.t("event.doubleBookedWith", {
+                                          names: this.escapeHtml(names.join(", ")),
+                                        })}
+                                    </p>
+                                `;
+  }
+
+  renderEventCard(event) {
+
+    // Merged events carry the account they belong to
+    const account = event.userId
+      ? this.users.find((user) => user.id === event.userId)
+      : null;
+    const hasConflicts = event.conflicts && event.conflicts.length > 0;
+    const calendar = this.getEventCalendar(event);
+    // Merged cards are colored by account, otherwise by calendar
+    const borderColor = event.userId
+      ? this.getAccountColor(event.userId)
+      : calendar && calendar.color;
+    const eventKey = `${event.userId || this.currentUserId}:${event.id}`;
+    const canRespond = this.canRespondToEvent(event);
+    const hasDetails =
+      (event.attendees && event.attendees.length > 0) ||
+      (event.categories && event.categories.length > 0) ||
+      event.bodyPreview ||
+      canRespond;
+    const isExpanded = hasDetails && this.expandedEvents.has(eventKey);
+
+    return `
+                <div class="card event-card ${
+                  hasConflicts ? "double-booked" : ""
+                }${event.isCancelled ? " cancelled" : ""}" ${
+      borderColor ? `style="border-left-color: ${borderColor}"` : ""
+    }>
                     <div class="card-body">
                         <div class="d-flex justify-content-between align-items-start">
                             <div class="flex-grow-1">
                                 <h6 class="card-title mb-1">${this.escapeHtml(
                                   event.subject
                                 )}</h6>
-                                <p class="event-time mb-2">
-                                    <i class="fas fa-clock me-1"></i>
-                                    ${startTime.toLocaleTimeString(
-                                      "en-US",
-                                      timeFormat
-                                    )} - 
-                                    ${endTime.toLocaleTimeString(
-                                      "en-US",
-                                      timeFormat
-                                    )}
-                                </p>
+                                ${this.renderEventBadges(event)}
                                 ${
-                                  event.location
+                                  account
                                     ? `
-                                    <p class="text-muted mb-1">
-                                        <i class="fas fa-map-marker-alt me-1"></i>
+                                    <p class="small mb-1">
+                                        <span class="account-dot" style="background-color: ${this.getAccountColor(
+                                          account.id
+                                        )}"></span>${this.escapeHtml(
+                                        account.name
+                                      )}${
+                                        calendar
+                                          ? ` · ${this.escapeHtml(calendar.name)}`
+                                          : ""
+                                      }
+                                    </p>
+                                `
+                                    : calendar
+                                    ? `
+                                    <p class="small mb-1">
+                                        <span class="account-dot" style="background-color: ${
+                                          calendar.color
+                                        }"></span>${this.escapeHtml(calendar.name)}
+                                    </p>
+                                `
+                                    : ""
+                                }
+                                ${hasConflicts ? this.renderConflicts(event) : ""}
+                                <p class="event-time mb-2">
+                                    <i class="fas fa-clock me-1"></i>
+                                    ${this.escapeHtml(this.formatEventTime(event))}
+                                </p>
+                                ${
+                                  event.location
+                                    ? `
+                                    <p class="text-muted mb-1">
+                                        <i class="fas fa-map-marker-alt me-1"></i>
                                         ${this.escapeHtml(
                                           event.location.displayName
                                         )}
@@ -632,12 +1469,14 @@ class CalendarApp {
                                     ? `
                                     <p class="event-online mb-0">
                                         <i class="fas fa-video me-1"></i>
-                                        Online Meeting
+                                        ${this.t("event.onlineMeeting")}
                                         ${
                                           event.onlineMeetingUrl
                                             ? `
                                             <a href="${event.onlineMeetingUrl}" target="_blank" class="btn btn-sm btn-outline-success ms-2">
-                                                <i class="fas fa-external-link-alt me-1"></i>Join
+                                                <i class="fas fa-external-link-alt me-1"></i>${this.t(
+                                                  "event.join"
+                                                )}
                                             </a>
                                         `
                                             : ""
@@ -646,24 +1485,822 @@ class CalendarApp {
                                 `
                                     : ""
                                 }
+                                ${this.renderRsvpActions(event)}
                             </div>
+                            ${
+                              hasDetails
+                                ? `
+                                <button class="btn btn-sm btn-link text-muted" title="${this.t(
+                                  "event.details"
+                                )}"
+                                    data-event-key="${this.escapeHtml(
+                                      eventKey
+                                    )}" onclick="app.toggleEventDetails(this)">
+                                    <i class="fas fa-chevron-${
+                                      isExpanded ? "up" : "down"
+                                    }"></i>
+                                </button>
+                            `
+                                : ""
+                            }
                         </div>
+                        ${
+                          hasDetails
+                            ? `
+                            <div class="event-details ${
+                              isExpanded ? "" : "d-none"
+                            }">${this.renderEventDetails(event)}</div>
+                        `
+                            : ""
+                        }
                     </div>
                 </div>
             `;
+  }
+
+  // Response, availability and importance at a glance
+  renderEventBadges(event) {
+    const responses = {
+      accepted: ["bg-success", "badge.accepted"],
+      tentativelyAccepted: ["bg-warning text-dark", "badge.tentative"],
+      declined: ["bg-danger", "badge.declined"],
+      notResponded: ["bg-secondary", "badge.notResponded"],
+      organizer: ["bg-primary", "badge.organizer"],
+    };
+    const showAs = {
+      free: "badge.free",
+      tentative: "badge.tentative",
+      oof: "badge.oof",
+      workingElsewhere: "badge.workingElsewhere",
+    };
+
+    const badges = [];
+    if (event.isCancelled) {
+      badges.push(
+        `<span class="badge bg-danger">${this.t("badge.cancelled")}</span>`
+      );
+    }
+    const response =
+      event.responseStatus && responses[event.responseStatus.response];
+    if (response && !event.isCancelled) {
+      badges.push(
+        `<span class="badge ${response[0]}">${this.t(response[1])}</span>`
+      );
+    }
+    // Tentative availability is already shown by the response badge
+    if (
+      showAs[event.showAs] &&
+      !(
+        event.showAs === "tentative" &&
+        response &&
+        event.responseStatus.response === "tentativelyAccepted"
+      )
+    ) {
+      badges.push(
+        `<span class="badge bg-light text-dark border">${this.t(
+          showAs[event.showAs]
+        )}</span>`
+      );
+    }
+    if (event.importance === "high") {
+      badges.push(
+        `<span class="badge bg-light text-danger border"><i class="fas fa-exclamation me-1"></i>${this.t(
+          "badge.highImportance"
+        )}</span>`
+      );
+    }
+
+    return badges.length > 0
+      ? `<div class="event-badges mb-1">${badges.join(" ")}</div>`
+      : "";
+  }
+
+  renderEventDetails(event) {
+    const responseIcons = {
+      accepted: "fa-check-circle text-success",
+      organizer: "fa-check-circle text-success",
+      tentativelyAccepted: "fa-question-circle text-warning",
+      declined: "fa-times-circle text-danger",
+    };
+    const attendees = (event.attendees || []).filter(
+      (attendee) => attendee.type !== "resource"
+    );
+    const accepted = attendees.filter((attendee) =>
+      ["accepted", "organizer"].includes(
+        attendee.status && attendee.status.response
+      )
+    ).length;
+
+    return `
+                <hr class="my-2">
+                ${
+                  event.categories && event.categories.length > 0
+                    ? `<div class="mb-2">${event.categories
+                        .map(
+                          (category) =>
+                            `<span class="badge bg-info text-dark me-1">${this.escapeHtml(
+                              category
+                            )}</span>`
+                        )
+                        .join("")}</div>`
+                    : ""
+                }
+                ${
+                  attendees.length > 0
+                    ? `
+                    <div class="small text-muted mb-1">
+                        <i class="fas fa-users me-1"></i>${this.t(
+                          "event.attendees",
+                          { count: attendees.length, accepted }
+                        )}
+                    </div>
+                    <ul class="list-unstyled small mb-2 event-attendees">
+                        ${attendees
+                          .map((attendee) => {
+                            const response =
+                              attendee.status && attendee.status.response;
+                            return `
+                            <li>
+                                <i class="fas ${
+                                  responseIcons[response] ||
+                                  "fa-circle text-muted"
+                                } me-1" title="${this.escapeHtml(
+                              response || "none"
+                            )}"></i>${this.escapeHtml(
+                              attendee.emailAddress.name ||
+                                attendee.emailAddress.address
+                            )}${
+                              attendee.type === "optional"
+                                ? ` <span class="text-muted">${this.t(
+                                    "event.optional"
+                                  )}</span>`
+                                : ""
+                            }
+                            </li>
+                        `;
+                          })
+                          .join("")}
+                    </ul>
+                `
+                    : ""
+                }
+                ${
+                  event.bodyPreview
+                    ? `<p class="small text-muted mb-0 event-body">${this.escapeHtml(
+                        event.bodyPreview
+                      )}</p>`
+                    : ""
+                }
+                ${
+                  this.canRespondToEvent(event)
+                    ? `<input type="text" class="form-control form-control-sm mt-2 rsvp-comment"
+                        maxlength="500" placeholder="${this.t("event.comment")}">`
+                    : ""
+                }
+            `;
+  }
+
+  // Invitations of Microsoft accounts, the organizer has nothing to respond to
+  isInvitation(event) {
+    const account = this.users.find(
+      (user) => user.id === (event.userId || this.currentUserId)
+    );
+    return (
+      account &&
+      account.provider !== "fixture" &&
+      !event.isCancelled &&
+      event.responseStatus &&
+      !["organizer", "none"].includes(event.responseStatus.response)
+    );
+  }
+
+  canRespondToEvent(event) {
+    const account = this.users.find(
+      (user) => user.id === (event.userId || this.currentUserId)
+    );
+    return this.isInvitation(event) && account.writeAccess;
+  }
+
+  renderRsvpActions(event) {
+    if (!this.isInvitation(event)) {
+      return "";
+    }
+    const userId = event.userId || this.currentUserId;
+    if (!this.canRespondToEvent(event)) {
+      return `
+                <p class="small mb-0 mt-1">
+                    <a href="/api/consent/write?userId=${encodeURIComponent(
+                      userId
+                    )}" class="text-muted" title="${this.t("rsvp.consentHint")}">
+                        <i class="fas fa-reply me-1"></i>${this.t(
+                          "rsvp.fromDashboard"
+                        )}
+                    </a>
+                </p>
+            `;
+    }
+
+    const current = event.responseStatus.response;
+    const actions = [
+      ["accept", "accepted", "btn-outline-success", "fa-check", "rsvp.accept"],
+      [
+        "tentative",
+        "tentativelyAccepted",
+        "btn-outline-warning",
+        "fa-question",
+        "rsvp.tentative",
+      ],
+      ["decline", "declined", "btn-outline-danger", "fa-times", "rsvp.decline"],
+    ];
+    return `
+                <div class="btn-group btn-group-sm mt-2 rsvp-actions" role="group"
+                    data-user-id="${this.escapeHtml(
+                      userId
+                    )}" data-event-id="${this.escapeHtml(event.id)}">
+                    ${actions
+                      .map(
+                        ([response, status, style, icon, label]) => `
+                        <button class="btn ${style} ${
+                          current === status ? "active" : ""
+                        }" onclick="app.respondToEvent(this, '${response}')">
+                            <i class="fas ${icon} me-1"></i>${this.t(label)}
+                        </button>
+                    `
+                      )
+                      .join("")}
+                </div>
+            `;
+  }
+
+  async respondToEvent(button, response) {
+    const group = button.closest(".rsvp-actions");
+    const { userId, eventId } = group.dataset;
+    const comment = button.closest(".card-body").querySelector(".rsvp-comment");
+    const buttons = group.querySelectorAll("button");
+    buttons.forEach((candidate) => (candidate.disabled = true));
+
+    try {
+      const result = await fetch(
+        `/api/events/${encodeURIComponent(
+          eventId
+        )}/respond?userId=${encodeURIComponent(userId)}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            response,
+            comment: comment ? comment.value : "",
+          }),
+        }
+      );
+      const data = await result.json();
+      if (!result.ok) {
+        if (data.consentRequired) {
+          const user = this.users.find((user) => user.id === userId);
+          if (user) {
+            user.writeAccess = false;
+            this.cacheUsers();
+          }
+        }
+        throw new Error(data.error || this.t("rsvp.failed"));
+      }
+
+      // Show the new response right away, the next refresh confirms it
+      for (const event of this.events) {
+        if (event.id === eventId && (event.userId || this.currentUserId) === userId) {
+          event.responseStatus = {
+            response: data.response,
+            time: new Date().toISOString(),
+          };
+        }
+      }
+      this.cacheEvents();
+      this.showSuccess(this.t("rsvp.sent"));
+    } catch (error) {
+      console.error("Event response error:", error);
+      this.showError(error.message);
+    }
+    this.renderEvents();
+  }
+
+  // Events are created in Microsoft accounts only, fixture files are read-only
+  getWritableUsers() {
+    return this.users.filter((user) => user.provider !== "fixture");
+  }
+
+  // Wall-clock value for datetime-local inputs, in the display time zone
+  toInputValue(date) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: this.getTimeZone(),
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    }).formatToParts(date);
+    const value = (type) => parts.find((part) => part.type === type).value;
+    return `${value("year")}-${value("month")}-${value("day")}T${value(
+      "hour"
+    )}:${value("minute")}`;
+  }
+
+  fromInputValue(value) {
+    return this.toDate({ dateTime: `${value}:00`, timeZone: this.getTimeZone() });
+  }
+
+  // Start and end are preset when booking a free slot
+  showCreateEvent(presetStart, presetEnd) {
+    const users = this.getWritableUsers();
+    if (users.length === 0) {
+      this.showError(this.t("create.noAccount"));
+      return;
+    }
+
+    const accountSelect = document.getElementById("createEventAccount");
+    accountSelect.innerHTML = users
+      .map(
+        (user) =>
+          `<option value="${this.escapeHtml(user.id)}" ${
+            user.id === this.currentUserId ? "selected" : ""
+          }>${this.escapeHtml(user.name)}</option>`
+      )
+      .join("");
+    document
+      .getElementById("createEventAccountGroup")
+      .classList.toggle("d-none", users.length === 1);
+    this.renderCreateEventCalendars();
+
+    // Next half hour today, 9:00 on another day being shown
+    const step = 30 * 60 * 1000;
+    const start = presetStart
+      ? new Date(presetStart)
+      : this.view === "day" && !this.isToday(this.anchorDate)
+      ? this.fromInputValue(`${this.getDayKey(this.anchorDate)}T09:00`)
+      : new Date(Math.ceil(Date.now() / step) * step);
+    document.getElementById("createEventForm").reset();
+    document.getElementById("createEventStart").value = this.toInputValue(start);
+    document.getElementById("createEventEnd").value = this.toInputValue(
+      presetEnd ? new Date(presetEnd) : new Date(start.getTime() + step)
+    );
+
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("createEventModal")
+    ).show();
+  }
+
+  // Only calendars shown on the dashboard can be written to
+  renderCreateEventCalendars() {
+    const userId = document.getElementById("createEventAccount").value;
+    const user = this.users.find((user) => user.id === userId);
+    const calendars = (user && user.calendars) || [];
+    document.getElementById("createEventCalendar").innerHTML = calendars
+      .map(
+        (calendar) =>
+          `<option value="${this.escapeHtml(calendar.id)}">${this.escapeHtml(
+            calendar.name
+          )}</option>`
+      )
+      .join("");
+    document
+      .getElementById("createEventCalendarGroup")
+      .classList.toggle("d-none", calendars.length < 2);
+  }
+
+  async createEvent() {
+    const userId = document.getElementById("createEventAccount").value;
+    const start = document.getElementById("createEventStart").value;
+    const end = document.getElementById("createEventEnd").value;
+    if (!start || !end || this.fromInputValue(end) <= this.fromInputValue(start)) {
+      this.showError(this.t("create.endBeforeStart"));
+      return;
+    }
+
+    const attendees = document
+      .getElementById("createEventAttendees")
+      .value.split(/[\s,;]+/)
+      .filter(Boolean);
+    const calendarId = document.getElementById("createEventCalendar").value;
+    const submit = document.getElementById("createEventSubmit");
+    submit.disabled = true;
+
+    const created = await this.postEvent(userId, {
+      subject: document.getElementById("createEventSubject").value,
+      start: this.fromInputValue(start).toISOString(),
+      end: this.fromInputValue(end).toISOString(),
+      location: document.getElementById("createEventLocation").value,
+      isOnlineMeeting: document.getElementById("createEventOnline").checked,
+      attendees,
+      calendarId: calendarId || undefined,
+    });
+    submit.disabled = false;
+
+    if (created) {
+      bootstrap.Modal.getInstance(
+        document.getElementById("createEventModal")
+      ).hide();
+      this.showSuccess(this.t("create.created", { subject: created.subject }));
+    }
+  }
+
+  async searchEvents(query) {
+    if (query.length < 2) {
+      this.showError(this.t("search.tooShort"));
+      return;
+    }
+
+    const container = document.getElementById("searchResults");
+    document.getElementById("searchTitle").textContent = this.t(
+      "search.resultsFor",
+      { query }
+    );
+    container.innerHTML =
+      '<div class="text-center"><div class="loading-spinner mx-auto"></div></div>';
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("searchModal")
+    ).show();
+
+    try {
+      const response = await fetch(
+        `/api/search?q=${encodeURIComponent(query)}`
+      );
+      const data = await response.json();
+      if (this.handleLoginRequired(response, data)) {
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || this.t("search.failed"));
+      }
+      this.renderSearchResults(data);
+    } catch (error) {
+      console.error("Search error:", error);
+      container.innerHTML = `<p class="text-danger mb-0">${this.escapeHtml(
+        error.message
+      )}</p>`;
+    }
+  }
+
+  renderSearchResults(data) {
+    const container = document.getElementById("searchResults");
+    if (data.results.length === 0) {
+      container.innerHTML = `<p class="text-muted mb-0">${this.t(
+        "search.none"
+      )}</p>`;
+      return;
+    }
+
+    // Grouped by day, then by account within the day
+    const days = [];
+    for (const event of data.results) {
+      const key = event.isAllDay
+        ? event.start.dateTime.slice(0, 10)
+        : this.getDateInZone(this.toDate(event.start));
+      let day = days.find((candidate) => candidate.key === key);
+      if (!day) {
+        day = { key, accounts: [] };
+        days.push(day);
+      }
+      let account = day.accounts.find((entry) => entry.userId === event.userId);
+      if (!account) {
+        account = { userId: event.userId, events: [] };
+        day.accounts.push(account);
+      }
+      account.events.push(event);
+    }
+
+    const today = this.getDayKey(this.today());
+    container.innerHTML = days
+      .map(({ key, accounts }) => {
+        const [year, month, date] = key.split("-").map(Number);
+        const label = this.formatDay(new Date(year, month - 1, date), {
+          weekday: "long",
+          month: "long",
+          day: "numeric",
+          year: "numeric",
+        });
+        return `
+                <div class="mb-3">
+                    <h6 class="border-bottom pb-1 ${
+                      key < today ? "text-muted" : ""
+                    }">${label}</h6>
+                    ${accounts
+                      .map(({ userId, events }) => {
+                        const user = this.users.find((user) => user.id === userId);
+                        return `
+                        <div class="small fw-semibold mt-2">
+                            <span class="account-dot" style="background-color: ${this.getAccountColor(
+                              userId
+                            )}"></span>${this.escapeHtml(user ? user.name : userId)}
+                        </div>
+                        <div class="list-group list-group-flush">
+                            ${events
+                              .map(
+                                (event) => `
+                                <button type="button" class="list-group-item list-group-item-action px-0"
+                                    onclick="app.openSearchResult('${this.escapeHtml(
+                                      userId
+                                    )}', '${key}')">
+                                    <div class="d-flex justify-content-between">
+                                        <span class="${
+                                          event.isCancelled
+                                            ? "text-decoration-line-through"
+                                            : ""
+                                        }">${this.escapeHtml(event.subject)}</span>
+                                        <small class="text-muted">${this.escapeHtml(
+                                          this.formatEventTime(event)
+                                        )}</small>
+                                    </div>
+                                    ${
+                                      event.location && event.location.displayName
+                                        ? `<small class="text-muted"><i class="fas fa-map-marker-alt me-1"></i>${this.escapeHtml(
+                                            event.location.displayName
+                                          )}</small>`
+                                        : ""
+                                    }
+                                    ${
+                                      event.organizer
+                                        ? `<small class="text-muted ms-2"><i class="fas fa-user me-1"></i>${this.escapeHtml(
+                                            event.organizer.emailAddress.name
+                                          )}</small>`
+                                        : ""
+                                    }
+                                </button>
+                            `
+                              )
+                              .join("")}
+                        </div>
+                    `;
+                      })
+                      .join("")}
+                </div>
+            `;
       })
       .join("");
   }
 
-  updateLastUpdate() {
+  // Show the day of a result in the account it belongs to
+  openSearchResult(userId, key) {
+    bootstrap.Modal.getInstance(document.getElementById("searchModal")).hide();
+
+    const [year, month, day] = key.split("-").map(Number);
+    this.anchorDate = new Date(year, month - 1, day);
+    this.view = "day";
+    localStorage.setItem("calendarView", "day");
+    this.updateViewControls();
+    if (!this.mergedView && userId !== this.currentUserId) {
+      this.switchUser(userId);
+      return;
+    }
+    this.showLoadingState();
+    this.loadEvents();
+  }
+
+  async findFreeSlots() {
+    const container = document.getElementById("freeSlots");
+    const minutes = parseInt(document.getElementById("freeSlotMinutes").value);
+    const days = document.getElementById("freeSlotDays").value;
+    container.innerHTML =
+      '<div class="text-center"><div class="loading-spinner mx-auto"></div></div>';
+
+    try {
+      const params = new URLSearchParams({
+        minutes,
+        days,
+        timeZone: this.getTimeZone(),
+      });
+      const response = await fetch(`/api/free-slots?${params}`);
+      const data = await response.json();
+      if (this.handleLoginRequired(response, data)) {
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || this.t("free.failed"));
+      }
+      this.renderFreeSlots(data, minutes);
+    } catch (error) {
+      console.error("Free slots error:", error);
+      container.innerHTML = `<p class="text-danger small mb-0">${this.escapeHtml(
+        error.message
+      )}</p>`;
+    }
+  }
+
+  renderFreeSlots(data, minutes) {
+    const container = document.getElementById("freeSlots");
+    const canBook = this.getWritableUsers().length > 0;
+
+    // Accounts without live free/busy are computed from what was last cached
+    const cachedAccounts = data.accounts.filter(
+      (account) => account.source === "cache"
+    );
+    const note =
+      cachedAccounts.length > 0
+        ? `<p class="text-warning small"><i class="fas fa-exclamation-triangle me-1"></i>${this.t(
+            "free.cachedNote",
+            {
+              names: cachedAccounts
+                .map((account) => this.escapeHtml(account.name))
+                .join(", "),
+            }
+          )}</p>`
+        : "";
+
+    if (data.slots.length === 0) {
+      container.innerHTML = `${note}<p class="text-muted small mb-0">${this.t(
+        "free.none",
+        {
+          minutes,
+          start: this.escapeHtml(data.workingHours.start),
+          end: this.escapeHtml(data.workingHours.end),
+        }
+      )}</p>`;
+      return;
+    }
+
+    const groups = [];
+    for (const slot of data.slots) {
+      const key = this.getDateInZone(new Date(slot.start));
+      let group = groups.find((candidate) => candidate.key === key);
+      if (!group) {
+        const [year, month, day] = key.split("-").map(Number);
+        group = { key, day: new Date(year, month - 1, day), slots: [] };
+        groups.push(group);
+      }
+      group.slots.push(slot);
+    }
+
+    container.innerHTML =
+      note +
+      groups
+        .map(
+          (group) => `
+                <div class="mb-2">
+                    <div class="small fw-semibold">${this.formatDay(group.day, {
+                      weekday: "long",
+                      month: "short",
+                      day: "numeric",
+                    })}</div>
+                    ${group.slots
+                      .map(
+                        (slot) => `
+                        <div class="d-flex justify-content-between align-items-center small py-1">
+                            <span><i class="fas fa-check-circle text-success me-1"></i>${this.formatTime(
+                              new Date(slot.start)
+                            )} - ${this.formatTime(new Date(slot.end))}</span>
+                            ${
+                              canBook
+                                ? `<button class="btn btn-link btn-sm p-0" onclick="app.showCreateEvent('${
+                                    slot.start
+                                  }', '${new Date(
+                                    new Date(slot.start).getTime() +
+                                      minutes * 60 * 1000
+                                  ).toISOString()}')">${this.t(
+                                    "free.book"
+                                  )}</button>`
+                                : ""
+                            }
+                        </div>
+                    `
+                      )
+                      .join("")}
+                </div>
+            `
+        )
+        .join("");
+  }
+
+  async blockNextFreeSlot(minutes) {
+    const user = this.users.find((user) => user.id === this.currentUserId);
+    if (!user || user.provider === "fixture") {
+      this.showError(this.t("create.blockNeedsAccount"));
+      return;
+    }
+
+    const created = await this.postEvent(user.id, { blockMinutes: minutes });
+    if (created) {
+      this.showSuccess(
+        this.t("create.blocked", {
+          time: this.formatEventTime(created),
+          subject: created.subject,
+        })
+      );
+    }
+  }
+
+  // Returns the created event, or null after showing what went wrong
+  async postEvent(userId, body) {
+    try {
+      const response = await fetch(
+        `/api/events?userId=${encodeURIComponent(userId)}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        if (
+          data.consentRequired &&
+          confirm(this.t("create.consentConfirm"))
+        ) {
+          window.location.href = `/api/consent/write?userId=${encodeURIComponent(
+            userId
+          )}`;
+          return null;
+        }
+        throw new Error(data.error || this.t("create.failed"));
+      }
+
+      // The daemon cached the new event, reload to show it in the current view
+      this.loadEvents();
+      return data.event;
+    } catch (error) {
+      console.error("Create event error:", error);
+      this.showError(error.message);
+      return null;
+    }
+  }
+
+  renderWriteAccess(user) {
+    if (user.provider === "fixture") {
+      return "";
+    }
+    return user.writeAccess
+      ? `<br><small class="text-muted write-access">
+                    <i class="fas fa-pen me-1"></i>${this.t("write.enabled")}
+                    <a href="#" onclick="app.disableWriteAccess('${
+                      user.id
+                    }', this); return false;">${this.t("write.turnOff")}</a>
+                </small>`
+      : `<br><small class="write-access">
+                    <a href="/api/consent/write?userId=${encodeURIComponent(
+                      user.id
+                    )}"><i class="fas fa-pen me-1"></i>${this.t("write.allow")}</a>
+                </small>`;
+  }
+
+  async disableWriteAccess(userId, link) {
+    try {
+      const response = await fetch(
+        `/api/consent/write?userId=${encodeURIComponent(userId)}`,
+        { method: "DELETE" }
+      );
+      if (!response.ok) {
+        throw new Error(this.t("write.updateFailed"));
+      }
+      const user = this.users.find((user) => user.id === userId);
+      if (user) {
+        user.writeAccess = false;
+        this.cacheUsers();
+      }
+      this.showSuccess(this.t("write.disabled"));
+      const container = link.closest(".write-access");
+      container.previousElementSibling.remove();
+      container.outerHTML = this.renderWriteAccess(user);
+      this.renderEvents();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  toggleEventDetails(button) {
+    const key = button.dataset.eventKey;
+    const details = button.closest(".card-body").querySelector(".event-details");
+    const expanded = !this.expandedEvents.has(key);
+    if (expanded) {
+      this.expandedEvents.add(key);
+    } else {
+      this.expandedEvents.delete(key);
+    }
+    details.classList.toggle("d-none", !expanded);
+    button.querySelector("i").className = `fas fa-chevron-${
+      expanded ? "up" : "down"
+    }`;
+  }
+
+  updateLastUpdate(timestamp = Date.now(), cached = false) {
+    this.lastUpdatedAt = timestamp;
+    this.lastUpdateCached = cached;
+    this.renderLastUpdate();
+  }
+
+  renderLastUpdate() {
     const lastUpdate = document.getElementById("lastUpdate");
-    lastUpdate.textContent = `Last updated: ${new Date().toLocaleTimeString()}`;
+    if (!this.lastUpdatedAt) {
+      lastUpdate.textContent = this.t("update.never");
+      return;
+    }
+    lastUpdate.textContent = this.t(
+      this.lastUpdateCached ? "update.lastCached" : "update.last",
+      { time: this.formatTime(new Date(this.lastUpdatedAt)) }
+    );
   }
 
   cacheEvents() {
     if (this.currentUserId && this.events) {
       localStorage.setItem(
-        `events_${this.currentUserId}`,
+        this.getEventsCacheKey(),
         JSON.stringify({
           events: this.events,
           timestamp: Date.now(),
@@ -721,17 +2358,14 @@ class CalendarApp {
 
   loadCachedEvents() {
     if (this.currentUserId) {
-      const cached = localStorage.getItem(`events_${this.currentUserId}`);
+      const cached = localStorage.getItem(this.getEventsCacheKey());
       if (cached) {
         try {
           const data = JSON.parse(cached);
           this.events = data.events || [];
           this.renderEvents();
 
-          const lastUpdate = document.getElementById("lastUpdate");
-          lastUpdate.textContent = `Last updated: ${new Date(
-            data.timestamp
-          ).toLocaleTimeString()} (cached)`;
+          this.updateLastUpdate(data.timestamp, true);
           return true;
         } catch (error) {
           console.error("Failed to load cached events:", error);
@@ -741,13 +2375,134 @@ class CalendarApp {
     return false;
   }
 
+  // Live updates pushed by the daemon after each background refresh.
+  // Polling via startRefreshCountdown is only used while the stream is unavailable.
+  connectStream() {
+    if (!("EventSource" in window)) {
+      return;
+    }
+
+    this.disconnectStream();
+    if (!this.isOnline) {
+      return;
+    }
+
+    const source = new EventSource(
+      `/api/stream?lang=${encodeURIComponent(i18n.language)}`
+    );
+    this.eventSource = source;
+
+    source.onopen = () => {
+      this.streamConnected = true;
+      this.streamRetryDelay = 1000;
+      this.clearRefreshInterval();
+      this.renderRefreshCounter();
+    };
+
+    source.addEventListener("events", (event) =>
+      this.handleStreamEvents(JSON.parse(event.data))
+    );
+    source.addEventListener("status", (event) =>
+      this.handleStreamStatus(JSON.parse(event.data))
+    );
+    source.addEventListener("removed", (event) =>
+      this.handleStreamRemoved(JSON.parse(event.data))
+    );
+
+    source.onerror = () => {
+      const wasConnected = this.streamConnected;
+      this.streamConnected = false;
+
+      // Fall back to polling until the stream is back
+      if (wasConnected || !this.refreshCountdown) {
+        this.startRefreshCountdown();
+      }
+
+      // The browser retries on its own unless the connection was closed for good
+      if (source.readyState === EventSource.CLOSED) {
+        this.scheduleStreamReconnect();
+      }
+    };
+  }
+
+  scheduleStreamReconnect() {
+    if (this.streamReconnectTimer) {
+      return;
+    }
+    const delay = this.streamRetryDelay;
+    this.streamRetryDelay = Math.min(this.streamRetryDelay * 2, 60000);
+    this.streamReconnectTimer = setTimeout(() => {
+      this.streamReconnectTimer = null;
+      this.connectStream();
+    }, delay);
+  }
+
+  disconnectStream() {
+    if (this.streamReconnectTimer) {
+      clearTimeout(this.streamReconnectTimer);
+      this.streamReconnectTimer = null;
+    }
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    this.streamConnected = false;
+  }
+
+  handleStreamEvents(data) {
+    this.scheduleReminderSync();
+
+    // The daemon refreshes today's events, other ranges are loaded on demand
+    if (this.view !== "day" || !this.isToday(this.anchorDate)) {
+      return;
+    }
+
+    if (this.mergedView) {
+      // Accounts are refreshed one after another, reload the merged timeline once they settle
+      clearTimeout(this.mergedReloadTimer);
+      this.mergedReloadTimer = setTimeout(() => this.loadEvents(), 1000);
+      return;
+    }
+
+    if (data.userId !== this.currentUserId) {
+      return;
+    }
+
+    // Pushed events cover the account's day, which is a different day in another display zone
+    if (!this.accountZonesMatch()) {
+      clearTimeout(this.mergedReloadTimer);
+      this.mergedReloadTimer = setTimeout(() => this.loadEvents(), 1000);
+      return;
+    }
+
+    this.events = data.events || [];
+    this.renderEvents();
+    this.updateLastUpdate();
+    this.cacheEvents();
+  }
+
+  handleStreamStatus(status) {
+    this.userStatus[status.id] = status;
+  }
+
+  handleStreamRemoved(data) {
+    delete this.userStatus[data.userId];
+    if (this.users.some((user) => user.id === data.userId)) {
+      // Account was removed from another browser, reload the account list
+      this.loadUsers();
+    }
+  }
+
   startRefreshCountdown() {
     this.clearRefreshInterval();
 
+    if (this.streamConnected) {
+      return;
+    }
+
     // Don't start auto-refresh if offline
     if (!this.isOnline) {
-      document.getElementById("refreshCounter").textContent =
-        "Auto-refresh paused (offline)";
+      this.renderRefreshCounter();
       return;
     }
 
@@ -757,21 +2512,34 @@ class CalendarApp {
 
     // Update countdown every second
     this.refreshCountdown = setInterval(() => {
-      const remaining = Math.max(0, this.nextRefreshTime - Date.now());
-      const seconds = Math.ceil(remaining / 1000);
-
-      if (seconds > 0) {
-        document.getElementById(
-          "refreshCounter"
-        ).textContent = `Next refresh in: ${seconds}s`;
+      if (this.nextRefreshTime > Date.now()) {
+        this.renderRefreshCounter();
       } else {
-        document.getElementById("refreshCounter").textContent = "Refreshing...";
+        document.getElementById("refreshCounter").textContent = this.t(
+          "refresh.refreshing"
+        );
         this.loadEvents();
         this.startRefreshCountdown(); // Schedule next refresh
       }
     }, 1000);
   }
 
+  renderRefreshCounter() {
+    const counter = document.getElementById("refreshCounter");
+    if (this.streamConnected) {
+      counter.textContent = this.t("refresh.live");
+    } else if (!this.isOnline) {
+      counter.textContent = this.t("refresh.pausedOffline");
+    } else if (this.refreshCountdown) {
+      const remaining = Math.max(0, this.nextRefreshTime - Date.now());
+      counter.textContent = this.t("refresh.nextIn", {
+        seconds: Math.ceil(remaining / 1000),
+      });
+    } else {
+      counter.textContent = this.t("refresh.nextUnknown");
+    }
+  }
+
   clearRefreshInterval() {
     if (this.refreshCountdown) {
       clearInterval(this.refreshCountdown);
@@ -781,7 +2549,11 @@ class CalendarApp {
 
   showSettings() {
     const modal = new bootstrap.Modal(document.getElementById("settingsModal"));
+    this.renderSettings();
+    modal.show();
+  }
 
+  renderSettings() {
     // Populate quick switch badges
     this.renderQuickSwitchBadges();
 
@@ -791,7 +2563,7 @@ class CalendarApp {
       accountsContainer.innerHTML = `
                 <div class="text-center text-muted">
                     <i class="fas fa-user-slash fa-2x mb-2"></i>
-                    <p>No accounts connected</p>
+                    <p>${this.t("settings.noAccounts")}</p>
                 </div>
             `;
     } else {
@@ -810,13 +2582,33 @@ class CalendarApp {
                                     )}</strong>
                                     ${
                                       isCurrent
-                                        ? '<span class="badge bg-primary">Current</span>'
+                                        ? `<span class="badge bg-primary">${this.t(
+                                            "settings.current"
+                                          )}</span>`
                                         : ""
                                     }
                                 </div>
                                 <small class="text-muted">${this.escapeHtml(
                                   user.email
                                 )}</small>
+                                ${this.renderWriteAccess(user)}
+                                ${
+                                  this.userStatus[user.id]
+                                    ? `<br><small class="text-muted">
+                                        <i class="fas fa-history me-1"></i>${this.escapeHtml(
+                                          this.userStatus[user.id].lastUpdate
+                                            ? this.t("settings.updated", {
+                                                time: i18n.formatRelativeTime(
+                                                  this.userStatus[user.id].lastUpdate
+                                                ),
+                                              })
+                                            : this.t("update.never")
+                                        )}
+                                    </small>${this.renderRefreshState(
+                                      this.userStatus[user.id].refresh
+                                    )}`
+                                    : ""
+                                }
                             </div>
                             <div class="d-flex gap-2">
                                 ${
@@ -841,7 +2633,594 @@ class CalendarApp {
         .join("");
     }
 
-    modal.show();
+    this.renderCalendarSelection();
+    this.renderTimeZoneSettings();
+    this.renderReminderSettings();
+    this.renderCalendarFeeds();
+  }
+
+  // Only problems are shown, a healthy schedule needs no attention
+  renderRefreshState(refresh) {
+    if (!refresh) {
+      return "";
+    }
+
+    if (refresh.status === "paused") {
+      return `<br><small class="text-danger">
+                    <i class="fas fa-pause-circle me-1"></i>${this.t(
+                      "refresh.pausedAccount"
+                    )}
+                </small>`;
+    }
+
+    if (refresh.status === "throttled" || refresh.status === "backoff") {
+      const retryAt = refresh.nextRunAt
+        ? this.formatTime(new Date(refresh.nextRunAt))
+        : this.t("refresh.later");
+      const reason =
+        refresh.status === "throttled"
+          ? this.t("refresh.throttled")
+          : this.t("refresh.failures", { count: refresh.consecutiveFailures });
+      return `<br><small class="text-warning" title="${this.escapeHtml(
+        refresh.lastError || ""
+      )}">
+                    <i class="fas fa-exclamation-triangle me-1"></i>${this.t(
+                      "refresh.retrying",
+                      { reason, time: retryAt }
+                    )}
+                </small>`;
+    }
+
+    return "";
+  }
+
+  async renderCalendarSelection() {
+    const container = document.getElementById("calendarSelection");
+    if (this.users.length === 0) {
+      container.innerHTML = `<p class="text-muted small mb-0">${this.t(
+        "calendars.connectFirst"
+      )}</p>`;
+      return;
+    }
+
+    const lists = await Promise.all(
+      this.users.map(async (user) => {
+        try {
+          const response = await fetch(
+            `/api/calendars?userId=${encodeURIComponent(user.id)}`
+          );
+          const data = await response.json();
+          return { user, calendars: data.calendars || [] };
+        } catch (error) {
+          return { user, calendars: [], unavailable: true };
+        }
+      })
+    );
+
+    container.innerHTML = lists
+      .map(
+        ({ user, calendars, unavailable }) => `
+                <div class="mb-3">
+                    <div class="small fw-semibold mb-1">${this.escapeHtml(
+                      user.name
+                    )}</div>
+                    ${
+                      calendars.length === 0
+                        ? `<p class="text-muted small mb-0">${this.t(
+                            unavailable
+                              ? "common.unavailableOffline"
+                              : "calendars.none"
+                          )}</p>`
+                        : `
+                        ${calendars
+                          .map(
+                            (calendar) => `
+                            <div class="d-flex align-items-center gap-2 mb-1">
+                                <input type="checkbox" class="form-check-input m-0"
+                                    value="${this.escapeHtml(calendar.id)}" ${
+                              calendar.selected ? "checked" : ""
+                            }>
+                                <input type="color" class="form-control form-control-color calendar-color"
+                                    value="${this.escapeHtml(
+                                      calendar.color
+                                    )}" title="${this.t("calendars.color")}">
+                                <span class="small">${this.escapeHtml(
+                                  calendar.name
+                                )}</span>
+                                ${
+                                  calendar.isDefault
+                                    ? `<span class="badge bg-secondary">${this.t(
+                                        "calendars.default"
+                                      )}</span>`
+                                    : ""
+                                }
+                                ${
+                                  calendar.owner &&
+                                  calendar.owner.toLowerCase() !==
+                                    (user.email || "").toLowerCase()
+                                    ? `<small class="text-muted">${this.escapeHtml(
+                                        calendar.owner
+                                      )}</small>`
+                                    : ""
+                                }
+                            </div>
+                        `
+                          )
+                          .join("")}
+                        <button class="btn btn-outline-primary btn-sm mt-1" onclick="app.saveCalendarSelection('${
+                          user.id
+                        }', this)">${this.t("common.save")}</button>
+                    `
+                    }
+                </div>
+            `
+      )
+      .join("");
+  }
+
+  async saveCalendarSelection(userId, button) {
+    const calendars = Array.from(
+      button.parentElement.querySelectorAll("input[type=checkbox]")
+    )
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => ({
+        id: checkbox.value,
+        color: checkbox.parentElement.querySelector("input[type=color]").value,
+      }));
+
+    if (calendars.length === 0) {
+      this.showError(this.t("calendars.selectOne"));
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `/api/calendars?userId=${encodeURIComponent(userId)}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ calendars }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || this.t("calendars.saveFailed"));
+      }
+
+      // Names and colors of the selected calendars are part of the account list
+      const user = this.users.find((user) => user.id === userId);
+      if (user) {
+        user.calendars = data.calendars
+          .filter((calendar) => calendar.selected)
+          .map(({ id, name, color }) => ({ id, name, color }));
+        this.cacheUsers();
+      }
+      this.showSuccess(this.t("calendars.saved"));
+      this.renderEvents();
+    } catch (error) {
+      console.error("Calendar selection error:", error);
+      this.showError(error.message);
+    }
+  }
+
+  renderTimeZoneSettings() {
+    const options = document.getElementById("timeZoneOptions");
+    if (!options.children.length && Intl.supportedValuesOf) {
+      options.innerHTML = Intl.supportedValuesOf("timeZone")
+        .map((zone) => `<option value="${this.escapeHtml(zone)}">`)
+        .join("");
+    }
+
+    const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const detected = i18n.detectLanguage();
+    const languages = [
+      [
+        "",
+        this.t("display.languageAuto", {
+          language: LANGUAGES.find(([code]) => code === detected)[1],
+        }),
+      ],
+      ...LANGUAGES,
+    ];
+    const locales = [
+      [
+        "",
+        this.t("display.dateFormatAuto", {
+          locale: i18n.override ? i18n.language : navigator.language,
+        }),
+      ],
+      ["en-US", "English (US)"],
+      ["en-GB", "English (UK)"],
+      ["de-DE", "Deutsch"],
+      ["fr-FR", "Français"],
+      ["zh-CN", "中文 (简体)"],
+    ];
+    document.getElementById("displaySettings").innerHTML = `
+                <div class="row g-2 align-items-end">
+                    <div class="col-sm-4">
+                        <label class="form-label small mb-1" for="displayTimeZone">${this.t(
+                          "display.timeZone"
+                        )}</label>
+                        <input type="text" class="form-control form-control-sm" id="displayTimeZone"
+                            list="timeZoneOptions" placeholder="${this.escapeHtml(
+                              browserZone
+                            )}" value="${this.escapeHtml(this.displayTimeZone)}">
+                    </div>
+                    <div class="col-sm-3">
+                        <label class="form-label small mb-1" for="displayLanguage">${this.t(
+                          "display.language"
+                        )}</label>
+                        <select class="form-select form-select-sm" id="displayLanguage">
+                            ${languages
+                              .map(
+                                ([value, label]) =>
+                                  `<option value="${value}" ${
+                                    value === i18n.override ? "selected" : ""
+                                  }>${this.escapeHtml(label)}</option>`
+                              )
+                              .join("")}
+                        </select>
+                    </div>
+                    <div class="col-sm-3">
+                        <label class="form-label small mb-1" for="displayLocale">${this.t(
+                          "display.dateFormat"
+                        )}</label>
+                        <select class="form-select form-select-sm" id="displayLocale">
+                            ${locales
+                              .map(
+                                ([value, label]) =>
+                                  `<option value="${value}" ${
+                                    value === this.displayLocale
+                                      ? "selected"
+                                      : ""
+                                  }>${this.escapeHtml(label)}</option>`
+                              )
+                              .join("")}
+                        </select>
+                    </div>
+                    <div class="col-sm-2">
+                        <button class="btn btn-outline-primary btn-sm w-100" onclick="app.saveDisplaySettings()">${this.t(
+                          "common.save"
+                        )}</button>
+                    </div>
+                </div>
+            `;
+
+    document.getElementById("timeZoneSettings").innerHTML = this.users
+      .map(
+        (user) => `
+                <div class="mb-2">
+                    <div class="small fw-semibold mb-1">${this.escapeHtml(
+                      user.name
+                    )}</div>
+                    <div class="input-group input-group-sm">
+                        <input type="text" class="form-control" list="timeZoneOptions"
+                            placeholder="${this.t(
+                              "timezone.serverDefault"
+                            )}" value="${this.escapeHtml(
+                              user.timeZoneOverride ? user.timeZone : ""
+                            )}">
+                        <button class="btn btn-outline-primary" onclick="app.saveAccountTimeZone('${
+                          user.id
+                        }', this)">${this.t("common.save")}</button>
+                    </div>
+                </div>
+            `
+      )
+      .join("");
+  }
+
+  saveDisplaySettings() {
+    const timeZone = document.getElementById("displayTimeZone").value.trim();
+    const locale = document.getElementById("displayLocale").value;
+    const language = document.getElementById("displayLanguage").value;
+
+    if (timeZone) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+      } catch (error) {
+        this.showError(this.t("display.unknownZone", { zone: timeZone }));
+        return;
+      }
+    }
+
+    this.displayTimeZone = timeZone;
+    this.displayLocale = locale;
+    localStorage.setItem("displayTimeZone", timeZone);
+    localStorage.setItem("displayLocale", locale);
+    i18n.setLanguage(language);
+
+    this.anchorDate = this.today();
+    this.applyLanguage();
+    this.loadEvents();
+    this.showSuccess(this.t("display.saved"));
+  }
+
+  // Re-renders what is already on screen after the language or date format changed
+  applyLanguage() {
+    i18n.translatePage();
+    // Status updates are worded in the language the stream was opened with
+    if (this.eventSource) {
+      this.connectStream();
+    }
+    this.setConnectionStatus(this.isOnline);
+    this.updateViewControls();
+    this.renderLastUpdate();
+    this.renderRefreshCounter();
+    this.renderEvents();
+    if (
+      document.getElementById("settingsModal").classList.contains("show")
+    ) {
+      this.renderSettings();
+    }
+    this.syncReminders();
+  }
+
+  async saveAccountTimeZone(userId, button) {
+    const timeZone = button.parentElement.querySelector("input").value.trim();
+
+    try {
+      const response = await fetch(
+        `/api/timezone?userId=${encodeURIComponent(userId)}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ timeZone: timeZone || null }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || this.t("timezone.saveFailed"));
+      }
+
+      const user = this.users.find((user) => user.id === userId);
+      if (user) {
+        user.timeZone = data.timeZone;
+        user.timeZoneOverride = !!timeZone;
+        this.cacheUsers();
+      }
+      this.showSuccess(this.t("timezone.saved", { zone: data.timeZone }));
+      this.loadEvents();
+    } catch (error) {
+      console.error("Time zone error:", error);
+      this.showError(error.message);
+    }
+  }
+
+  async renderReminderSettings() {
+    const permission = document.getElementById("reminderPermission");
+    const container = document.getElementById("reminderSettings");
+
+    if (!("Notification" in window) || !("serviceWorker" in navigator)) {
+      permission.innerHTML = `<p class="text-muted small mb-0">${this.t(
+        "reminders.unsupported"
+      )}</p>`;
+      container.innerHTML = "";
+      return;
+    }
+
+    if (Notification.permission === "granted") {
+      permission.innerHTML = `
+                <span class="badge bg-success"><i class="fas fa-check me-1"></i>${this.t(
+                  "reminders.enabled"
+                )}</span>
+            `;
+    } else if (Notification.permission === "denied") {
+      permission.innerHTML = `
+                <span class="badge bg-danger"><i class="fas fa-ban me-1"></i>${this.t(
+                  "reminders.blocked"
+                )}</span>
+                <small class="text-muted ms-2">${this.t(
+                  "reminders.blockedHint"
+                )}</small>
+            `;
+    } else {
+      permission.innerHTML = `
+                <button class="btn btn-outline-primary btn-sm" onclick="app.enableNotifications()">
+                    <i class="fas fa-bell me-1"></i>${this.t("reminders.enable")}
+                </button>
+            `;
+    }
+
+    const settings = await Promise.all(
+      this.users.map(async (user) => {
+        try {
+          const response = await fetch(
+            `/api/reminders/settings?userId=${encodeURIComponent(user.id)}`
+          );
+          const data = await response.json();
+          return { user, leadMinutes: data.leadMinutes };
+        } catch (error) {
+          return { user, leadMinutes: null };
+        }
+      })
+    );
+
+    container.innerHTML = settings
+      .map(
+        ({ user, leadMinutes }) => `
+                <div class="mb-2">
+                    <div class="small fw-semibold mb-1">${this.escapeHtml(
+                      user.name
+                    )}</div>
+                    <div class="input-group input-group-sm">
+                        <input type="text" class="form-control" placeholder="${this.t(
+                          "reminders.off"
+                        )}"
+                            value="${leadMinutes ? leadMinutes.join(", ") : ""}"
+                            ${leadMinutes ? "" : "disabled"}>
+                        <span class="input-group-text">${this.t(
+                          "reminders.minutesBefore"
+                        )}</span>
+                        <button class="btn btn-outline-primary" onclick="app.saveReminderLeadTimes('${
+                          user.id
+                        }', this)" ${leadMinutes ? "" : "disabled"}>${this.t(
+                          "common.save"
+                        )}</button>
+                    </div>
+                </div>
+            `
+      )
+      .join("");
+  }
+
+  async enableNotifications() {
+    const permission = await Notification.requestPermission();
+    if (permission === "granted") {
+      this.showSuccess(this.t("reminders.enabledToast"));
+      this.syncReminders();
+    } else {
+      this.showError(this.t("reminders.notAllowed"));
+    }
+    this.renderReminderSettings();
+  }
+
+  async saveReminderLeadTimes(userId, button) {
+    const input = button.parentElement.querySelector("input");
+    const values = input.value
+      .split(",")
+      .map((value) => value.trim())
+      .filter((value) => value !== "");
+    const leadMinutes = values.map((value) => Number(value));
+
+    if (leadMinutes.some((value) => !Number.isInteger(value) || value < 0)) {
+      this.showError(this.t("reminders.invalid"));
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `/api/reminders/settings?userId=${encodeURIComponent(userId)}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ leadMinutes }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || this.t("reminders.saveFailed"));
+      }
+      input.value = data.leadMinutes.join(", ");
+      this.showSuccess(
+        this.t(
+          data.leadMinutes.length > 0
+            ? "reminders.saved"
+            : "reminders.turnedOff"
+        )
+      );
+      this.syncReminders();
+    } catch (error) {
+      console.error("Reminder settings error:", error);
+      this.showError(error.message);
+    }
+  }
+
+  async renderCalendarFeeds() {
+    const container = document.getElementById("calendarFeeds");
+    if (this.users.length === 0) {
+      container.innerHTML = `<p class="text-muted small mb-0">${this.t(
+        "feeds.connectFirst"
+      )}</p>`;
+      return;
+    }
+
+    const feeds = await Promise.all(
+      this.users.map(async (user) => {
+        try {
+          const response = await fetch(
+            `/api/feed?userId=${encodeURIComponent(user.id)}`
+          );
+          const data = await response.json();
+          return { user, feedUrl: data.feedUrl };
+        } catch (error) {
+          return { user, feedUrl: null, unavailable: true };
+        }
+      })
+    );
+
+    container.innerHTML = feeds
+      .map(
+        ({ user, feedUrl, unavailable }) => `
+                <div class="mb-3">
+                    <div class="small fw-semibold mb-1">${this.escapeHtml(
+                      user.name
+                    )}</div>
+                    <div class="input-group input-group-sm">
+                        <input type="text" class="form-control" readonly
+                            value="${this.escapeHtml(feedUrl || "")}"
+                            placeholder="${this.t(
+                              unavailable
+                                ? "common.unavailableOffline"
+                                : "feeds.notEnabled"
+                            )}">
+                        ${
+                          feedUrl
+                            ? `
+                            <button class="btn btn-outline-secondary" title="${this.t("feeds.copy")}" onclick="app.copyFeedUrl('${user.id}', this)">
+                                <i class="fas fa-copy"></i>
+                            </button>
+                            <button class="btn btn-outline-warning" title="${this.t("feeds.rotate")}" onclick="app.rotateFeed('${user.id}')">
+                                <i class="fas fa-redo"></i>
+                            </button>
+                            <button class="btn btn-outline-danger" title="${this.t("feeds.disable")}" onclick="app.disableFeed('${user.id}')">
+                                <i class="fas fa-ban"></i>
+                            </button>
+                        `
+                            : `
+                            <button class="btn btn-outline-primary" onclick="app.rotateFeed('${user.id}')" ${
+                              unavailable ? "disabled" : ""
+                            }>
+                                <i class="fas fa-plus me-1"></i>${this.t("feeds.enable")}
+                            </button>
+                        `
+                        }
+                    </div>
+                </div>
+            `
+      )
+      .join("");
+  }
+
+  async rotateFeed(userId) {
+    try {
+      const response = await fetch(
+        `/api/feed/rotate?userId=${encodeURIComponent(userId)}`,
+        { method: "POST" }
+      );
+      if (!response.ok) {
+        throw new Error("Failed to rotate feed");
+      }
+      this.showSuccess(this.t("feeds.rotated"));
+      this.renderCalendarFeeds();
+    } catch (error) {
+      console.error("Feed rotation error:", error);
+      this.showError(this.t("feeds.rotateFailed"));
+    }
+  }
+
+  async disableFeed(userId) {
+    try {
+      await fetch(`/api/feed?userId=${encodeURIComponent(userId)}`, {
+        method: "DELETE",
+      });
+      this.showSuccess(this.t("feeds.disabled"));
+      this.renderCalendarFeeds();
+    } catch (error) {
+      console.error("Feed disable error:", error);
+      this.showError(this.t("feeds.disableFailed"));
+    }
+  }
+
+  async copyFeedUrl(userId, button) {
+    const input = button.parentElement.querySelector("input");
+    try {
+      await navigator.clipboard.writeText(input.value);
+      this.showSuccess(this.t("feeds.copied"));
+    } catch (error) {
+      input.select();
+      document.execCommand("copy");
+    }
   }
 
   renderQuickSwitchBadges() {
@@ -853,7 +3232,7 @@ class CalendarApp {
       badge.className = `quick-switch-badge bg-light text-dark ${
         user.id === this.currentUserId ? "current" : ""
       }`;
-      badge.title = `Alt+${index + 1} to switch to this account`;
+      badge.title = this.t("accounts.switchHint", { number: index + 1 });
 
       const initials = this.getUserInitials(user.name);
       badge.innerHTML = `
@@ -874,8 +3253,10 @@ class CalendarApp {
     // Add "Add Account" badge
     const addBadge = document.createElement("div");
     addBadge.className = "quick-switch-badge bg-primary text-white";
-    addBadge.title = "Alt+A to add account";
-    addBadge.innerHTML = '<i class="fas fa-plus me-2"></i>Add Account';
+    addBadge.title = this.t("accounts.addHint");
+    addBadge.innerHTML = `<i class="fas fa-plus me-2"></i>${this.t(
+      "accounts.add"
+    )}`;
     addBadge.addEventListener("click", () => this.login());
     container.appendChild(addBadge);
   }
@@ -926,10 +3307,14 @@ class CalendarApp {
         this.showSettings();
       }
 
-      this.showSuccess(`Removed account: ${userToRemove?.name || "User"}`);
+      this.showSuccess(
+        this.t("accounts.removed", {
+          name: userToRemove?.name || this.t("common.user"),
+        })
+      );
     } catch (error) {
       console.error("Failed to remove account:", error);
-      this.showError("Failed to remove account");
+      this.showError(this.t("accounts.removeFailed"));
     }
   }
 
@@ -0,0 +1,742 @@
+// Message catalogs of the dashboard. {name} placeholders are filled in by t(),
+// messages with plural forms are keyed by Intl.PluralRules categories.
+const MESSAGES = {
+  en: {
+    "common.save": "Save",
+    "common.cancel": "Cancel",
+    "common.close": "Close",
+    "common.user": "User",
+    "common.unavailableOffline": "Unavailable while offline",
+    "common.loading": "Loading...",
+
+    "status.online": "Online",
+    "status.offline": "Offline",
+    "status.checking": "Checking...",
+
+    "nav.search": "Search events",
+    "nav.manualRefresh": "Manual Refresh",
+    "nav.signIn": "Sign in with Microsoft",
+    "nav.settings": "Settings",
+    "nav.logoutUser": "Logout Current User",
+    "nav.signOutDashboard": "Sign out of Dashboard",
+
+    "refresh.title": "Refresh data from server",
+    "refresh.offlineTitle": "Cannot refresh while offline - showing cached data",
+    "refresh.refreshing": "Refreshing...",
+    "refresh.now": "Refresh Now",
+    "refresh.live": "Live updates connected",
+    "refresh.pausedOffline": "Auto-refresh paused (offline)",
+    "refresh.nextIn": "Next refresh in: {seconds}s",
+    "refresh.nextUnknown": "Next refresh in: --",
+    "refresh.pausedAccount": "Refresh paused, sign in with this account again",
+    "refresh.throttled": "Throttled by Microsoft Graph",
+    "refresh.failures": {
+      one: "{count} failed refresh",
+      other: "{count} failed refreshes",
+    },
+    "refresh.retrying": "{reason}, retrying at {time}",
+    "refresh.later": "later",
+
+    "update.never": "Never updated",
+    "update.last": "Last updated: {time}",
+    "update.lastCached": "Last updated: {time} (cached)",
+    "update.available": "App update available!",
+    "update.now": "Update Now",
+
+    "login.welcome": "Welcome to MS Graph Calendar WebUI",
+    "login.intro": "Sign in with your Microsoft account to view your calendar events",
+    "login.withCode": "Sign in with a code on another device",
+    "login.success": "Login successful!",
+    "login.authFailed": "Authentication failed. Please try again.",
+    "login.invalidState":
+      "Sign-in could not be verified (invalid or reused login request). Please start the sign-in again.",
+    "login.expired": "The sign-in attempt expired. Please try again.",
+    "login.writeGranted": "You can now respond to invitations from the dashboard",
+    "login.writeDenied":
+      "Permission to respond to invitations was not granted for this account",
+
+    "device.title": "Sign in with a Code",
+    "device.open": "On any device with a browser, open",
+    "device.enter": "and enter the code",
+    "device.requesting": "Requesting code...",
+    "device.waiting": "Waiting for you to sign in...",
+    "device.startFailed": "Failed to start device login",
+    "device.declined": "Sign-in was declined.",
+    "device.expired": "The code expired. Please start again.",
+    "device.failed": "Sign-in failed. Please try again.",
+
+    "view.day": "Day",
+    "view.week": "Week",
+    "view.agenda": "Agenda",
+    "view.allAccounts": "All Accounts",
+    "view.allAccountsHint": "Alt+M to show all accounts together",
+    "view.previous": "Previous",
+    "view.next": "Next",
+    "view.today": "Today",
+    "view.titleToday": "Today's Events",
+    "view.titleDay": "Events",
+    "view.titleWeek": "Week",
+    "view.titleAgenda": "Agenda",
+    "view.titleMerged": "{title} - All Accounts",
+
+    "events.loading": "Loading calendar events...",
+    "events.noneToday": "No events today",
+    "events.noneTodayHint": "You have a free day! Enjoy your time.",
+    "events.noneDay": "No events on this day",
+    "events.noneDayHint": "Nothing is scheduled for this day.",
+    "events.noneUpcoming": "No upcoming events",
+    "events.noneUpcomingHint": "Nothing is scheduled in this period.",
+    "events.none": "No events",
+    "events.loadFailed": "Failed to load events",
+    "events.loadFailedCached": "Failed to load events. Showing cached data.",
+    "events.loadFailedNoCache":
+      "Failed to load events and no cached data available.",
+    "events.offlineRefresh": "Cannot refresh while offline. Showing cached data.",
+    "events.networkError": "Network error. Showing cached data.",
+    "events.switchedTo": "Switched to {name}",
+    "events.doubleBooked": {
+      one: "{count} event is double-booked across accounts",
+      other: "{count} events are double-booked across accounts",
+    },
+
+    "event.doubleBookedWith": "Double-booked with {names}",
+    "event.anotherEvent": "another event",
+    "event.otherAccount": "other account",
+    "event.onlineMeeting": "Online Meeting",
+    "event.join": "Join",
+    "event.details": "Details",
+    "event.allDay": "All day",
+    "event.allDayRange": "All day, {start} - {end}",
+    "event.attendees": {
+      one: "{count} attendee, {accepted} accepted",
+      other: "{count} attendees, {accepted} accepted",
+    },
+    "event.optional": "(optional)",
+    "event.comment": "Comment for the organizer (optional)",
+
+    "badge.accepted": "Accepted",
+    "badge.tentative": "Tentative",
+    "badge.declined": "Declined",
+    "badge.notResponded": "Not responded",
+    "badge.organizer": "Organizer",
+    "badge.free": "Free",
+    "badge.oof": "Out of office",
+    "badge.workingElsewhere": "Working elsewhere",
+    "badge.cancelled": "Cancelled",
+    "badge.highImportance": "High importance",
+
+    "rsvp.consentHint": "Sign in again to allow responding to invitations",
+    "rsvp.fromDashboard": "Respond from the dashboard",
+    "rsvp.accept": "Accept",
+    "rsvp.tentative": "Tentative",
+    "rsvp.decline": "Decline",
+    "rsvp.failed": "Failed to send the response",
+    "rsvp.sent": "Response sent",
+
+    "create.newEvent": "New Event",
+    "create.blockTime": "Block time",
+    "create.block30": "Block next free 30 min",
+    "create.block60": "Block next free 60 min",
+    "create.account": "Account",
+    "create.calendar": "Calendar",
+    "create.subject": "Subject",
+    "create.start": "Start",
+    "create.end": "End",
+    "create.location": "Location",
+    "create.online": "Online meeting",
+    "create.attendees": "Attendees",
+    "create.attendeesHint":
+      "Attendees receive an invitation as soon as the event is created.",
+    "create.submit": "Create",
+    "create.noAccount": "Connect a Microsoft account to create events",
+    "create.endBeforeStart": "The end must be after the start",
+    "create.created": "Created \"{subject}\"",
+    "create.blockNeedsAccount": "Switch to a Microsoft account to block time",
+    "create.blocked": "Blocked {time} for {subject}",
+    "create.consentConfirm":
+      "This account has not allowed changes from the dashboard yet. Sign in again to allow them?",
+    "create.failed": "Failed to create the event",
+
+    "search.title": "Search",
+    "search.tooShort": "Enter at least two characters to search",
+    "search.resultsFor": "Results for \"{query}\"",
+    "search.failed": "Search failed",
+    "search.none": "No matching events.",
+
+    "free.title": "Find a Time",
+    "free.intro": "Free in every connected account, within working hours.",
+    "free.length": "Length",
+    "free.range": "Range",
+    "free.30": "30 min",
+    "free.60": "1 hour",
+    "free.90": "1.5 hours",
+    "free.120": "2 hours",
+    "free.today": "Today",
+    "free.next7": "Next 7 days",
+    "free.next14": "Next 14 days",
+    "free.find": "Find",
+    "free.failed": "Failed to find free slots",
+    "free.cachedNote": "Based on cached events for {names}",
+    "free.none":
+      "No common free time of {minutes} minutes between {start} and {end}.",
+    "free.book": "Book",
+
+    "info.title": "Dashboard Info",
+    "info.autoRefresh": "Auto-refresh:",
+    "info.autoRefreshValue": "Every 60±10 seconds",
+    "info.currentUser": "Current User:",
+    "info.eventsInView": "Events in View:",
+    "info.connectedAccounts": "Connected Accounts:",
+
+    "write.enabled": "Can respond to invitations and create events",
+    "write.turnOff": "Turn off",
+    "write.allow": "Allow responding to invitations and creating events",
+    "write.updateFailed": "Failed to update the account",
+    "write.disabled": "Changes from the dashboard turned off",
+
+    "cache.cleared": "Cache cleared successfully!",
+    "cache.allCleared": "All caches cleared! Refresh the page to see changes.",
+    "cache.clearFailed": "Failed to clear cache",
+
+    "settings.title": "Account Management & Settings",
+    "settings.quickSwitch": "Quick Switch Account",
+    "settings.quickSwitchHint": "Click on any account to switch to it instantly",
+    "settings.accounts": "Connected Accounts",
+    "settings.accountsHint": "Manage your Microsoft accounts and their permissions",
+    "settings.addAccount": "Add Another Microsoft Account",
+    "settings.addWithCode": "Add Account with a Code (headless servers)",
+    "settings.noAccounts": "No accounts connected",
+    "settings.current": "Current",
+    "settings.updated": "Updated {time}",
+    "settings.calendars": "Calendars",
+    "settings.calendarsHint":
+      "Choose which calendars of each account are shown and refreshed, including team and shared calendars, and the color of their events.",
+    "settings.timeZone": "Time Zone & Language",
+    "settings.timeZoneHint":
+      "Events are shown in the display time zone of this browser. Each account fetches its day in its own time zone, leave it empty to use the server default.",
+    "settings.reminders": "Meeting Reminders",
+    "settings.remindersHint":
+      "Get a system notification before meetings start, even while this tab is in the background. Enter the lead times in minutes, separated by commas; leave empty to turn reminders off for an account.",
+    "settings.feeds": "Calendar Feeds (ICS)",
+    "settings.feedsHint":
+      "Subscribe to an account's cached events from phone calendar apps, scripts or status displays. Anyone with the URL can read the feed; rotate it to revoke access.",
+    "settings.shortcuts": "Keyboard Shortcuts",
+    "settings.devTools": "Developer Tools",
+    "settings.devToolsHint": "Use these tools if the app is not updating properly",
+    "settings.clearCache": "Clear Cache",
+    "settings.forceRefresh": "Force Refresh",
+    "settings.clearCacheLabel": "Clear Cache:",
+    "settings.clearCacheHint": "Removes stored app data",
+    "settings.forceRefreshLabel": "Force Refresh:",
+    "settings.forceRefreshHint": "Reloads app from server",
+    "settings.appInfo": "Application Information",
+    "settings.version": "Version:",
+    "settings.autoRefresh": "Auto-refresh:",
+    "settings.autoRefreshValue": "60±10 seconds",
+    "settings.offline": "Offline Support:",
+    "settings.offlineValue": "Enabled (PWA)",
+    "settings.multiUser": "Multi-User:",
+    "settings.multiUserValue": "Supported",
+
+    "shortcuts.switch": "Switch users",
+    "shortcuts.add": "Add account",
+    "shortcuts.merged": "All accounts view",
+    "shortcuts.settings": "Open settings",
+    "shortcuts.reload": "Refresh page",
+
+    "calendars.connectFirst": "Connect an account to choose calendars.",
+    "calendars.none": "No calendars found",
+    "calendars.color": "Event color",
+    "calendars.default": "Default",
+    "calendars.selectOne": "Select at least one calendar",
+    "calendars.saveFailed": "Failed to save calendars",
+    "calendars.saved": "Calendars saved, events are being refreshed",
+
+    "display.timeZone": "Display time zone",
+    "display.language": "Language",
+    "display.languageAuto": "Browser default ({language})",
+    "display.dateFormat": "Date format",
+    "display.dateFormatAuto": "Default ({locale})",
+    "display.unknownZone": "Unknown time zone: {zone}",
+    "display.saved": "Display settings saved",
+    "timezone.serverDefault": "Server default",
+    "timezone.saveFailed": "Failed to save time zone",
+    "timezone.saved": "Time zone set to {zone}",
+
+    "reminders.unsupported": "This browser does not support notifications.",
+    "reminders.enabled": "Notifications enabled",
+    "reminders.blocked": "Notifications blocked",
+    "reminders.blockedHint": "Allow notifications for this site in the browser settings.",
+    "reminders.enable": "Enable notifications",
+    "reminders.off": "Off",
+    "reminders.minutesBefore": "min before",
+    "reminders.enabledToast": "Meeting reminders enabled",
+    "reminders.notAllowed": "Notifications were not allowed",
+    "reminders.invalid": "Enter lead times as whole minutes, e.g. 10, 1",
+    "reminders.saveFailed": "Failed to save reminders",
+    "reminders.saved": "Reminder times saved",
+    "reminders.turnedOff": "Reminders turned off for this account",
+    "reminders.startsIn": "Starts in {minutes} min",
+    "reminders.startingNow": "Starting now",
+    "reminders.upcoming": "Upcoming meeting",
+
+    "feeds.connectFirst": "Connect an account to create a feed.",
+    "feeds.notEnabled": "Feed not enabled",
+    "feeds.copy": "Copy URL",
+    "feeds.rotate": "Rotate secret",
+    "feeds.disable": "Disable feed",
+    "feeds.enable": "Enable",
+    "feeds.rotated": "Feed URL updated. Old URLs no longer work.",
+    "feeds.rotateFailed": "Failed to update the calendar feed",
+    "feeds.disabled": "Calendar feed disabled",
+    "feeds.disableFailed": "Failed to disable the calendar feed",
+    "feeds.copied": "Feed URL copied to clipboard",
+
+    "accounts.switchHint": "Alt+{number} to switch to this account",
+    "accounts.addHint": "Alt+A to add account",
+    "accounts.add": "Add Account",
+    "accounts.removed": "Removed account: {name}",
+    "accounts.removeFailed": "Failed to remove account",
+
+    "access.pageTitle": "Sign in - MS Graph Calendar WebUI",
+    "access.heading": "Dashboard Sign in",
+    "access.intro": "Enter the dashboard password or an access token",
+    "access.password": "Password",
+    "access.token": "Access Token",
+    "access.tokenPlaceholder": "Access token",
+    "access.signIn": "Sign in",
+    "access.failed": "Sign in failed",
+    "access.invalid": "Invalid password or token",
+    "access.unreachable": "Cannot reach the server",
+
+    "kiosk.pageTitle": "Kiosk - MS Graph Calendar WebUI",
+    "kiosk.free": "Free",
+    "kiosk.busy": "Busy",
+    "kiosk.tentative": "Tentative",
+    "kiosk.oof": "Out of office",
+    "kiosk.onlineMeeting": "Online meeting",
+    "kiosk.waiting": "Waiting for the first calendar refresh",
+    "kiosk.now": "Now",
+    "kiosk.endsIn": "Ends in {countdown}",
+    "kiosk.next": "Next",
+    "kiosk.startsIn": "Starts in {countdown}",
+    "kiosk.moreToday": "{count} more today",
+    "kiosk.noUpcoming": "No upcoming meetings",
+    "kiosk.updated": "Updated {time}",
+    "kiosk.staleData": "{error} - showing data from {time}",
+    "kiosk.accessRevoked": "Kiosk access is no longer valid",
+    "kiosk.loadFailed": "Cannot load calendars",
+    "kiosk.noCalendars": "No calendars to show",
+    "kiosk.unreachable": "Cannot reach the server",
+  },
+
+  "zh-CN": {
+    "common.save": "保存",
+    "common.cancel": "取消",
+    "common.close": "关闭",
+    "common.user": "用户",
+    "common.unavailableOffline": "离线时不可用",
+    "common.loading": "加载中...",
+
+    "status.online": "在线",
+    "status.offline": "离线",
+    "status.checking": "检查中...",
+
+    "nav.search": "搜索日程",
+    "nav.manualRefresh": "手动刷新",
+    "nav.signIn": "使用 Microsoft 登录",
+    "nav.settings": "设置",
+    "nav.logoutUser": "注销当前用户",
+    "nav.signOutDashboard": "退出仪表板",
+
+    "refresh.title": "从服务器刷新数据",
+    "refresh.offlineTitle": "离线时无法刷新 - 正在显示缓存数据",
+    "refresh.refreshing": "正在刷新...",
+    "refresh.now": "立即刷新",
+    "refresh.live": "实时更新已连接",
+    "refresh.pausedOffline": "自动刷新已暂停（离线）",
+    "refresh.nextIn": "下次刷新：{seconds} 秒后",
+    "refresh.nextUnknown": "下次刷新：--",
+    "refresh.pausedAccount": "刷新已暂停，请使用此帐户重新登录",
+    "refresh.throttled": "受到 Microsoft Graph 限流",
+    "refresh.failures": { other: "{count} 次刷新失败" },
+    "refresh.retrying": "{reason}，将于 {time} 重试",
+    "refresh.later": "稍后",
+
+    "update.never": "从未更新",
+    "update.last": "最后更新：{time}",
+    "update.lastCached": "最后更新：{time}（缓存）",
+    "update.available": "有可用的应用更新！",
+    "update.now": "立即更新",
+
+    "login.welcome": "欢迎使用 MS Graph Calendar WebUI",
+    "login.intro": "使用 Microsoft 帐户登录以查看日历中的日程",
+    "login.withCode": "在另一台设备上使用代码登录",
+    "login.success": "登录成功！",
+    "login.authFailed": "身份验证失败，请重试。",
+    "login.invalidState": "无法验证登录（登录请求无效或已被使用）。请重新开始登录。",
+    "login.expired": "登录尝试已过期，请重试。",
+    "login.writeGranted": "现在可以在仪表板中答复邀请了",
+    "login.writeDenied": "此帐户未授予答复邀请的权限",
+
+    "device.title": "使用代码登录",
+    "device.open": "在任意带浏览器的设备上打开",
+    "device.enter": "并输入代码",
+    "device.requesting": "正在获取代码...",
+    "device.waiting": "正在等待登录...",
+    "device.startFailed": "无法开始设备登录",
+    "device.declined": "登录被拒绝。",
+    "device.expired": "代码已过期，请重新开始。",
+    "device.failed": "登录失败，请重试。",
+
+    "view.day": "日",
+    "view.week": "周",
+    "view.agenda": "议程",
+    "view.allAccounts": "所有帐户",
+    "view.allAccountsHint": "Alt+M 同时显示所有帐户",
+    "view.previous": "上一页",
+    "view.next": "下一页",
+    "view.today": "今天",
+    "view.titleToday": "今日日程",
+    "view.titleDay": "日程",
+    "view.titleWeek": "周视图",
+    "view.titleAgenda": "议程",
+    "view.titleMerged": "{title} - 所有帐户",
+
+    "events.loading": "正在加载日历日程...",
+    "events.noneToday": "今天没有日程",
+    "events.noneTodayHint": "今天没有安排，好好享受吧！",
+    "events.noneDay": "这一天没有日程",
+    "events.noneDayHint": "这一天没有任何安排。",
+    "events.noneUpcoming": "没有即将到来的日程",
+    "events.noneUpcomingHint": "这段时间内没有任何安排。",
+    "events.none": "没有日程",
+    "events.loadFailed": "无法加载日程",
+    "events.loadFailedCached": "无法加载日程，正在显示缓存数据。",
+    "events.loadFailedNoCache": "无法加载日程，且没有可用的缓存数据。",
+    "events.offlineRefresh": "离线时无法刷新，正在显示缓存数据。",
+    "events.networkError": "网络错误，正在显示缓存数据。",
+    "events.switchedTo": "已切换到 {name}",
+    "events.doubleBooked": { other: "{count} 个日程在不同帐户之间时间冲突" },
+
+    "event.doubleBookedWith": "与 {names} 时间冲突",
+    "event.anotherEvent": "另一个日程",
+    "event.otherAccount": "其他帐户",
+    "event.onlineMeeting": "在线会议",
+    "event.join": "加入",
+    "event.details": "详细信息",
+    "event.allDay": "全天",
+    "event.allDayRange": "全天，{start} - {end}",
+    "event.attendees": { other: "{count} 位参与者，{accepted} 位已接受" },
+    "event.optional": "（可选）",
+    "event.comment": "给组织者的留言（可选）",
+
+    "badge.accepted": "已接受",
+    "badge.tentative": "暂定",
+    "badge.declined": "已拒绝",
+    "badge.notResponded": "未答复",
+    "badge.organizer": "组织者",
+    "badge.free": "空闲",
+    "badge.oof": "外出",
+    "badge.workingElsewhere": "在其他地点工作",
+    "badge.cancelled": "已取消",
+    "badge.highImportance": "重要性高",
+
+    "rsvp.consentHint": "重新登录以允许答复邀请",
+    "rsvp.fromDashboard": "在仪表板中答复",
+    "rsvp.accept": "接受",
+    "rsvp.tentative": "暂定",
+    "rsvp.decline": "拒绝",
+    "rsvp.failed": "无法发送答复",
+    "rsvp.sent": "答复已发送",
+
+    "create.newEvent": "新建日程",
+    "create.blockTime": "预留时间",
+    "create.block30": "预留下一个空闲的 30 分钟",
+    "create.block60": "预留下一个空闲的 60 分钟",
+    "create.account": "帐户",
+    "create.calendar": "日历",
+    "create.subject": "主题",
+    "create.start": "开始",
+    "create.end": "结束",
+    "create.location": "地点",
+    "create.online": "在线会议",
+    "create.attendees": "参与者",
+    "create.attendeesHint": "日程创建后，参与者会立即收到邀请。",
+    "create.submit": "创建",
+    "create.noAccount": "请先连接 Microsoft 帐户再创建日程",
+    "create.endBeforeStart": "结束时间必须晚于开始时间",
+    "create.created": "已创建“{subject}”",
+    "create.blockNeedsAccount": "请切换到 Microsoft 帐户以预留时间",
+    "create.blocked": "已为“{subject}”预留 {time}",
+    "create.consentConfirm": "此帐户尚未允许通过仪表板进行更改。要重新登录以允许吗？",
+    "create.failed": "无法创建日程",
+
+    "search.title": "搜索",
+    "search.tooShort": "请至少输入两个字符进行搜索",
+    "search.resultsFor": "“{query}”的搜索结果",
+    "search.failed": "搜索失败",
+    "search.none": "没有匹配的日程。",
+
+    "free.title": "查找时间",
+    "free.intro": "在所有已连接帐户中均空闲，且在工作时间内。",
+    "free.length": "时长",
+    "free.range": "范围",
+    "free.30": "30 分钟",
+    "free.60": "1 小时",
+    "free.90": "1.5 小时",
+    "free.120": "2 小时",
+    "free.today": "今天",
+    "free.next7": "未来 7 天",
+    "free.next14": "未来 14 天",
+    "free.find": "查找",
+    "free.failed": "无法查找空闲时间",
+    "free.cachedNote": "基于 {names} 的缓存日程",
+    "free.none": "在 {start} 至 {end} 之间没有共同空闲的 {minutes} 分钟。",
+    "free.book": "预订",
+
+    "info.title": "仪表板信息",
+    "info.autoRefresh": "自动刷新：",
+    "info.autoRefreshValue": "每 60±10 秒",
+    "info.currentUser": "当前用户：",
+    "info.eventsInView": "当前视图中的日程：",
+    "info.connectedAccounts": "已连接帐户：",
+
+    "write.enabled": "可以答复邀请和创建日程",
+    "write.turnOff": "关闭",
+    "write.allow": "允许答复邀请和创建日程",
+    "write.updateFailed": "无法更新帐户",
+    "write.disabled": "已关闭通过仪表板进行的更改",
+
+    "cache.cleared": "缓存已清除！",
+    "cache.allCleared": "所有缓存已清除！刷新页面以查看更改。",
+    "cache.clearFailed": "无法清除缓存",
+
+    "settings.title": "帐户管理与设置",
+    "settings.quickSwitch": "快速切换帐户",
+    "settings.quickSwitchHint": "点击任意帐户即可立即切换",
+    "settings.accounts": "已连接帐户",
+    "settings.accountsHint": "管理 Microsoft 帐户及其权限",
+    "settings.addAccount": "添加其他 Microsoft 帐户",
+    "settings.addWithCode": "使用代码添加帐户（无界面服务器）",
+    "settings.noAccounts": "没有已连接的帐户",
+    "settings.current": "当前",
+    "settings.updated": "更新于{time}",
+    "settings.calendars": "日历",
+    "settings.calendarsHint": "选择每个帐户显示和刷新的日历（包括团队日历和共享日历）以及日程的颜色。",
+    "settings.timeZone": "时区与语言",
+    "settings.timeZoneHint":
+      "日程按此浏览器的显示时区显示。每个帐户按各自的时区获取当天的日程，留空则使用服务器默认时区。",
+    "settings.reminders": "会议提醒",
+    "settings.remindersHint":
+      "在会议开始前收到系统通知，即使此标签页在后台也可以。以分钟为单位输入提前时间，用逗号分隔；留空则关闭该帐户的提醒。",
+    "settings.feeds": "日历订阅 (ICS)",
+    "settings.feedsHint":
+      "在手机日历应用、脚本或状态显示屏中订阅帐户的缓存日程。任何拥有该 URL 的人都可以读取订阅；轮换 URL 即可撤销访问。",
+    "settings.shortcuts": "键盘快捷键",
+    "settings.devTools": "开发者工具",
+    "settings.devToolsHint": "如果应用未正常更新，请使用这些工具",
+    "settings.clearCache": "清除缓存",
+    "settings.forceRefresh": "强制刷新",
+    "settings.clearCacheLabel": "清除缓存：",
+    "settings.clearCacheHint": "删除已存储的应用数据",
+    "settings.forceRefreshLabel": "强制刷新：",
+    "settings.forceRefreshHint": "从服务器重新加载应用",
+    "settings.appInfo": "应用信息",
+    "settings.version": "版本：",
+    "settings.autoRefresh": "自动刷新：",
+    "settings.autoRefreshValue": "60±10 秒",
+    "settings.offline": "离线支持：",
+    "settings.offlineValue": "已启用 (PWA)",
+    "settings.multiUser": "多用户：",
+    "settings.multiUserValue": "支持",
+
+    "shortcuts.switch": "切换用户",
+    "shortcuts.add": "添加帐户",
+    "shortcuts.merged": "所有帐户视图",
+    "shortcuts.settings": "打开设置",
+    "shortcuts.reload": "刷新页面",
+
+    "calendars.connectFirst": "请先连接帐户以选择日历。",
+    "calendars.none": "未找到日历",
+    "calendars.color": "日程颜色",
+    "calendars.default": "默认",
+    "calendars.selectOne": "请至少选择一个日历",
+    "calendars.saveFailed": "无法保存日历",
+    "calendars.saved": "日历已保存，正在刷新日程",
+
+    "display.timeZone": "显示时区",
+    "display.language": "语言",
+    "display.languageAuto": "浏览器默认（{language}）",
+    "display.dateFormat": "日期格式",
+    "display.dateFormatAuto": "默认（{locale}）",
+    "display.unknownZone": "未知时区：{zone}",
+    "display.saved": "显示设置已保存",
+    "timezone.serverDefault": "服务器默认",
+    "timezone.saveFailed": "无法保存时区",
+    "timezone.saved": "时区已设置为 {zone}",
+
+    "reminders.unsupported": "此浏览器不支持通知。",
+    "reminders.enabled": "通知已启用",
+    "reminders.blocked": "通知已被阻止",
+    "reminders.blockedHint": "请在浏览器设置中允许此网站发送通知。",
+    "reminders.enable": "启用通知",
+    "reminders.off": "关闭",
+    "reminders.minutesBefore": "分钟前",
+    "reminders.enabledToast": "会议提醒已启用",
+    "reminders.notAllowed": "未允许通知",
+    "reminders.invalid": "请以整数分钟输入提前时间，例如 10, 1",
+    "reminders.saveFailed": "无法保存提醒",
+    "reminders.saved": "提醒时间已保存",
+    "reminders.turnedOff": "已关闭此帐户的提醒",
+    "reminders.startsIn": "{minutes} 分钟后开始",
+    "reminders.startingNow": "即将开始",
+    "reminders.upcoming": "即将召开的会议",
+
+    "feeds.connectFirst": "请先连接帐户以创建订阅。",
+    "feeds.notEnabled": "未启用订阅",
+    "feeds.copy": "复制 URL",
+    "feeds.rotate": "轮换密钥",
+    "feeds.disable": "禁用订阅",
+    "feeds.enable": "启用",
+    "feeds.rotated": "订阅 URL 已更新，旧 URL 已失效。",
+    "feeds.rotateFailed": "无法更新日历订阅",
+    "feeds.disabled": "日历订阅已禁用",
+    "feeds.disableFailed": "无法禁用日历订阅",
+    "feeds.copied": "订阅 URL 已复制到剪贴板",
+
+    "accounts.switchHint": "Alt+{number} 切换到此帐户",
+    "accounts.addHint": "Alt+A 添加帐户",
+    "accounts.add": "添加帐户",
+    "accounts.removed": "已移除帐户：{name}",
+    "accounts.removeFailed": "无法移除帐户",
+
+    "access.pageTitle": "登录 - MS Graph Calendar WebUI",
+    "access.heading": "登录仪表板",
+    "access.intro": "请输入仪表板密码或访问令牌",
+    "access.password": "密码",
+    "access.token": "访问令牌",
+    "access.tokenPlaceholder": "访问令牌",
+    "access.signIn": "登录",
+    "access.failed": "登录失败",
+    "access.invalid": "密码或令牌无效",
+    "access.unreachable": "无法连接到服务器",
+
+    "kiosk.pageTitle": "展示屏 - MS Graph Calendar WebUI",
+    "kiosk.free": "空闲",
+    "kiosk.busy": "忙碌",
+    "kiosk.tentative": "暂定",
+    "kiosk.oof": "外出",
+    "kiosk.onlineMeeting": "在线会议",
+    "kiosk.waiting": "正在等待首次刷新日历",
+    "kiosk.now": "当前",
+    "kiosk.endsIn": "{countdown} 后结束",
+    "kiosk.next": "下一个",
+    "kiosk.startsIn": "{countdown} 后开始",
+    "kiosk.moreToday": "今天还有 {count} 个",
+    "kiosk.noUpcoming": "没有即将召开的会议",
+    "kiosk.updated": "更新于 {time}",
+    "kiosk.staleData": "{error} - 显示 {time} 的数据",
+    "kiosk.accessRevoked": "展示屏访问已失效",
+    "kiosk.loadFailed": "无法加载日历",
+    "kiosk.noCalendars": "没有可显示的日历",
+    "kiosk.unreachable": "无法连接到服务器",
+  },
+};
+
+// Languages offered in the settings, named in their own language
+const LANGUAGES = [
+  ["en", "English"],
+  ["zh-CN", "简体中文"],
+];
+
+class I18n {
+  constructor() {
+    // Empty means the browser's language
+    this.override = localStorage.getItem("language") || "";
+    this.language = this.override || this.detectLanguage();
+  }
+
+  detectLanguage() {
+    return this.matchLanguage(navigator.languages || [navigator.language]) || "en";
+  }
+
+  // First tag with a catalog; other regions of a language use its catalog (zh-TW reads zh-CN)
+  matchLanguage(tags) {
+    const available = Object.keys(MESSAGES);
+    for (const tag of tags.filter(Boolean)) {
+      const exact = available.find(
+        (language) => language.toLowerCase() === tag.toLowerCase()
+      );
+      const primary = available.find(
+        (language) =>
+          language.split("-")[0] === tag.split("-")[0].toLowerCase()
+      );
+      if (exact || primary) {
+        return exact || primary;
+      }
+    }
+    return null;
+  }
+
+  setLanguage(language) {
+    this.override = MESSAGES[language] ? language : "";
+    if (this.override) {
+      localStorage.setItem("language", this.override);
+    } else {
+      localStorage.removeItem("language");
+    }
+    this.language = this.override || this.detectLanguage();
+  }
+
+  // Missing translations fall back to English, then to the key itself
+  t(key, params = {}) {
+    let message = MESSAGES[this.language][key] ?? MESSAGES.en[key] ?? key;
+    if (typeof message === "object") {
+      const category = new Intl.PluralRules(this.language).select(params.count);
+      message = message[category] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      name in params ? String(params[name]) : placeholder
+    );
+  }
+
+  // Static markup names its messages in data-i18n (text), data-i18n-placeholder, data-i18n-title and data-i18n-label
+  translatePage(root = document) {
+    document.documentElement.lang = this.language;
+    const attributes = [
+      ["data-i18n-placeholder", "placeholder"],
+      ["data-i18n-title", "title"],
+      ["data-i18n-label", "aria-label"],
+    ];
+    root.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    for (const [source, target] of attributes) {
+      root.querySelectorAll(`[${source}]`).forEach((element) => {
+        element.setAttribute(target, this.t(element.getAttribute(source)));
+      });
+    }
+  }
+
+  // "5 minutes ago", "yesterday", "in 2 hours" in the interface language
+  formatRelativeTime(date, now = Date.now()) {
+    const seconds = Math.round((new Date(date).getTime() - now) / 1000);
+    const format = new Intl.RelativeTimeFormat(this.language, { numeric: "auto" });
+    const units = [
+      ["day", 86400],
+      ["hour", 3600],
+      ["minute", 60],
+    ];
+    for (const [unit, size] of units) {
+      if (Math.abs(seconds) >= size) {
+        return format.format(Math.trunc(seconds / size), unit);
+      }
+    }
+    return Math.abs(seconds) < 30
+      ? format.format(0, "second")
+      : format.format(seconds, "second");
+  }
+}
+
+const i18n = new I18n();
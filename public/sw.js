@@ -1,7 +1,11 @@
-const CACHE_NAME = 'calendar-webui-v2';
+const CACHE_NAME = 'calendar-webui-v3';
+// Reminder state lives in its own cache so app updates don't drop it
+const REMINDER_CACHE = 'calendar-reminders';
+const REMINDER_STATE_URL = '/__reminders__';
 const urlsToCache = [
   '/',
   '/app.js',
+  '/i18n.js',
   '/manifest.json',
   'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
@@ -73,7 +77,7 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== REMINDER_CACHE) {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -101,6 +105,123 @@ self.addEventListener('message', (event) => {
           event.ports[0].postMessage({ success: true });
         });
         break;
+      case 'SCHEDULE_REMINDERS':
+        event.waitUntil(scheduleReminders(event.data.reminders || [], event.data.labels));
+        break;
+      case 'CHECK_REMINDERS':
+        event.waitUntil(checkReminders());
+        break;
     }
   }
 });
+
+// Meeting reminders
+// The page sends the upcoming reminders from /api/reminders and pings every 30 seconds.
+// The browser stops idle workers and their timers with them, so due reminders are worked
+// out from the stored schedule on every ping instead of with timers.
+
+// Notification texts in the page's language, sent along with the schedule
+const DEFAULT_REMINDER_LABELS = {
+  startsIn: 'Starts in {minutes} min',
+  startingNow: 'Starting now',
+  upcoming: 'Upcoming meeting',
+  join: 'Join'
+};
+
+function getReminderKey(reminder) {
+  return `${reminder.userId}:${reminder.eventId}:${reminder.start}:${reminder.leadMinutes}`;
+}
+
+async function loadReminderState() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(REMINDER_STATE_URL);
+  if (!response) {
+    return { reminders: [], shown: [] };
+  }
+  return response.json();
+}
+
+async function saveReminderState(state) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(REMINDER_STATE_URL, new Response(JSON.stringify(state), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+async function scheduleReminders(reminders, labels) {
+  const state = await loadReminderState();
+  state.labels = labels || state.labels;
+  // Only remember shown reminders that are still in the schedule
+  const keys = new Set(reminders.map(getReminderKey));
+  state.reminders = reminders;
+  state.shown = state.shown.filter((key) => keys.has(key));
+  await saveReminderState(state);
+  await checkReminders();
+}
+
+async function checkReminders() {
+  const state = await loadReminderState();
+  const shown = new Set(state.shown);
+  const now = Date.now();
+
+  // Reminders are due from their reminder time until the meeting starts
+  const due = state.reminders.filter((reminder) =>
+    !shown.has(getReminderKey(reminder)) &&
+    new Date(reminder.remindAt).getTime() <= now &&
+    new Date(reminder.start).getTime() > now
+  );
+  if (due.length === 0) {
+    return;
+  }
+
+  for (const reminder of due) {
+    shown.add(getReminderKey(reminder));
+    await showReminder(reminder, { ...DEFAULT_REMINDER_LABELS, ...state.labels });
+  }
+  state.shown = Array.from(shown);
+  await saveReminderState(state);
+}
+
+async function showReminder(reminder, labels) {
+  if (Notification.permission !== 'granted') {
+    return;
+  }
+
+  const minutes = Math.max(0, Math.round((new Date(reminder.start).getTime() - Date.now()) / 60000));
+  const details = [
+    minutes > 0 ? labels.startsIn.replace('{minutes}', minutes) : labels.startingNow,
+    reminder.location,
+    reminder.accountName
+  ].filter(Boolean);
+
+  await self.registration.showNotification(reminder.subject || labels.upcoming, {
+    body: details.join(' · '),
+    // Reminders for the same meeting replace each other
+    tag: `${reminder.userId}:${reminder.eventId}`,
+    renotify: true,
+    requireInteraction: true,
+    data: { onlineMeetingUrl: reminder.onlineMeetingUrl, userId: reminder.userId },
+    actions: reminder.onlineMeetingUrl ? [{ action: 'join', title: labels.join }] : []
+  });
+}
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { onlineMeetingUrl } = event.notification.data || {};
+
+  if (event.action === 'join' && onlineMeetingUrl) {
+    event.waitUntil(self.clients.openWindow(onlineMeetingUrl));
+    return;
+  }
+
+  // Focus an open dashboard or open a new one
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const dashboard = windowClients.find((client) => new URL(client.url).origin === self.location.origin);
+      if (dashboard) {
+        return dashboard.focus();
+      }
+      return self.clients.openWindow('/');
+    })
+  );
+});
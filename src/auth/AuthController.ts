@@ -1,31 +1,54 @@
 import { CacheManager, type TokenData } from "../services/CacheManager.ts";
-import { CalendarService } from "../services/CalendarService.ts";
+import { GraphCalendarProvider } from "../providers/GraphCalendarProvider.ts";
+import { PendingLoginStore } from "./PendingLoginStore.ts";
+import { DeviceLoginStore } from "./DeviceLoginStore.ts";
+import { metrics } from "../services/Metrics.ts";
+import { getAuthorityUrl, getRedirectUri, getScopeString, includesScope, WRITE_SCOPE, type AppConfig } from "../config/Config.ts";
+
+type AccountAddedListener = (userId: string, sessionId?: string) => void;
 
 export class AuthController {
   private cacheManager: CacheManager;
-  private calendarService: CalendarService;
+  private pendingLogins: PendingLoginStore;
+  private deviceLogins: DeviceLoginStore;
+  private config: AppConfig;
+  private accountAddedListeners: AccountAddedListener[] = [];
+  // Accounts whose refresh token was rejected, they need an interactive sign-in
+  private reauthRequired: Set<string> = new Set();
+
+  constructor(cacheManager: CacheManager, config: AppConfig) {
+    this.cacheManager = cacheManager;
+    this.config = config;
+    this.pendingLogins = new PendingLoginStore();
+    this.deviceLogins = new DeviceLoginStore();
+  }
 
-  constructor(cacheManager?: CacheManager) {
-    this.cacheManager = cacheManager || new CacheManager();
-    this.calendarService = new CalendarService();
+  // Notified after a Microsoft account has signed in and its tokens are stored
+  public onAccountAdded(listener: AccountAddedListener): void {
+    this.accountAddedListeners.push(listener);
   }
 
-  public async initiateLogin(): Promise<Response> {
+  public async initiateLogin(sessionId?: string, extraScopes: string[] = [], loginHint?: string): Promise<Response> {
     try {
-      const clientId = process.env.AZURE_CLIENT_ID;
+      const clientId = this.config.azure.clientId;
       if (!clientId) {
-        throw new Error("AZURE_CLIENT_ID environment variable is required");
+        throw new Error("Azure client ID is not configured (azure.clientId or AZURE_CLIENT_ID)");
       }
 
-      const state = Math.random().toString(36).substring(2, 15);
-      const redirectUri = `http://localhost:${process.env.PORT || 3000}/auth/callback`;
+      const { state, codeChallenge } = this.pendingLogins.create(sessionId, extraScopes);
+      const redirectUri = getRedirectUri(this.config);
       
-      const authUrl = new URL("https://login.microsoftonline.com/common/oauth2/v2.0/authorize");
+      const authUrl = new URL(`${getAuthorityUrl(this.config)}/authorize`);
       authUrl.searchParams.set("client_id", clientId);
       authUrl.searchParams.set("response_type", "code");
       authUrl.searchParams.set("redirect_uri", redirectUri);
-      authUrl.searchParams.set("scope", "https://graph.microsoft.com/Calendars.Read https://graph.microsoft.com/User.Read offline_access");
+      authUrl.searchParams.set("scope", getScopeString(this.config, extraScopes));
+      if (loginHint) {
+        authUrl.searchParams.set("login_hint", loginHint);
+      }
       authUrl.searchParams.set("state", state);
+      authUrl.searchParams.set("code_challenge", codeChallenge);
+      authUrl.searchParams.set("code_challenge_method", "S256");
       authUrl.searchParams.set("response_mode", "query");
 
       return Response.redirect(authUrl.toString());
@@ -35,27 +58,54 @@ export class AuthController {
     }
   }
 
+  // Incremental consent: sign the account in again asking for Calendars.ReadWrite as well
+  public async initiateWriteConsent(userId: string, sessionId?: string): Promise<Response> {
+    return this.initiateLogin(sessionId, [WRITE_SCOPE], this.cacheManager.getUserProfile(userId)?.email);
+  }
+
+  public hasWriteAccess(userId: string): boolean {
+    return !!this.cacheManager.getUserSettings(userId).writeAccess;
+  }
+
+  // Stop requesting the write scope, the consent itself stays until it is revoked in the Microsoft account
+  public disableWriteAccess(userId: string): void {
+    this.cacheManager.updateUserSettings(userId, { writeAccess: undefined });
+  }
+
+  // Scopes to request for an account, including the write scope once it opted in
+  private getUserScopeString(userId: string): string {
+    return getScopeString(this.config, this.hasWriteAccess(userId) ? [WRITE_SCOPE] : []);
+  }
+
   public async handleCallback(code: string, state: string | null): Promise<Response> {
+    // Reject callbacks that don't belong to a login started by this daemon
+    const pending = this.pendingLogins.consume(state);
+    if (pending.status !== 'valid') {
+      console.warn(`Rejected authentication callback: ${pending.status} state`);
+      return Response.redirect(pending.status === 'expired' ? "/?error=login_expired" : "/?error=invalid_state");
+    }
+
     try {
-      const clientId = process.env.AZURE_CLIENT_ID;
+      const clientId = this.config.azure.clientId;
       if (!clientId) {
-        throw new Error("AZURE_CLIENT_ID environment variable is required");
+        throw new Error("Azure client ID is not configured (azure.clientId or AZURE_CLIENT_ID)");
       }
 
-      const redirectUri = `http://localhost:${process.env.PORT || 3000}/auth/callback`;
+      const redirectUri = getRedirectUri(this.config);
       
       // Exchange authorization code for access token
-      const tokenResponse = await fetch("https://login.microsoftonline.com/common/oauth2/v2.0/token", {
+      const tokenResponse = await fetch(`${getAuthorityUrl(this.config)}/token`, {
         method: "POST",
         headers: {
           "Content-Type": "application/x-www-form-urlencoded",
         },
         body: new URLSearchParams({
           client_id: clientId,
-          scope: "https://graph.microsoft.com/Calendars.Read https://graph.microsoft.com/User.Read offline_access",
+          scope: getScopeString(this.config, pending.login.extraScopes),
           code: code,
           redirect_uri: redirectUri,
           grant_type: "authorization_code",
+          code_verifier: pending.login.codeVerifier,
         }),
       });
 
@@ -65,41 +115,172 @@ export class AuthController {
       }
 
       const tokenData = await tokenResponse.json();
-      const accessToken = tokenData.access_token;
-      const refreshToken = tokenData.refresh_token;
-      const expiresIn = tokenData.expires_in; // seconds
+      const userId = await this.completeLogin(tokenData, pending.login.sessionId);
 
-      if (!accessToken) {
-        throw new Error("No access token received");
+      // Redirect to the main page with success
+      const consent = pending.login.extraScopes.length > 0 ? `&writeAccess=${this.hasWriteAccess(userId)}` : "";
+      const redirectUrl = `/?userId=${encodeURIComponent(userId)}&loginSuccess=true${consent}`;
+      return Response.redirect(redirectUrl);
+    } catch (error) {
+      console.error("Authentication callback error:", error);
+      return Response.redirect("/?error=auth_failed");
+    }
+  }
+
+  // Start a device code login for machines where the browser redirect can't reach the daemon
+  public async startDeviceLogin(sessionId?: string): Promise<Response> {
+    try {
+      const clientId = this.config.azure.clientId;
+      if (!clientId) {
+        throw new Error("Azure client ID is not configured (azure.clientId or AZURE_CLIENT_ID)");
       }
 
-      // Get user profile from Microsoft Graph
-      const userProfile = await this.calendarService.getUserProfile(accessToken);
-      const userId = userProfile.id;
+      const codeResponse = await fetch(`${getAuthorityUrl(this.config)}/devicecode`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams({
+          client_id: clientId,
+          scope: getScopeString(this.config),
+        }),
+      });
 
-      // Calculate expiry time
-      const expiresAt = expiresIn ? Date.now() + (expiresIn * 1000) : undefined;
+      if (!codeResponse.ok) {
+        const errorText = await codeResponse.text();
+        throw new Error(`Device code request failed: ${errorText}`);
+      }
 
-      // Store the token data and user info
-      this.cacheManager.storeTokenData(userId, {
-        accessToken,
-        refreshToken,
-        expiresAt,
-        tokenType: tokenData.token_type || 'Bearer'
+      const codeData = await codeResponse.json();
+      const flowId = this.deviceLogins.create({
+        deviceCode: codeData.device_code,
+        expiresAt: Date.now() + codeData.expires_in * 1000,
+        interval: codeData.interval || 5,
+        sessionId
+      });
+
+      // The device code itself stays on the server, the browser only polls by flow ID
+      return new Response(JSON.stringify({
+        flowId,
+        userCode: codeData.user_code,
+        verificationUri: codeData.verification_uri,
+        expiresIn: codeData.expires_in,
+        interval: codeData.interval || 5,
+        message: codeData.message
+      }), {
+        headers: { "Content-Type": "application/json" }
       });
-      this.cacheManager.storeUserProfile(userId, {
-        id: userId,
-        name: userProfile.name,
-        email: userProfile.email
+    } catch (error) {
+      console.error("Device login initiation error:", error);
+      return new Response(JSON.stringify({ error: "Failed to start device login" }), {
+        status: 500,
+        headers: { "Content-Type": "application/json" }
       });
+    }
+  }
 
-      // Redirect to the main page with success
-      const redirectUrl = `/?userId=${encodeURIComponent(userId)}&loginSuccess=true`;
-      return Response.redirect(redirectUrl);
+  public async pollDeviceLogin(flowId: string, sessionId?: string): Promise<Response> {
+    const json = (body: object, status = 200) => new Response(JSON.stringify(body), {
+      status,
+      headers: { "Content-Type": "application/json" }
+    });
+
+    const flow = this.deviceLogins.get(flowId);
+    if (!flow || flow.sessionId !== sessionId) {
+      return json({ status: "invalid", error: "Unknown device login" }, 404);
+    }
+    if (Date.now() >= flow.expiresAt) {
+      this.deviceLogins.delete(flowId);
+      return json({ status: "expired" });
+    }
+    // Polling faster than Microsoft allows would be answered with slow_down
+    if (Date.now() - flow.lastPollAt < flow.interval * 1000) {
+      return json({ status: "pending", interval: flow.interval });
+    }
+    flow.lastPollAt = Date.now();
+
+    try {
+      const tokenResponse = await fetch(`${getAuthorityUrl(this.config)}/token`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams({
+          client_id: this.config.azure.clientId,
+          grant_type: "urn:ietf:params:oauth:grant-type:device_code",
+          device_code: flow.deviceCode,
+        }),
+      });
+
+      const tokenData = await tokenResponse.json();
+      if (!tokenResponse.ok) {
+        switch (tokenData.error) {
+          case "authorization_pending":
+            return json({ status: "pending", interval: flow.interval });
+          case "slow_down":
+            flow.interval += 5;
+            return json({ status: "pending", interval: flow.interval });
+          case "authorization_declined":
+            this.deviceLogins.delete(flowId);
+            return json({ status: "declined" });
+          case "expired_token":
+            this.deviceLogins.delete(flowId);
+            return json({ status: "expired" });
+          default:
+            throw new Error(`Device token request failed: ${tokenData.error_description || tokenData.error}`);
+        }
+      }
+
+      this.deviceLogins.delete(flowId);
+      const userId = await this.completeLogin(tokenData, flow.sessionId);
+      return json({ status: "complete", userId });
     } catch (error) {
-      console.error("Authentication callback error:", error);
-      return Response.redirect("/?error=auth_failed");
+      console.error("Device login polling error:", error);
+      this.deviceLogins.delete(flowId);
+      return json({ status: "error", error: "Device login failed" }, 500);
+    }
+  }
+
+  // Store tokens and profile for a freshly signed-in account, shared by all login flows
+  private async completeLogin(tokenData: any, sessionId?: string): Promise<string> {
+    const accessToken = tokenData.access_token;
+    const refreshToken = tokenData.refresh_token;
+    const expiresIn = tokenData.expires_in; // seconds
+
+    if (!accessToken) {
+      throw new Error("No access token received");
     }
+
+    // Get user profile from Microsoft Graph
+    const userProfile = await new GraphCalendarProvider(accessToken).getUserProfile();
+    const userId = userProfile.id;
+
+    // Calculate expiry time
+    const expiresAt = expiresIn ? Date.now() + (expiresIn * 1000) : undefined;
+
+    // Store the token data and user info
+    this.cacheManager.storeTokenData(userId, {
+      accessToken,
+      refreshToken,
+      expiresAt,
+      tokenType: tokenData.token_type || 'Bearer'
+    });
+    this.cacheManager.storeUserProfile(userId, {
+      id: userId,
+      name: userProfile.name,
+      email: userProfile.email
+    });
+    // Tokens list every scope consented so far, so a plain sign-in keeps write access granted earlier
+    const grantedScopes = typeof tokenData.scope === "string" ? tokenData.scope.split(" ") : [];
+    this.cacheManager.updateUserSettings(userId, {
+      writeAccess: includesScope(grantedScopes, WRITE_SCOPE) || undefined
+    });
+
+    this.reauthRequired.delete(userId);
+    for (const listener of this.accountAddedListeners) {
+      listener(userId, sessionId);
+    }
+    return userId;
   }
 
   public async refreshToken(userId: string): Promise<string | null> {
@@ -107,23 +288,25 @@ export class AuthController {
       const tokenData = this.cacheManager.getTokenData(userId);
       if (!tokenData?.refreshToken) {
         console.log(`No refresh token available for user ${userId}`);
+        metrics.tokenRefreshes.inc({ result: "no_refresh_token" });
+        this.reauthRequired.add(userId);
         return null;
       }
 
-      const clientId = process.env.AZURE_CLIENT_ID;
+      const clientId = this.config.azure.clientId;
       if (!clientId) {
-        throw new Error("AZURE_CLIENT_ID environment variable is required");
+        throw new Error("Azure client ID is not configured (azure.clientId or AZURE_CLIENT_ID)");
       }
 
       // Use refresh token to get new access token
-      const tokenResponse = await fetch("https://login.microsoftonline.com/common/oauth2/v2.0/token", {
+      const tokenResponse = await fetch(`${getAuthorityUrl(this.config)}/token`, {
         method: "POST",
         headers: {
           "Content-Type": "application/x-www-form-urlencoded",
         },
         body: new URLSearchParams({
           client_id: clientId,
-          scope: "https://graph.microsoft.com/Calendars.Read https://graph.microsoft.com/User.Read offline_access",
+          scope: this.getUserScopeString(userId),
           refresh_token: tokenData.refreshToken,
           grant_type: "refresh_token",
         }),
@@ -132,6 +315,11 @@ export class AuthController {
       if (!tokenResponse.ok) {
         const errorText = await tokenResponse.text();
         console.error(`Token refresh failed for user ${userId}:`, errorText);
+        metrics.tokenRefreshes.inc({ result: "rejected" });
+        // Revoked, expired or consent-lacking refresh tokens never recover on their own
+        if (tokenResponse.status === 400 && /"error"\s*:\s*"(invalid_grant|interaction_required)"/.test(errorText)) {
+          this.reauthRequired.add(userId);
+        }
         return null;
       }
 
@@ -142,6 +330,7 @@ export class AuthController {
 
       if (!newAccessToken) {
         console.error("No access token received from refresh");
+        metrics.tokenRefreshes.inc({ result: "error" });
         return null;
       }
 
@@ -157,13 +346,20 @@ export class AuthController {
       });
 
       console.log(`Token refreshed successfully for user ${userId}`);
+      metrics.tokenRefreshes.inc({ result: "success" });
+      this.reauthRequired.delete(userId);
       return newAccessToken;
     } catch (error) {
       console.error(`Token refresh error for user ${userId}:`, error);
+      metrics.tokenRefreshes.inc({ result: "error" });
       return null;
     }
   }
 
+  public needsReauthentication(userId: string): boolean {
+    return this.reauthRequired.has(userId);
+  }
+
   public async getValidAccessToken(userId: string): Promise<string | null> {
     // Check if current token is expired
     if (this.cacheManager.isTokenExpired(userId)) {
@@ -0,0 +1,41 @@
+import { randomBytes } from "crypto";
+
+interface DeviceLogin {
+  deviceCode: string;
+  expiresAt: number;
+  // Minimum seconds between token polls, raised when Microsoft answers slow_down
+  interval: number;
+  lastPollAt: number;
+  // Dashboard session that started the login
+  sessionId?: string;
+}
+
+// Device code logins in progress, keyed by an opaque flow ID handed to the browser
+export class DeviceLoginStore {
+  private pending: Map<string, DeviceLogin> = new Map();
+
+  public create(login: Omit<DeviceLogin, 'lastPollAt'>): string {
+    this.purgeExpired();
+
+    const flowId = randomBytes(24).toString('base64url');
+    this.pending.set(flowId, { ...login, lastPollAt: 0 });
+    return flowId;
+  }
+
+  public get(flowId: string): DeviceLogin | undefined {
+    return this.pending.get(flowId);
+  }
+
+  public delete(flowId: string): void {
+    this.pending.delete(flowId);
+  }
+
+  private purgeExpired(): void {
+    const now = Date.now();
+    for (const [flowId, login] of this.pending) {
+      if (login.expiresAt <= now) {
+        this.pending.delete(flowId);
+      }
+    }
+  }
+}
@@ -0,0 +1,61 @@
+import { randomBytes, createHash } from "crypto";
+
+interface PendingLogin {
+  codeVerifier: string;
+  createdAt: number;
+  // Dashboard session that started the login
+  sessionId?: string;
+  // Scopes requested on top of the configured ones, the code is redeemed with the same scopes
+  extraScopes: string[];
+}
+
+type ConsumeResult =
+  | { status: 'valid'; login: PendingLogin }
+  | { status: 'expired' }
+  | { status: 'invalid' };
+
+// Server-side record of login attempts, keyed by the OAuth state parameter
+export class PendingLoginStore {
+  private pending: Map<string, PendingLogin> = new Map();
+  private readonly ttlMs = 10 * 60 * 1000; // 10 minutes to complete the sign-in
+
+  // Issue a new state and PKCE code challenge (S256) for an authorization request
+  public create(sessionId?: string, extraScopes: string[] = []): { state: string; codeChallenge: string } {
+    this.purgeStale();
+
+    const state = randomBytes(32).toString('base64url');
+    const codeVerifier = randomBytes(32).toString('base64url');
+    const codeChallenge = createHash('sha256').update(codeVerifier).digest('base64url');
+
+    this.pending.set(state, { codeVerifier, createdAt: Date.now(), sessionId, extraScopes });
+    return { state, codeChallenge };
+  }
+
+  // Each state can only be used once, whether or not it is still valid
+  public consume(state: string | null): ConsumeResult {
+    if (!state) {
+      return { status: 'invalid' };
+    }
+
+    const login = this.pending.get(state);
+    if (!login) {
+      return { status: 'invalid' };
+    }
+    this.pending.delete(state);
+
+    if (Date.now() - login.createdAt > this.ttlMs) {
+      return { status: 'expired' };
+    }
+    return { status: 'valid', login };
+  }
+
+  // Expired attempts are kept a while longer so they can be reported as expired rather than unknown
+  private purgeStale(): void {
+    const cutoff = Date.now() - this.ttlMs * 6;
+    for (const [state, login] of this.pending) {
+      if (login.createdAt < cutoff) {
+        this.pending.delete(state);
+      }
+    }
+  }
+}
@@ -0,0 +1,170 @@
+import { randomBytes, createHash, timingSafeEqual } from "crypto";
+import { CacheManager, type DashboardSession, type UserProfile } from "../services/CacheManager.ts";
+import type { AppConfig } from "../config/Config.ts";
+
+interface Session extends DashboardSession {
+  id: string;
+}
+
+const SESSION_COOKIE = "dashboard_session";
+
+// Used for every request when no password or token is configured
+const OPEN_SESSION: Session = {
+  id: "open",
+  createdAt: 0,
+  expiresAt: Number.MAX_SAFE_INTEGER,
+  label: "open access",
+  accountIds: null
+};
+
+// Dashboard login with a configured password or access token, tracked by an HttpOnly session cookie
+export class SessionManager {
+  private cacheManager: CacheManager;
+  private config: AppConfig;
+
+  constructor(cacheManager: CacheManager, config: AppConfig) {
+    this.cacheManager = cacheManager;
+    this.config = config;
+    this.cacheManager.purgeExpiredSessions();
+  }
+
+  public isEnabled(): boolean {
+    return !!this.config.access.password || this.config.access.tokens.length > 0;
+  }
+
+  // Returns the session for a request, or null when the request is not signed in
+  public getSession(req: Request): Session | null {
+    if (!this.isEnabled()) {
+      return OPEN_SESSION;
+    }
+
+    const id = this.readCookie(req, SESSION_COOKIE);
+    if (!id) {
+      return null;
+    }
+    const session = this.cacheManager.getSession(this.hashId(id));
+    return session ? { ...session, id } : null;
+  }
+
+  // Check a password or access token and open a session for it
+  public login(credentials: { password?: string; token?: string }): Session | null {
+    const { access } = this.config;
+    let label: string | null = null;
+    let accountIds: string[] | null = null;
+
+    if (credentials.password && access.password && this.safeEqual(credentials.password, access.password)) {
+      label = "password";
+    } else if (credentials.token) {
+      const match = access.tokens.find(entry => this.safeEqual(credentials.token!, entry.token));
+      if (match) {
+        label = `token:${match.name}`;
+        accountIds = match.accounts || null;
+      }
+    }
+
+    if (!label) {
+      return null;
+    }
+
+    // Bound sessions only see accounts they were given or signed in themselves
+    if (access.bindSessionsToAccounts && accountIds === null) {
+      accountIds = [];
+    }
+
+    const id = randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session: DashboardSession = {
+      createdAt: now,
+      expiresAt: now + access.sessionTtlHours * 60 * 60 * 1000,
+      label,
+      accountIds
+    };
+    this.cacheManager.storeSession(this.hashId(id), session);
+    return { ...session, id };
+  }
+
+  // The kiosk display accepts a dashboard session or a read-only kiosk token from its URL
+  public getKioskAccess(req: Request, token: string | null): Pick<DashboardSession, 'label' | 'accountIds'> | null {
+    const session = this.getSession(req);
+    if (session) {
+      return session;
+    }
+    const match = token ? this.config.access.kioskTokens.find(entry => this.safeEqual(token, entry.token)) : undefined;
+    return match ? { label: `kiosk:${match.name}`, accountIds: match.accounts || null } : null;
+  }
+
+  // Re-read a session that was resolved earlier, null once it was signed out or has expired
+  public refreshSession(session: Session): Session | null {
+    if (session === OPEN_SESSION) {
+      return session;
+    }
+    const stored = this.cacheManager.getSession(this.hashId(session.id));
+    return stored ? { ...stored, id: session.id } : null;
+  }
+
+  public logout(session: Session): void {
+    if (session !== OPEN_SESSION) {
+      this.cacheManager.deleteSession(this.hashId(session.id));
+    }
+  }
+
+  public canAccessUser(session: Pick<DashboardSession, 'accountIds'>, userId: string): boolean {
+    return session.accountIds === null || session.accountIds.includes(userId);
+  }
+
+  public filterUsers(session: Pick<DashboardSession, 'accountIds'>, users: UserProfile[]): UserProfile[] {
+    return users.filter(user => this.canAccessUser(session, user.id));
+  }
+
+  // Give a bound session access to an account it just signed in
+  public bindAccount(sessionId: string, userId: string): void {
+    const idHash = this.hashId(sessionId);
+    const session = this.cacheManager.getSession(idHash);
+    if (!session || session.accountIds === null || session.accountIds.includes(userId)) {
+      return;
+    }
+    session.accountIds.push(userId);
+    this.cacheManager.storeSession(idHash, session);
+  }
+
+  public createCookie(session: Session): string {
+    const maxAge = Math.floor((session.expiresAt - Date.now()) / 1000);
+    return `${SESSION_COOKIE}=${session.id}; ${this.cookieAttributes()}; Max-Age=${maxAge}`;
+  }
+
+  public clearCookie(): string {
+    return `${SESSION_COOKIE}=; ${this.cookieAttributes()}; Max-Age=0`;
+  }
+
+  private cookieAttributes(): string {
+    const secure = this.config.server.publicBaseUrl.startsWith("https://") ? "; Secure" : "";
+    return `Path=/; HttpOnly; SameSite=Lax${secure}`;
+  }
+
+  private readCookie(req: Request, name: string): string | null {
+    const header = req.headers.get("cookie");
+    if (!header) {
+      return null;
+    }
+    for (const part of header.split(";")) {
+      const [key, ...value] = part.trim().split("=");
+      if (key === name) {
+        return value.join("=");
+      }
+    }
+    return null;
+  }
+
+  // Only a hash of the session ID is stored, so a copy of the database can't be used to log in
+  private hashId(id: string): string {
+    return createHash('sha256').update(id).digest('hex');
+  }
+
+  private safeEqual(a: string, b: string): boolean {
+    const hashA = createHash('sha256').update(a).digest();
+    const hashB = createHash('sha256').update(b).digest();
+    return timingSafeEqual(hashA, hashB);
+  }
+}
+
+export type { Session };
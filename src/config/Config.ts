@@ -0,0 +1,327 @@
+import { readFileSync, existsSync } from "fs";
+import { join, resolve } from "path";
+import { getSystemTimeZone, resolveTimeZone } from "../utils/time.ts";
+
+interface AppConfig {
+  azure: {
+    clientId: string;
+    tenant: string;
+    authorityHost: string;
+  };
+  server: {
+    host: string;
+    port: number;
+    publicBaseUrl: string;
+  };
+  graph: {
+    scopes: string[];
+  };
+  dataDir: string;
+  // Zone "today" is computed in and events are fetched in, unless an account sets its own
+  timeZone: string;
+  refresh: {
+    minSeconds: number;
+    maxSeconds: number;
+  };
+  notifications: {
+    // Graph change notifications, needs a publicly reachable https publicBaseUrl
+    enabled: boolean;
+    // Polling interval for accounts with an active subscription
+    fallbackPollSeconds: number;
+  };
+  access: {
+    password: string;
+    tokens: AccessToken[];
+    // Read-only tokens that only open the /kiosk display, never a dashboard session
+    kioskTokens: AccessToken[];
+    sessionTtlHours: number;
+    bindSessionsToAccounts: boolean;
+  };
+  metrics: {
+    enabled: boolean;
+    // Bearer token for scrapers, without one /metrics follows the dashboard access control
+    token: string;
+  };
+  // Hours free slots are searched in, in the time zone of the request
+  workingHours: {
+    start: string;
+    end: string;
+    // ISO weekdays, 1 is Monday and 7 is Sunday
+    days: number[];
+  };
+  // Offline accounts that read events from a local .ics or .json file instead of Graph
+  fixtures: FixtureAccount[];
+}
+
+interface AccessToken {
+  name: string;
+  token: string;
+  // Microsoft account IDs this token may see, all accounts when omitted
+  accounts?: string[];
+}
+
+interface FixtureAccount {
+  id: string;
+  name?: string;
+  email?: string;
+  file: string;
+}
+
+export class ConfigError extends Error {
+  public readonly problems: string[];
+
+  constructor(problems: string[]) {
+    super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const DEFAULT_SCOPES = [
+  "https://graph.microsoft.com/Calendars.Read",
+  "https://graph.microsoft.com/User.Read",
+  "offline_access"
+];
+
+// Requested on top of graph.scopes for accounts that opt in to responding to invitations
+export const WRITE_SCOPE = "https://graph.microsoft.com/Calendars.ReadWrite";
+
+// Load config.json (or CONFIG_FILE) and apply environment overrides on top of it
+export function loadConfig(): AppConfig {
+  const configFile = resolve(process.env.CONFIG_FILE || "config.json");
+  let fileConfig: any = {};
+
+  if (existsSync(configFile)) {
+    try {
+      fileConfig = JSON.parse(readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      throw new ConfigError([`${configFile} is not valid JSON: ${error instanceof Error ? error.message : error}`]);
+    }
+    console.log(`⚙️ Loaded configuration from ${configFile}`);
+  } else if (process.env.CONFIG_FILE) {
+    throw new ConfigError([`CONFIG_FILE points to a missing file: ${configFile}`]);
+  }
+
+  const env = process.env;
+  const port = env.PORT ? parseInt(env.PORT) : fileConfig.server?.port ?? 3000;
+
+  const config: AppConfig = {
+    azure: {
+      clientId: env.AZURE_CLIENT_ID || fileConfig.azure?.clientId || "",
+      tenant: env.AZURE_TENANT_ID || fileConfig.azure?.tenant || "common",
+      authorityHost: env.AZURE_AUTHORITY_HOST || fileConfig.azure?.authorityHost || "https://login.microsoftonline.com"
+    },
+    server: {
+      host: env.HOST || fileConfig.server?.host || "0.0.0.0",
+      port,
+      publicBaseUrl: env.PUBLIC_BASE_URL || fileConfig.server?.publicBaseUrl || `http://localhost:${port}`
+    },
+    graph: {
+      scopes: env.GRAPH_SCOPES ? env.GRAPH_SCOPES.split(/[\s,]+/).filter(Boolean) : fileConfig.graph?.scopes || DEFAULT_SCOPES
+    },
+    dataDir: resolve(env.DATA_DIR || fileConfig.dataDir || join(process.cwd(), "data")),
+    timeZone: env.TIME_ZONE || fileConfig.timeZone || getSystemTimeZone(),
+    refresh: {
+      minSeconds: env.REFRESH_MIN_SECONDS ? parseInt(env.REFRESH_MIN_SECONDS) : fileConfig.refresh?.minSeconds ?? 50,
+      maxSeconds: env.REFRESH_MAX_SECONDS ? parseInt(env.REFRESH_MAX_SECONDS) : fileConfig.refresh?.maxSeconds ?? 70
+    },
+    notifications: {
+      enabled: env.GRAPH_NOTIFICATIONS_ENABLED
+        ? env.GRAPH_NOTIFICATIONS_ENABLED === "true"
+        : fileConfig.notifications?.enabled ?? false,
+      fallbackPollSeconds: env.NOTIFICATIONS_FALLBACK_POLL_SECONDS
+        ? parseInt(env.NOTIFICATIONS_FALLBACK_POLL_SECONDS)
+        : fileConfig.notifications?.fallbackPollSeconds ?? 900
+    },
+    access: {
+      password: env.DASHBOARD_PASSWORD || fileConfig.access?.password || "",
+      tokens: [
+        ...(fileConfig.access?.tokens || []),
+        ...(env.DASHBOARD_TOKEN ? [{ name: "env", token: env.DASHBOARD_TOKEN }] : [])
+      ],
+      kioskTokens: [
+        ...(fileConfig.access?.kioskTokens || []),
+        ...(env.KIOSK_TOKEN ? [{ name: "env", token: env.KIOSK_TOKEN }] : [])
+      ],
+      sessionTtlHours: env.SESSION_TTL_HOURS ? parseInt(env.SESSION_TTL_HOURS) : fileConfig.access?.sessionTtlHours ?? 168,
+      bindSessionsToAccounts: env.BIND_SESSIONS_TO_ACCOUNTS
+        ? env.BIND_SESSIONS_TO_ACCOUNTS === "true"
+        : fileConfig.access?.bindSessionsToAccounts ?? false
+    },
+    metrics: {
+      enabled: env.METRICS_ENABLED ? env.METRICS_ENABLED === "true" : fileConfig.metrics?.enabled ?? true,
+      token: env.METRICS_TOKEN || fileConfig.metrics?.token || ""
+    },
+    workingHours: {
+      start: env.WORKING_HOURS_START || fileConfig.workingHours?.start || "09:00",
+      end: env.WORKING_HOURS_END || fileConfig.workingHours?.end || "17:00",
+      days: env.WORKING_DAYS ? env.WORKING_DAYS.split(/[\s,]+/).filter(Boolean).map(Number) : fileConfig.workingHours?.days ?? [1, 2, 3, 4, 5]
+    },
+    fixtures: Array.isArray(fileConfig.fixtures)
+      ? fileConfig.fixtures.map((fixture: any) => ({ ...fixture, file: fixture?.file ? resolve(fixture.file) : "" }))
+      : fileConfig.fixtures ?? []
+  };
+
+  validateConfig(config);
+  return config;
+}
+
+function validateConfig(config: AppConfig): void {
+  const problems: string[] = [];
+
+  if (!/^[A-Za-z0-9.-]+$/.test(config.azure.tenant)) {
+    problems.push(`azure.tenant must be a tenant ID, domain, "common", "organizations" or "consumers" (got "${config.azure.tenant}")`);
+  }
+  if (!isHttpUrl(config.azure.authorityHost, true)) {
+    problems.push(`azure.authorityHost must be an https URL (got "${config.azure.authorityHost}")`);
+  }
+
+  if (!Number.isInteger(config.server.port) || config.server.port < 1 || config.server.port > 65535) {
+    problems.push(`server.port must be an integer between 1 and 65535 (got "${config.server.port}")`);
+  }
+  if (!config.server.host) {
+    problems.push("server.host must not be empty");
+  }
+  if (!isHttpUrl(config.server.publicBaseUrl, false)) {
+    problems.push(`server.publicBaseUrl must be an http(s) URL (got "${config.server.publicBaseUrl}")`);
+  }
+
+  if (!Array.isArray(config.graph.scopes) || config.graph.scopes.length === 0) {
+    problems.push("graph.scopes must contain at least one scope");
+  } else if (!config.graph.scopes.includes("offline_access")) {
+    problems.push("graph.scopes must include offline_access, otherwise tokens cannot be refreshed in the background");
+  }
+
+  if (!resolveTimeZone(config.timeZone)) {
+    problems.push(`timeZone must be an IANA time zone such as "Europe/Berlin" (got "${config.timeZone}")`);
+  }
+
+  const { minSeconds, maxSeconds } = config.refresh;
+  if (!Number.isInteger(minSeconds) || minSeconds < 10) {
+    problems.push(`refresh.minSeconds must be an integer of at least 10 (got "${minSeconds}")`);
+  }
+  if (!Number.isInteger(maxSeconds) || maxSeconds < minSeconds) {
+    problems.push(`refresh.maxSeconds must be an integer not smaller than refresh.minSeconds (got "${maxSeconds}")`);
+  }
+
+  const { notifications } = config;
+  if (notifications.enabled && !isHttpUrl(config.server.publicBaseUrl, true)) {
+    problems.push("notifications.enabled requires an https server.publicBaseUrl that Microsoft Graph can reach");
+  }
+  if (!Number.isInteger(notifications.fallbackPollSeconds) || notifications.fallbackPollSeconds < maxSeconds) {
+    problems.push(`notifications.fallbackPollSeconds must be an integer not smaller than refresh.maxSeconds (got "${notifications.fallbackPollSeconds}")`);
+  }
+
+  const { access } = config;
+  if (access.password && access.password.length < 8) {
+    problems.push("access.password must be at least 8 characters long");
+  }
+  if (!Array.isArray(access.tokens)) {
+    problems.push("access.tokens must be an array");
+  } else {
+    access.tokens.forEach((token, index) => {
+      if (!token?.name || typeof token.token !== "string" || token.token.length < 16) {
+        problems.push(`access.tokens[${index}] needs a name and a token of at least 16 characters`);
+      }
+      if (token?.accounts !== undefined && !Array.isArray(token.accounts)) {
+        problems.push(`access.tokens[${index}].accounts must be an array of account IDs`);
+      }
+    });
+  }
+  if (!Array.isArray(access.kioskTokens)) {
+    problems.push("access.kioskTokens must be an array");
+  } else {
+    access.kioskTokens.forEach((token, index) => {
+      if (!token?.name || typeof token.token !== "string" || token.token.length < 16) {
+        problems.push(`access.kioskTokens[${index}] needs a name and a token of at least 16 characters`);
+      }
+      if (token?.accounts !== undefined && !Array.isArray(token.accounts)) {
+        problems.push(`access.kioskTokens[${index}].accounts must be an array of account IDs`);
+      }
+      if (Array.isArray(access.tokens) && access.tokens.some(entry => entry?.token === token?.token)) {
+        problems.push(`access.kioskTokens[${index}] must not reuse a dashboard access token`);
+      }
+    });
+  }
+  if (!Number.isInteger(access.sessionTtlHours) || access.sessionTtlHours < 1) {
+    problems.push(`access.sessionTtlHours must be a positive integer (got "${access.sessionTtlHours}")`);
+  }
+
+  if (config.metrics.token && config.metrics.token.length < 16) {
+    problems.push("metrics.token must be at least 16 characters long");
+  }
+
+  const { workingHours } = config;
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!timePattern.test(workingHours.start) || !(timePattern.test(workingHours.end) || workingHours.end === "24:00")) {
+    problems.push(`workingHours.start and workingHours.end must be times like "09:00" (got "${workingHours.start}" and "${workingHours.end}")`);
+  } else if (workingHours.end <= workingHours.start) {
+    problems.push("workingHours.end must be after workingHours.start");
+  }
+  if (!Array.isArray(workingHours.days) || workingHours.days.length === 0 ||
+    workingHours.days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+    problems.push("workingHours.days must list weekdays from 1 (Monday) to 7 (Sunday)");
+  }
+
+  if (!Array.isArray(config.fixtures)) {
+    problems.push("fixtures must be an array");
+  } else {
+    config.fixtures.forEach((fixture, index) => {
+      if (!fixture?.id || typeof fixture.id !== "string") {
+        problems.push(`fixtures[${index}] needs an id`);
+      }
+      if (!/\.(ics|json)$/i.test(fixture?.file || "")) {
+        problems.push(`fixtures[${index}].file must be an .ics or .json file`);
+      } else if (!existsSync(fixture.file)) {
+        problems.push(`fixtures[${index}].file does not exist: ${fixture.file}`);
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  // Paths are appended to the base URL, so a trailing slash would produce "//auth/callback"
+  config.server.publicBaseUrl = config.server.publicBaseUrl.replace(/\/+$/, "");
+  config.azure.authorityHost = config.azure.authorityHost.replace(/\/+$/, "");
+  // Windows zone names are accepted, everything downstream works with IANA names
+  config.timeZone = resolveTimeZone(config.timeZone)!;
+
+  if (!access.password && access.tokens.length === 0) {
+    console.warn("⚠ Dashboard access control is disabled (no access.password or access.tokens), anyone who can reach the port can use the API");
+  }
+
+  if (!config.azure.clientId) {
+    console.warn("⚠ No Azure client ID configured (azure.clientId or AZURE_CLIENT_ID), signing in will fail");
+  }
+}
+
+function isHttpUrl(value: string, requireHttps: boolean): boolean {
+  try {
+    const url = new URL(value);
+    return requireHttps ? url.protocol === "https:" : url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+export function getAuthorityUrl(config: AppConfig): string {
+  return `${config.azure.authorityHost}/${config.azure.tenant}/oauth2/v2.0`;
+}
+
+export function getRedirectUri(config: AppConfig): string {
+  return `${config.server.publicBaseUrl}/auth/callback`;
+}
+
+export function getScopeString(config: AppConfig, extraScopes: string[] = []): string {
+  return Array.from(new Set([...config.graph.scopes, ...extraScopes])).join(" ");
+}
+
+// Token responses list scopes either as URLs or as short names
+export function includesScope(scopes: string[], scope: string): boolean {
+  const name = scope.split("/").pop()!.toLowerCase();
+  return scopes.some(candidate => candidate.split("/").pop()!.toLowerCase() === name);
+}
+
+export type { AppConfig, AccessToken, FixtureAccount };
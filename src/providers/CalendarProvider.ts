@@ -0,0 +1,24 @@
+import type { CalendarEvent, CalendarInfo } from "../services/CacheManager.ts";
+
+type ProviderType = 'graph' | 'fixture';
+
+interface DeltaSyncResult {
+  updated: CalendarEvent[];
+  removedIds: string[];
+  deltaLink: string;
+  fullResync: boolean;
+}
+
+// Source of calendar events for one account
+interface CalendarProvider {
+  readonly type: ProviderType;
+  listCalendars(): Promise<CalendarInfo[]>;
+  // Events of the given calendars, the default calendar when none are given
+  getEvents(start: Date, end: Date, calendarIds?: string[]): Promise<CalendarEvent[]>;
+  // Changes of one calendar since deltaLink, or the whole window when no delta link is given
+  syncEventsDelta(start: Date, end: Date, deltaLink?: string, calendarId?: string): Promise<DeltaSyncResult>;
+  // Events matching a free-text query beyond what is cached, at most limit of them
+  searchEvents(query: string, limit: number): Promise<CalendarEvent[]>;
+}
+
+export type { CalendarProvider, DeltaSyncResult, ProviderType };
@@ -0,0 +1,222 @@
+import { readFileSync, statSync } from "fs";
+import { basename } from "path";
+import type { CalendarEvent, CalendarInfo } from "../services/CacheManager.ts";
+import type { CalendarProvider, DeltaSyncResult } from "./CalendarProvider.ts";
+import { transformGraphEvent } from "./GraphCalendarProvider.ts";
+import { eventTimeToMs, getDateInZone } from "../utils/time.ts";
+import { eventMatches, toSearchTerms } from "../utils/search.ts";
+
+const FIXTURE_CALENDAR_ID = 'fixture';
+
+// Reads events from a local .ics or .json file, so the dashboard can run without a tenant.
+// The file is read on every sync, edits show up with the next refresh.
+export class FixtureCalendarProvider implements CalendarProvider {
+  public readonly type = 'fixture';
+  private file: string;
+  private timeZone: string;
+
+  // Relative, floating and all-day times are read in the account's time zone
+  constructor(file: string, timeZone: string) {
+    this.file = file;
+    this.timeZone = timeZone;
+  }
+
+  // The file is a single calendar, named after the file
+  public async listCalendars(): Promise<CalendarInfo[]> {
+    return [{ id: FIXTURE_CALENDAR_ID, name: basename(this.file), isDefault: true }];
+  }
+
+  public async getEvents(start: Date, end: Date, calendarIds: string[] = []): Promise<CalendarEvent[]> {
+    const calendarId = calendarIds.includes(FIXTURE_CALENDAR_ID) ? FIXTURE_CALENDAR_ID : undefined;
+    return this.loadEvents()
+      .map(event => (calendarId ? { ...event, calendarId } : event))
+      .filter(event =>
+        eventTimeToMs(event.start) < end.getTime() &&
+        eventTimeToMs(event.end) > start.getTime()
+      )
+      .sort((a, b) => eventTimeToMs(a.start) - eventTimeToMs(b.start));
+  }
+
+  // Unchanged files report no changes, otherwise the whole window is returned
+  public async syncEventsDelta(start: Date, end: Date, deltaLink?: string, calendarId?: string): Promise<DeltaSyncResult> {
+    const version = `fixture:${statSync(this.file).mtimeMs}:${start.toISOString()}:${end.toISOString()}`;
+    if (deltaLink === version) {
+      return { updated: [], removedIds: [], deltaLink: version, fullResync: false };
+    }
+    return { updated: await this.getEvents(start, end, calendarId ? [calendarId] : []), removedIds: [], deltaLink: version, fullResync: true };
+  }
+
+  // The whole file is searched, whatever range is cached
+  public async searchEvents(query: string, limit: number): Promise<CalendarEvent[]> {
+    const terms = toSearchTerms(query);
+    return this.loadEvents().filter(event => eventMatches(event, terms)).slice(0, limit);
+  }
+
+  private loadEvents(): CalendarEvent[] {
+    const contents = readFileSync(this.file, 'utf8');
+    if (this.file.toLowerCase().endsWith('.ics')) {
+      return parseIcs(contents, this.timeZone);
+    }
+    return parseJsonFixture(JSON.parse(contents), this.timeZone);
+  }
+}
+
+// JSON fixtures are either Graph responses ({ value: [...] }) or plain arrays of events.
+// Events may use "day" (offset from today) with "startTime"/"endTime" to stay current.
+function parseJsonFixture(data: any, timeZone: string): CalendarEvent[] {
+  const items: any[] = Array.isArray(data) ? data : data.value || [];
+  return items.map((item, index) => {
+    const event = { ...item, id: item.id || `fixture-${index}` };
+    if (typeof item.day === 'number' && item.startTime && item.endTime) {
+      event.start = relativeTime(item.day, item.startTime, timeZone);
+      event.end = relativeTime(item.day, item.endTime, timeZone);
+    } else {
+      event.start = typeof item.start === 'string' ? { dateTime: item.start, timeZone: 'UTC' } : item.start;
+      event.end = typeof item.end === 'string' ? { dateTime: item.end, timeZone: 'UTC' } : item.end;
+    }
+    return transformGraphEvent(event);
+  });
+}
+
+// Wall-clock time on a day relative to today in the given zone, "24:00" ends a day
+function relativeTime(dayOffset: number, time: string, timeZone: string): { dateTime: string; timeZone: string } {
+  const [year, month, day] = getDateInZone(new Date(), timeZone).split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = new Date(Date.UTC(year, month - 1, day + dayOffset, hours, minutes || 0));
+  // Same shape as Graph, wall-clock time without an offset
+  return { dateTime: wallClock.toISOString().slice(0, 19), timeZone };
+}
+
+interface IcsProperty {
+  params: Record<string, string>;
+  value: string;
+}
+
+// Attendee participation states mapped to Graph's response values
+const PARTSTAT_RESPONSES: Record<string, string> = {
+  'ACCEPTED': 'accepted',
+  'TENTATIVE': 'tentativelyAccepted',
+  'DECLINED': 'declined',
+  'NEEDS-ACTION': 'none'
+};
+
+// Minimal RFC 5545 reader: single VEVENTs with UTC, TZID or date values. Recurrence rules are not expanded.
+function parseIcs(contents: string, timeZone: string): CalendarEvent[] {
+  // Continuation lines start with a space or tab
+  const lines = contents.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events: CalendarEvent[] = [];
+  let current: Record<string, IcsProperty> | null = null;
+  let attendees: IcsProperty[] = [];
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      attendees = [];
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) {
+        const event = icsToEvent(current, attendees, events.length, timeZone);
+        if (event) {
+          events.push(event);
+        }
+      }
+      current = null;
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+
+    const separator = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (separator === -1) {
+      continue;
+    }
+    const [name, ...paramParts] = line.slice(0, separator).split(';');
+    const params: Record<string, string> = {};
+    for (const part of paramParts) {
+      const [key, value = ''] = part.split('=');
+      params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    }
+    const property = { params, value: line.slice(separator + 1) };
+    // ATTENDEE is the only property repeated per event
+    if (name.toUpperCase() === 'ATTENDEE') {
+      attendees.push(property);
+    } else {
+      current[name.toUpperCase()] = property;
+    }
+  }
+
+  return events;
+}
+
+function icsToEvent(properties: Record<string, IcsProperty>, attendees: IcsProperty[], index: number, timeZone: string): CalendarEvent | null {
+  const start = properties.DTSTART;
+  if (!start) {
+    return null;
+  }
+  const end = properties.DTEND || start;
+  const organizer = properties.ORGANIZER;
+  const meetingUrl = properties['X-MICROSOFT-SKYPETEAMSMEETINGURL']?.value || properties.URL?.value;
+
+  return {
+    id: properties.UID?.value || `fixture-${index}`,
+    subject: unescapeText(properties.SUMMARY?.value || '') || 'No Subject',
+    start: icsTime(start, timeZone),
+    end: icsTime(end, timeZone),
+    location: properties.LOCATION ? { displayName: unescapeText(properties.LOCATION.value) } : undefined,
+    organizer: organizer ? {
+      emailAddress: {
+        name: organizer.params.CN || '',
+        address: organizer.value.replace(/^mailto:/i, '')
+      }
+    } : undefined,
+    isOnlineMeeting: !!meetingUrl,
+    onlineMeetingUrl: meetingUrl || undefined,
+    attendees: attendees.length > 0 ? attendees.map(attendee => ({
+      emailAddress: {
+        name: attendee.params.CN || '',
+        address: attendee.value.replace(/^mailto:/i, '')
+      },
+      type: attendee.params.CUTYPE === 'RESOURCE' || attendee.params.CUTYPE === 'ROOM'
+        ? 'resource'
+        : attendee.params.ROLE === 'OPT-PARTICIPANT' ? 'optional' : 'required',
+      status: { response: PARTSTAT_RESPONSES[attendee.params.PARTSTAT] || 'none' }
+    })) : undefined,
+    isAllDay: /^\d{8}$/.test(start.value),
+    isCancelled: properties.STATUS?.value === 'CANCELLED',
+    showAs: properties.TRANSP?.value === 'TRANSPARENT' ? 'free'
+      : properties.STATUS?.value === 'TENTATIVE' ? 'tentative' : 'busy',
+    categories: properties.CATEGORIES ? properties.CATEGORIES.value.split(/(?<!\\),/).map(unescapeText) : undefined,
+    importance: icsImportance(properties.PRIORITY?.value),
+    bodyPreview: properties.DESCRIPTION ? unescapeText(properties.DESCRIPTION.value) : undefined
+  };
+}
+
+// PRIORITY 1-4 is high, 5 normal and 6-9 low, 0 means undefined
+function icsImportance(priority?: string): string | undefined {
+  const value = Number(priority);
+  if (!priority || !value) {
+    return undefined;
+  }
+  return value < 5 ? 'high' : value === 5 ? 'normal' : 'low';
+}
+
+// 20250106T090000Z, 20250106T090000 (with TZID or floating) and 20250106 (all-day)
+function icsTime(property: IcsProperty, timeZone: string): { dateTime: string; timeZone: string } {
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return { dateTime: property.value, timeZone: 'UTC' };
+  }
+  const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+  const dateTime = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+  if (utc) {
+    return { dateTime, timeZone: 'UTC' };
+  }
+  // Floating and all-day times are read in the account's time zone
+  return { dateTime, timeZone: property.params.TZID || timeZone };
+}
+
+function unescapeText(value: string): string {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
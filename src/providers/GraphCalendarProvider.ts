@@ -0,0 +1,405 @@
+import { Client, GraphError, type GraphRequest } from "@microsoft/microsoft-graph-client";
+import type { CalendarEvent, CalendarInfo, GraphSubscription } from "../services/CacheManager.ts";
+import { metrics } from "../services/Metrics.ts";
+import type { CalendarProvider, DeltaSyncResult } from "./CalendarProvider.ts";
+import { eventTimeToMs } from "../utils/time.ts";
+
+// Raised when Graph no longer accepts a stored delta link (410 Gone) and a full resync is needed
+export class DeltaSyncExpiredError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DeltaSyncExpiredError';
+  }
+}
+
+// Raised when Graph throttles requests (429/503), retryAfterMs comes from the Retry-After header
+export class GraphThrottledError extends Error {
+  public readonly retryAfterMs: number | null;
+
+  constructor(retryAfterMs: number | null) {
+    super(`Microsoft Graph throttled the request${retryAfterMs !== null ? `, retry after ${Math.ceil(retryAfterMs / 1000)}s` : ''}`);
+    this.name = 'GraphThrottledError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function toThrottledError(error: unknown): GraphThrottledError | null {
+  if (!(error instanceof GraphError) || (error.statusCode !== 429 && error.statusCode !== 503)) {
+    return null;
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date
+  const retryAfter = error.headers?.get('Retry-After');
+  if (!retryAfter) {
+    return new GraphThrottledError(null);
+  }
+  const seconds = Number(retryAfter);
+  if (!isNaN(seconds)) {
+    return new GraphThrottledError(seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return new GraphThrottledError(isNaN(date) ? null : Math.max(0, date - Date.now()));
+}
+
+// Event created from the dashboard, times are absolute instants
+export interface NewEvent {
+  subject: string;
+  start: Date;
+  end: Date;
+  location?: string;
+  isOnlineMeeting?: boolean;
+  attendees?: string[];
+  showAs?: string;
+  // Secondary calendar to create the event in, the default calendar when unset
+  calendarId?: string;
+}
+
+// Time an account is not available, in epoch milliseconds
+export interface BusyPeriod {
+  start: number;
+  end: number;
+}
+
+// Free/busy states that leave the time available
+const AVAILABLE_STATUSES = ['free', 'workingElsewhere'];
+
+// Reads calendars of a Microsoft account through Microsoft Graph
+export class GraphCalendarProvider implements CalendarProvider {
+  public readonly type = 'graph';
+  private accessToken: string;
+  private timeZone: string | undefined;
+
+  // Without a time zone Graph returns event times in UTC
+  constructor(accessToken: string, timeZone?: string) {
+    this.accessToken = accessToken;
+    this.timeZone = timeZone;
+  }
+
+  // Graph needs the preferences on every page request, including next and delta links
+  private withPreferences(request: GraphRequest, ...preferences: string[]): GraphRequest {
+    if (this.timeZone) {
+      preferences.push(`outlook.timezone="${this.timeZone}"`);
+    }
+    return preferences.length > 0 ? request.header('Prefer', preferences.join(', ')) : request;
+  }
+
+  private createGraphClient(): Client {
+    const accessToken = this.accessToken;
+    return Client.init({
+      authProvider: (done) => {
+        done(null, accessToken);
+      }
+    });
+  }
+
+  // Every Graph call is timed for the latency histogram on /metrics
+  private timed<T>(operation: string, call: () => Promise<T>): Promise<T> {
+    return metrics.graphRequestDuration.time(error => {
+      if (!error) {
+        return { operation, status: "200" };
+      }
+      const status = error instanceof GraphError && error.statusCode > 0 ? String(error.statusCode) : "error";
+      return { operation, status };
+    }, call);
+  }
+
+  private timedGet(request: GraphRequest, operation: string): Promise<any> {
+    return this.timed(operation, () => request.get());
+  }
+
+  public async listCalendars(): Promise<CalendarInfo[]> {
+    try {
+      const graphClient = this.createGraphClient();
+
+      const calendars: CalendarInfo[] = [];
+      let request: GraphRequest | null = graphClient
+        .api('/me/calendars')
+        .select('id,name,hexColor,isDefaultCalendar,owner')
+        .top(100);
+
+      while (request) {
+        const page = await this.timedGet(request, 'calendars');
+        calendars.push(...page.value.map((calendar: any) => ({
+          id: calendar.id,
+          name: calendar.name || 'Calendar',
+          hexColor: calendar.hexColor || undefined,
+          isDefault: !!calendar.isDefaultCalendar,
+          owner: calendar.owner?.address || undefined
+        })));
+        request = page['@odata.nextLink'] ? graphClient.api(page['@odata.nextLink']) : null;
+      }
+
+      return calendars;
+    } catch (error) {
+      const throttled = toThrottledError(error);
+      if (throttled) {
+        throw throttled;
+      }
+      console.error('Error listing calendars:', error);
+      throw new Error(`Failed to list calendars: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  public async getEvents(start: Date, end: Date, calendarIds: string[] = []): Promise<CalendarEvent[]> {
+    if (calendarIds.length === 0) {
+      return this.getCalendarViewEvents(start, end);
+    }
+
+    // Calendars are read one after another to stay clear of Graph's per-mailbox concurrency limit
+    const events: CalendarEvent[] = [];
+    for (const calendarId of calendarIds) {
+      events.push(...await this.getCalendarViewEvents(start, end, calendarId));
+    }
+    return events.sort((a, b) => eventTimeToMs(a.start) - eventTimeToMs(b.start));
+  }
+
+  private async getCalendarViewEvents(start: Date, end: Date, calendarId?: string): Promise<CalendarEvent[]> {
+    try {
+      const graphClient = this.createGraphClient();
+
+      const calendarEvents: CalendarEvent[] = [];
+      let request = graphClient
+        .api(calendarId ? `/me/calendars/${encodeURIComponent(calendarId)}/calendarView` : '/me/calendar/calendarView')
+        .query({
+          startDateTime: start.toISOString(),
+          endDateTime: end.toISOString(),
+          $select: 'id,subject,start,end,location,organizer,isOnlineMeeting,onlineMeetingUrl,attendees,responseStatus,isAllDay,isCancelled,showAs,categories,importance,bodyPreview',
+          $orderby: 'start/dateTime',
+          $top: 100
+        });
+
+      // Longer ranges can span several pages, follow @odata.nextLink until done
+      while (request) {
+        const events = await this.timedGet(this.withPreferences(request), 'calendar_view');
+        calendarEvents.push(...events.value.map((event: any) => transformGraphEvent(event, calendarId)));
+        request = events['@odata.nextLink'] ? graphClient.api(events['@odata.nextLink']) : null;
+      }
+
+      return calendarEvents;
+    } catch (error) {
+      const throttled = toThrottledError(error);
+      if (throttled) {
+        throw throttled;
+      }
+      console.error('Error fetching calendar events:', error);
+      throw new Error(`Failed to fetch calendar events: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  // Incremental sync using calendarView/delta. Without a delta link a full sync of the window
+  // is performed, otherwise only changes since the delta link was issued are returned.
+  public async syncEventsDelta(start: Date, end: Date, deltaLink?: string, calendarId?: string): Promise<DeltaSyncResult> {
+    try {
+      const graphClient = this.createGraphClient();
+
+      const updated: CalendarEvent[] = [];
+      const removedIds: string[] = [];
+      let request = deltaLink
+        ? graphClient.api(deltaLink)
+        : graphClient
+          .api(calendarId ? `/me/calendars/${encodeURIComponent(calendarId)}/calendarView/delta` : '/me/calendarView/delta')
+          .query({
+            startDateTime: start.toISOString(),
+            endDateTime: end.toISOString()
+          });
+
+      while (true) {
+        const page = await this.timedGet(this.withPreferences(request, 'odata.maxpagesize=100'), 'delta');
+
+        for (const item of page.value) {
+          if (item['@removed']) {
+            removedIds.push(item.id);
+          } else {
+            updated.push(transformGraphEvent(item, calendarId));
+          }
+        }
+
+        if (page['@odata.nextLink']) {
+          request = graphClient.api(page['@odata.nextLink']);
+        } else if (page['@odata.deltaLink']) {
+          return {
+            updated,
+            removedIds,
+            deltaLink: page['@odata.deltaLink'],
+            fullResync: !deltaLink
+          };
+        } else {
+          throw new Error('Delta response contained neither a next link nor a delta link');
+        }
+      }
+    } catch (error) {
+      if (deltaLink && error instanceof GraphError && error.statusCode === 410) {
+        throw new DeltaSyncExpiredError('Delta token expired, a full resync is required');
+      }
+      const throttled = toThrottledError(error);
+      if (throttled) {
+        throw throttled;
+      }
+      console.error('Error syncing calendar events:', error);
+      throw new Error(`Failed to sync calendar events: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  // Change notifications for created, updated and deleted events of the signed-in user
+  public async createSubscription(notificationUrl: string, clientState: string, expiration: Date): Promise<GraphSubscription> {
+    const graphClient = this.createGraphClient();
+    const subscription = await this.timed('subscription_create', () => graphClient.api('/subscriptions').post({
+      changeType: 'created,updated,deleted',
+      notificationUrl,
+      lifecycleNotificationUrl: notificationUrl,
+      resource: '/me/events',
+      expirationDateTime: expiration.toISOString(),
+      clientState
+    }));
+
+    return { id: subscription.id, expirationDateTime: subscription.expirationDateTime, clientState };
+  }
+
+  public async renewSubscription(subscription: GraphSubscription, expiration: Date): Promise<GraphSubscription> {
+    const graphClient = this.createGraphClient();
+    const renewed = await this.timed('subscription_renew', () => graphClient.api(`/subscriptions/${subscription.id}`).patch({
+      expirationDateTime: expiration.toISOString()
+    }));
+
+    return { ...subscription, expirationDateTime: renewed.expirationDateTime };
+  }
+
+  // Microsoft Search over the account's events, work and school accounts only. Matches
+  // subject, body, location and attendees, the best matches come first.
+  public async searchEvents(query: string, limit: number): Promise<CalendarEvent[]> {
+    const graphClient = this.createGraphClient();
+    const response = await this.timed('search', () => graphClient.api('/search/query').post({
+      requests: [{
+        entityTypes: ['event'],
+        query: { queryString: query },
+        from: 0,
+        size: Math.min(limit, 25)
+      }]
+    }));
+
+    const hits: any[] = response.value?.[0]?.hitsContainers?.[0]?.hits || [];
+    return hits
+      .filter(hit => hit.resource?.start && hit.resource?.end)
+      .map(hit => transformGraphEvent({ ...hit.resource, id: hit.resource.id || hit.hitId }));
+  }
+
+  // Free/busy of the account's own mailbox. Only work and school accounts support getSchedule.
+  public async getSchedule(email: string, start: Date, end: Date): Promise<BusyPeriod[]> {
+    const graphClient = this.createGraphClient();
+    const response = await this.timed('schedule', () => graphClient.api('/me/calendar/getSchedule').post({
+      schedules: [email],
+      startTime: { dateTime: start.toISOString().slice(0, 19), timeZone: 'UTC' },
+      endTime: { dateTime: end.toISOString().slice(0, 19), timeZone: 'UTC' },
+      availabilityViewInterval: 15
+    }));
+
+    const schedule = response.value?.[0];
+    if (!schedule || schedule.error) {
+      throw new Error(`No free/busy information: ${schedule?.error?.message || 'empty response'}`);
+    }
+    return (schedule.scheduleItems || [])
+      .filter((item: any) => !AVAILABLE_STATUSES.includes(item.status))
+      .map((item: any) => ({ start: eventTimeToMs(item.start), end: eventTimeToMs(item.end) }));
+  }
+
+  // Needs Calendars.ReadWrite. Attendees receive an invitation right away.
+  public async createEvent(event: NewEvent): Promise<CalendarEvent> {
+    const graphClient = this.createGraphClient();
+    const path = event.calendarId ? `/me/calendars/${encodeURIComponent(event.calendarId)}/events` : '/me/events';
+    const created = await this.timed('event_create', () => this.withPreferences(graphClient.api(path)).post({
+      subject: event.subject,
+      // Sent in UTC, the response comes back in the account's zone
+      start: { dateTime: event.start.toISOString().slice(0, 19), timeZone: 'UTC' },
+      end: { dateTime: event.end.toISOString().slice(0, 19), timeZone: 'UTC' },
+      location: event.location ? { displayName: event.location } : undefined,
+      isOnlineMeeting: !!event.isOnlineMeeting,
+      attendees: (event.attendees || []).map(address => ({ emailAddress: { address }, type: 'required' })),
+      showAs: event.showAs || 'busy'
+    }));
+
+    return transformGraphEvent(created, event.calendarId);
+  }
+
+  // Needs Calendars.ReadWrite. The organizer is notified unless sendResponse is false.
+  public async respondToEvent(eventId: string, action: 'accept' | 'tentativelyAccept' | 'decline', comment?: string, sendResponse: boolean = true): Promise<void> {
+    const graphClient = this.createGraphClient();
+    await this.timed('event_respond', () => graphClient.api(`/me/events/${encodeURIComponent(eventId)}/${action}`).post({
+      comment: comment || '',
+      sendResponse
+    }));
+  }
+
+  public async deleteSubscription(subscriptionId: string): Promise<void> {
+    const graphClient = this.createGraphClient();
+    await this.timed('subscription_delete', () => graphClient.api(`/subscriptions/${subscriptionId}`).delete());
+  }
+
+  public async getUserProfile(): Promise<any> {
+    try {
+      const graphClient = this.createGraphClient();
+      
+      const profile = await this.timedGet(
+        graphClient.api('/me').select('id,displayName,mail,userPrincipalName'),
+        'profile'
+      );
+
+      return {
+        id: profile.id,
+        name: profile.displayName,
+        email: profile.mail || profile.userPrincipalName
+      };
+    } catch (error) {
+      console.error('Error fetching user profile:', error);
+      throw new Error(`Failed to fetch user profile: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+}
+
+// Transform a Graph event to our CalendarEvent interface, also used for Graph-shaped fixtures
+export function transformGraphEvent(event: any, calendarId?: string): CalendarEvent {
+  const transformed: CalendarEvent = {
+    id: event.id,
+    subject: event.subject || 'No Subject',
+    start: {
+      dateTime: event.start.dateTime,
+      timeZone: event.start.timeZone || 'UTC'
+    },
+    end: {
+      dateTime: event.end.dateTime,
+      timeZone: event.end.timeZone || 'UTC'
+    },
+    location: event.location ? {
+      displayName: event.location.displayName || ''
+    } : undefined,
+    organizer: event.organizer ? {
+      emailAddress: {
+        name: event.organizer.emailAddress.name || '',
+        address: event.organizer.emailAddress.address || ''
+      }
+    } : undefined,
+    isOnlineMeeting: event.isOnlineMeeting || false,
+    onlineMeetingUrl: event.onlineMeetingUrl || undefined,
+    attendees: Array.isArray(event.attendees) ? event.attendees.map((attendee: any) => ({
+      emailAddress: {
+        name: attendee.emailAddress?.name || '',
+        address: attendee.emailAddress?.address || ''
+      },
+      type: attendee.type || 'required',
+      status: attendee.status?.response ? { response: attendee.status.response } : undefined
+    })) : undefined,
+    responseStatus: event.responseStatus?.response ? {
+      response: event.responseStatus.response,
+      time: event.responseStatus.time || undefined
+    } : undefined,
+    isAllDay: event.isAllDay || false,
+    isCancelled: event.isCancelled || false,
+    showAs: event.showAs || undefined,
+    categories: Array.isArray(event.categories) && event.categories.length > 0 ? event.categories : undefined,
+    importance: event.importance || undefined,
+    bodyPreview: event.bodyPreview || undefined
+  };
+  if (calendarId) {
+    transformed.calendarId = calendarId;
+  }
+  return transformed;
+}
@@ -34,25 +34,136 @@ interface CalendarEvent {
   };
   isOnlineMeeting?: boolean;
   onlineMeetingUrl?: string;
+  // Calendar the event was read from, unset for the account's default calendar
+  calendarId?: string;
+  attendees?: EventAttendee[];
+  // The account's own response: none, organizer, accepted, tentativelyAccepted, declined, notResponded
+  responseStatus?: {
+    response: string;
+    time?: string;
+  };
+  isAllDay?: boolean;
+  isCancelled?: boolean;
+  // free, tentative, busy, oof, workingElsewhere or unknown
+  showAs?: string;
+  categories?: string[];
+  // low, normal or high
+  importance?: string;
+  bodyPreview?: string;
+}
+
+interface EventAttendee {
+  emailAddress: {
+    name: string;
+    address: string;
+  };
+  // required, optional or resource
+  type: string;
+  status?: {
+    response: string;
+  };
+}
+
+// A calendar of an account as listed by /me/calendars
+interface CalendarInfo {
+  id: string;
+  name: string;
+  hexColor?: string;
+  isDefault: boolean;
+  owner?: string;
+}
+
+interface CalendarSelection {
+  id: string;
+  color: string;
+}
+
+interface UserSettings {
+  // Secret for the subscribable ICS feed, the feed is disabled without one
+  feedToken?: string;
+  // Minutes before a meeting starts to show a reminder, unset means the default
+  reminderLeadMinutes?: number[];
+  // Where events come from, Microsoft Graph unless a fixture file is configured
+  provider?: 'graph' | 'fixture';
+  fixtureFile?: string;
+  // Calendars included in the dashboard, only the default calendar when unset
+  calendars?: CalendarSelection[];
+  // IANA zone events are fetched in and "today" is computed in, the configured default when unset
+  timeZone?: string;
+  // The account consented to Calendars.ReadWrite, needed to respond to invitations
+  writeAccess?: boolean;
+}
+
+interface DashboardSession {
+  createdAt: number;
+  expiresAt: number;
+  label: string;
+  // Microsoft account IDs the session may access, null for all accounts
+  accountIds: string[] | null;
 }
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+interface DeltaState {
+  // Delta links per calendar ID, "default" for the default calendar
+  deltaLinks: Record<string, string>;
+  windowStart: string;
+  windowEnd: string;
+  // Graph returns times in the zone the delta link was created with
+  timeZone?: string;
+}
+
+// Graph change notification subscription of an account
+interface GraphSubscription {
+  id: string;
+  expirationDateTime: string;
+  // Secret Graph echoes back in every notification
+  clientState: string;
+}
+
+interface CachedRange {
+  start: string;
+  end: string;
+  events: CalendarEvent[];
+  timestamp: number;
+}
+
+import { Database } from "bun:sqlite";
+import { readFileSync, existsSync, mkdirSync, renameSync } from "fs";
 import { join } from "path";
+import { TokenCipher, TokenEncryptionError } from "./TokenCipher.ts";
+import { eventTimeToMs } from "../utils/time.ts";
 
 export class CacheManager {
   private tokenData: Map<string, TokenData> = new Map();
   private userProfiles: Map<string, UserProfile> = new Map();
   private cachedEvents: Map<string, CalendarEvent[]> = new Map();
   private cacheTimestamps: Map<string, number> = new Map();
+  private cachedRanges: Map<string, CachedRange[]> = new Map();
+  private deltaStates: Map<string, DeltaState> = new Map();
+  private userSettings: Map<string, UserSettings> = new Map();
+  private calendarLists: Map<string, { calendars: CalendarInfo[]; updatedAt: number }> = new Map();
+  private readonly maxRangesPerUser = 200;
   
-  private readonly dataDir = join(process.cwd(), "data");
-  private readonly tokensFile = join(this.dataDir, "tokens.json");
-  private readonly usersFile = join(this.dataDir, "users.json");
-  private readonly eventsFile = join(this.dataDir, "events.json");
+  private readonly dataDir: string;
+  private readonly databaseFile: string;
+  // Legacy JSON files, imported into the database once
+  private readonly tokensFile: string;
+  private readonly usersFile: string;
+  private readonly eventsFile: string;
+
+  private readonly tokenCipher: TokenCipher | null;
+  private db: Database;
 
-  constructor() {
+  constructor(dataDir: string = join(process.cwd(), "data"), tokenCipher: TokenCipher | null = TokenCipher.fromEnvironment()) {
+    this.dataDir = dataDir;
+    this.databaseFile = join(dataDir, "calendar.db");
+    this.tokensFile = join(dataDir, "tokens.json");
+    this.usersFile = join(dataDir, "users.json");
+    this.eventsFile = join(dataDir, "events.json");
+    this.tokenCipher = tokenCipher;
     this.ensureDataDir();
-    this.loadFromDisk();
+    this.openDatabase();
+    this.importJsonFiles();
+    this.loadFromDatabase();
   }
 
   private ensureDataDir(): void {
@@ -61,64 +172,179 @@ export class CacheManager {
     }
   }
 
-  private loadFromDisk(): void {
-    try {
-      // Load token data
-      if (existsSync(this.tokensFile)) {
-        const tokensData = JSON.parse(readFileSync(this.tokensFile, 'utf8'));
-        this.tokenData = new Map(Object.entries(tokensData));
+  private openDatabase(): void {
+    this.db = new Database(this.databaseFile, { create: true });
+    // WAL keeps writes incremental and the database consistent if the process dies mid-write
+    this.db.exec("PRAGMA journal_mode = WAL");
+    this.db.exec("PRAGMA synchronous = NORMAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS tokens (user_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS users (user_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS events (user_id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL);
+      CREATE TABLE IF NOT EXISTS event_ranges (
+        user_id TEXT NOT NULL,
+        range_start TEXT NOT NULL,
+        range_end TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (user_id, range_start, range_end)
+      );
+      CREATE TABLE IF NOT EXISTS delta_states (user_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS user_settings (user_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS sessions (id_hash TEXT PRIMARY KEY, data TEXT NOT NULL, expires_at INTEGER NOT NULL);
+      CREATE TABLE IF NOT EXISTS subscriptions (user_id TEXT PRIMARY KEY, subscription_id TEXT NOT NULL UNIQUE, data TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS calendars (user_id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL);
+    `);
+  }
+
+  // One-time import of the JSON files written by earlier versions
+  private importJsonFiles(): void {
+    const imported = this.db.query("SELECT value FROM meta WHERE key = 'json_imported'").get();
+    const files = [this.tokensFile, this.usersFile, this.eventsFile].filter(file => existsSync(file));
+    if (imported || files.length === 0) {
+      return;
+    }
+
+    const tokensData = existsSync(this.tokensFile) ? this.readTokensFile() : {};
+    const usersData = existsSync(this.usersFile) ? JSON.parse(readFileSync(this.usersFile, 'utf8')) : {};
+    const eventsData = existsSync(this.eventsFile) ? JSON.parse(readFileSync(this.eventsFile, 'utf8')) : {};
+
+    this.db.transaction(() => {
+      for (const [userId, tokenData] of Object.entries(tokensData)) {
+        this.writeTokenRow(userId, tokenData);
+      }
+      for (const [userId, profile] of Object.entries(usersData)) {
+        this.db.run("INSERT OR REPLACE INTO users (user_id, data) VALUES (?, ?)", [userId, JSON.stringify(profile)]);
+      }
+      const timestamps: Record<string, number> = eventsData.timestamps || {};
+      for (const [userId, events] of Object.entries(eventsData.events || {})) {
+        this.db.run(
+          "INSERT OR REPLACE INTO events (user_id, data, updated_at) VALUES (?, ?, ?)",
+          [userId, JSON.stringify(events), timestamps[userId] || Date.now()]
+        );
+      }
+      for (const [userId, ranges] of Object.entries<CachedRange[]>(eventsData.ranges || {})) {
+        for (const range of ranges) {
+          this.db.run(
+            "INSERT OR REPLACE INTO event_ranges (user_id, range_start, range_end, data, updated_at) VALUES (?, ?, ?, ?, ?)",
+            [userId, range.start, range.end, JSON.stringify(range.events), range.timestamp]
+          );
+        }
       }
+      for (const [userId, state] of Object.entries(eventsData.deltaStates || {})) {
+        this.db.run("INSERT OR REPLACE INTO delta_states (user_id, data) VALUES (?, ?)", [userId, JSON.stringify(state)]);
+      }
+      this.db.run("INSERT OR REPLACE INTO meta (key, value) VALUES ('json_imported', ?)", [new Date().toISOString()]);
+    })();
+
+    // Keep the originals around as a backup, but out of the way
+    for (const file of files) {
+      renameSync(file, `${file}.imported`);
+    }
+    console.log(`Imported ${files.length} JSON data file(s) into ${this.databaseFile}`);
+  }
 
-      // Load user profiles
-      if (existsSync(this.usersFile)) {
-        const usersData = JSON.parse(readFileSync(this.usersFile, 'utf8'));
-        this.userProfiles = new Map(Object.entries(usersData));
+  private readTokensFile(): Record<string, TokenData> {
+    const contents = JSON.parse(readFileSync(this.tokensFile, 'utf8'));
+
+    if (TokenCipher.isEncryptedPayload(contents)) {
+      if (!this.tokenCipher) {
+        throw new TokenEncryptionError(
+          `${this.tokensFile} is encrypted but no key is configured. Set TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_KEY_FILE.`
+        );
       }
+      return JSON.parse(this.tokenCipher.decrypt(contents));
+    }
+    return contents;
+  }
 
-      // Load cached events
-      if (existsSync(this.eventsFile)) {
-        const eventsData = JSON.parse(readFileSync(this.eventsFile, 'utf8'));
-        this.cachedEvents = new Map(Object.entries(eventsData.events || {}));
-        this.cacheTimestamps = new Map(Object.entries(eventsData.timestamps || {}));
+  private loadFromDatabase(): void {
+    let plaintextTokens = 0;
+    for (const row of this.db.query<{ user_id: string; data: string }, []>("SELECT user_id, data FROM tokens").all()) {
+      const stored = JSON.parse(row.data);
+      if (TokenCipher.isEncryptedPayload(stored)) {
+        if (!this.tokenCipher) {
+          throw new TokenEncryptionError(
+            `Stored tokens in ${this.databaseFile} are encrypted but no key is configured. Set TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_KEY_FILE.`
+          );
+        }
+        this.tokenData.set(row.user_id, JSON.parse(this.tokenCipher.decrypt(stored)));
+      } else {
+        this.tokenData.set(row.user_id, stored);
+        plaintextTokens++;
       }
+    }
 
-      console.log(`Loaded ${this.tokenData.size} tokens, ${this.userProfiles.size} users from disk`);
-    } catch (error) {
-      console.error("Error loading data from disk:", error);
+    if (plaintextTokens > 0 && this.tokenCipher) {
+      // Existing plaintext rows, rewrite them encrypted right away
+      console.log("Migrating plaintext token storage to encrypted storage");
+      this.db.transaction(() => {
+        for (const [userId, tokenData] of this.tokenData) {
+          this.writeTokenRow(userId, tokenData);
+        }
+      })();
+    } else if (plaintextTokens > 0) {
+      console.warn("⚠ Tokens are stored unencrypted. Set TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_KEY_FILE to encrypt them at rest.");
+    }
+
+    for (const row of this.db.query<{ user_id: string; data: string }, []>("SELECT user_id, data FROM users").all()) {
+      this.userProfiles.set(row.user_id, JSON.parse(row.data));
+    }
+
+    for (const row of this.db.query<{ user_id: string; data: string; updated_at: number }, []>(
+      "SELECT user_id, data, updated_at FROM events"
+    ).all()) {
+      this.cachedEvents.set(row.user_id, JSON.parse(row.data));
+      this.cacheTimestamps.set(row.user_id, row.updated_at);
     }
-  }
 
-  private saveToDisk(): void {
-    try {
-      // Save token data
-      const tokensData = Object.fromEntries(this.tokenData);
-      writeFileSync(this.tokensFile, JSON.stringify(tokensData, null, 2));
+    for (const row of this.db.query<{ user_id: string; range_start: string; range_end: string; data: string; updated_at: number }, []>(
+      "SELECT user_id, range_start, range_end, data, updated_at FROM event_ranges ORDER BY updated_at DESC"
+    ).all()) {
+      const ranges = this.cachedRanges.get(row.user_id) || [];
+      ranges.push({ start: row.range_start, end: row.range_end, events: JSON.parse(row.data), timestamp: row.updated_at });
+      this.cachedRanges.set(row.user_id, ranges);
+    }
 
-      // Save user profiles
-      const usersData = Object.fromEntries(this.userProfiles);
-      writeFileSync(this.usersFile, JSON.stringify(usersData, null, 2));
+    for (const row of this.db.query<{ user_id: string; data: string }, []>("SELECT user_id, data FROM delta_states").all()) {
+      const state = JSON.parse(row.data);
+      // States from before per-calendar sync have a single deltaLink, the next refresh starts over
+      if (state.deltaLinks) {
+        this.deltaStates.set(row.user_id, state);
+      }
+    }
 
-      // Save cached events and timestamps
-      const eventsData = {
-        events: Object.fromEntries(this.cachedEvents),
-        timestamps: Object.fromEntries(this.cacheTimestamps)
-      };
-      writeFileSync(this.eventsFile, JSON.stringify(eventsData, null, 2));
-    } catch (error) {
-      console.error("Error saving data to disk:", error);
+    for (const row of this.db.query<{ user_id: string; data: string }, []>("SELECT user_id, data FROM user_settings").all()) {
+      this.userSettings.set(row.user_id, JSON.parse(row.data));
     }
+
+    for (const row of this.db.query<{ user_id: string; data: string; updated_at: number }, []>(
+      "SELECT user_id, data, updated_at FROM calendars"
+    ).all()) {
+      this.calendarLists.set(row.user_id, { calendars: JSON.parse(row.data), updatedAt: row.updated_at });
+    }
+
+    console.log(`Loaded ${this.tokenData.size} tokens, ${this.userProfiles.size} users from ${this.databaseFile}`);
+  }
+
+  private writeTokenRow(userId: string, tokenData: TokenData): void {
+    const json = JSON.stringify(tokenData);
+    const data = this.tokenCipher ? JSON.stringify(this.tokenCipher.encrypt(json)) : json;
+    this.db.run("INSERT OR REPLACE INTO tokens (user_id, data) VALUES (?, ?)", [userId, data]);
   }
 
   // Token management
   public storeTokenData(userId: string, tokenData: TokenData): void {
     this.tokenData.set(userId, tokenData);
-    this.saveToDisk();
+    this.writeTokenRow(userId, tokenData);
   }
 
   public storeAccessToken(userId: string, accessToken: string): void {
     const existing = this.tokenData.get(userId) || {};
-    this.tokenData.set(userId, { ...existing, accessToken });
-    this.saveToDisk();
+    const tokenData = { ...existing, accessToken };
+    this.tokenData.set(userId, tokenData);
+    this.writeTokenRow(userId, tokenData);
   }
 
   public getAccessToken(userId: string): string | undefined {
@@ -145,13 +371,13 @@ export class CacheManager {
 
   public removeAccessToken(userId: string): void {
     this.tokenData.delete(userId);
-    this.saveToDisk();
+    this.db.run("DELETE FROM tokens WHERE user_id = ?", [userId]);
   }
 
   // User profile management
   public storeUserProfile(userId: string, profile: UserProfile): void {
     this.userProfiles.set(userId, profile);
-    this.saveToDisk();
+    this.db.run("INSERT OR REPLACE INTO users (user_id, data) VALUES (?, ?)", [userId, JSON.stringify(profile)]);
   }
 
   public getUserProfile(userId: string): UserProfile | undefined {
@@ -166,17 +392,138 @@ export class CacheManager {
     return Array.from(this.userProfiles.keys());
   }
 
+  // Per-account settings
+  public getUserSettings(userId: string): UserSettings {
+    return this.userSettings.get(userId) || {};
+  }
+
+  public updateUserSettings(userId: string, changes: Partial<UserSettings>): UserSettings {
+    const settings = { ...this.getUserSettings(userId), ...changes };
+    this.userSettings.set(userId, settings);
+    this.db.run("INSERT OR REPLACE INTO user_settings (user_id, data) VALUES (?, ?)", [userId, JSON.stringify(settings)]);
+    return settings;
+  }
+
+  // Calendars available to an account
+  public storeCalendars(userId: string, calendars: CalendarInfo[]): void {
+    const updatedAt = Date.now();
+    this.calendarLists.set(userId, { calendars, updatedAt });
+    this.db.run(
+      "INSERT OR REPLACE INTO calendars (user_id, data, updated_at) VALUES (?, ?, ?)",
+      [userId, JSON.stringify(calendars), updatedAt]
+    );
+  }
+
+  public getCalendars(userId: string): CalendarInfo[] {
+    return this.calendarLists.get(userId)?.calendars || [];
+  }
+
+  public getCalendarsTimestamp(userId: string): number | undefined {
+    return this.calendarLists.get(userId)?.updatedAt;
+  }
+
   // Calendar events caching
   public cacheEvents(userId: string, events: CalendarEvent[]): void {
+    const timestamp = Date.now();
     this.cachedEvents.set(userId, events);
-    this.cacheTimestamps.set(userId, Date.now());
-    this.saveToDisk();
+    this.cacheTimestamps.set(userId, timestamp);
+    this.db.run(
+      "INSERT OR REPLACE INTO events (user_id, data, updated_at) VALUES (?, ?, ?)",
+      [userId, JSON.stringify(events), timestamp]
+    );
+  }
+
+  // Apply the result of a delta sync. A full resync replaces the cached events entirely.
+  public applyEventChanges(userId: string, updated: CalendarEvent[], removedIds: string[], fullResync: boolean): void {
+    const events = new Map<string, CalendarEvent>();
+    if (!fullResync) {
+      for (const event of this.cachedEvents.get(userId) || []) {
+        events.set(event.id, event);
+      }
+    }
+    for (const id of removedIds) {
+      events.delete(id);
+    }
+    for (const event of updated) {
+      events.set(event.id, event);
+    }
+
+    const sorted = Array.from(events.values()).sort(
+      (a, b) => eventTimeToMs(a.start) - eventTimeToMs(b.start)
+    );
+    this.cacheEvents(userId, sorted);
   }
 
   public getCachedEvents(userId: string): CalendarEvent[] | undefined {
     return this.cachedEvents.get(userId);
   }
 
+  // Every cached event of a user across today's cache and all cached ranges, without duplicates
+  public getAllCachedEvents(userId: string): CalendarEvent[] {
+    const events = new Map<string, CalendarEvent>();
+    const ranges = [...(this.cachedRanges.get(userId) || [])].reverse();
+    for (const range of ranges) {
+      for (const event of range.events) {
+        events.set(event.id, event);
+      }
+    }
+    // Today's cache is refreshed most often, so it wins
+    for (const event of this.cachedEvents.get(userId) || []) {
+      events.set(event.id, event);
+    }
+    return Array.from(events.values()).sort(
+      (a, b) => eventTimeToMs(a.start) - eventTimeToMs(b.start)
+    );
+  }
+
+  // Add an event created from the dashboard to today's cache and every cached range it falls into
+  public addCachedEvent(userId: string, event: CalendarEvent): void {
+    const start = eventTimeToMs(event.start);
+    const end = eventTimeToMs(event.end);
+    const overlaps = (rangeStart: string, rangeEnd: string) =>
+      start < new Date(rangeEnd).getTime() && end > new Date(rangeStart).getTime();
+    const withEvent = (events: CalendarEvent[]) =>
+      [...events.filter(candidate => candidate.id !== event.id), event].sort(
+        (a, b) => eventTimeToMs(a.start) - eventTimeToMs(b.start)
+      );
+
+    const deltaState = this.deltaStates.get(userId);
+    const events = this.cachedEvents.get(userId);
+    if (events && deltaState && overlaps(deltaState.windowStart, deltaState.windowEnd)) {
+      this.cachedEvents.set(userId, withEvent(events));
+      this.db.run("UPDATE events SET data = ? WHERE user_id = ?", [JSON.stringify(this.cachedEvents.get(userId)), userId]);
+    }
+
+    for (const range of this.cachedRanges.get(userId) || []) {
+      if (overlaps(range.start, range.end)) {
+        range.events = withEvent(range.events);
+        this.db.run(
+          "UPDATE event_ranges SET data = ? WHERE user_id = ? AND range_start = ? AND range_end = ?",
+          [JSON.stringify(range.events), userId, range.start, range.end]
+        );
+      }
+    }
+  }
+
+  // Apply a local change to a cached event, in today's cache and every cached range, until the next sync confirms it
+  public updateCachedEvent(userId: string, eventId: string, update: (event: CalendarEvent) => CalendarEvent): void {
+    const events = this.cachedEvents.get(userId);
+    if (events?.some(event => event.id === eventId)) {
+      this.cachedEvents.set(userId, events.map(event => (event.id === eventId ? update(event) : event)));
+      this.db.run("UPDATE events SET data = ? WHERE user_id = ?", [JSON.stringify(this.cachedEvents.get(userId)), userId]);
+    }
+
+    for (const range of this.cachedRanges.get(userId) || []) {
+      if (range.events.some(event => event.id === eventId)) {
+        range.events = range.events.map(event => (event.id === eventId ? update(event) : event));
+        this.db.run(
+          "UPDATE event_ranges SET data = ? WHERE user_id = ? AND range_start = ? AND range_end = ?",
+          [JSON.stringify(range.events), userId, range.start, range.end]
+        );
+      }
+    }
+  }
+
   public getCacheTimestamp(userId: string): number | undefined {
     return this.cacheTimestamps.get(userId);
   }
@@ -189,12 +536,132 @@ export class CacheManager {
     return (Date.now() - timestamp) < maxAgeMs;
   }
 
+  // Delta sync state
+  public storeDeltaState(userId: string, state: DeltaState): void {
+    this.deltaStates.set(userId, state);
+    this.db.run("INSERT OR REPLACE INTO delta_states (user_id, data) VALUES (?, ?)", [userId, JSON.stringify(state)]);
+  }
+
+  public getDeltaState(userId: string): DeltaState | undefined {
+    return this.deltaStates.get(userId);
+  }
+
+  public clearDeltaState(userId: string): void {
+    this.deltaStates.delete(userId);
+    this.db.run("DELETE FROM delta_states WHERE user_id = ?", [userId]);
+  }
+
+  // Date range caching
+  public cacheEventsForRange(userId: string, start: Date, end: Date, events: CalendarEvent[]): void {
+    const startIso = start.toISOString();
+    const endIso = end.toISOString();
+    const ranges = (this.cachedRanges.get(userId) || []).filter(
+      range => range.start !== startIso || range.end !== endIso
+    );
+
+    // Most recent first, oldest ranges are dropped once the limit is reached
+    const timestamp = Date.now();
+    ranges.unshift({ start: startIso, end: endIso, events, timestamp });
+    this.cachedRanges.set(userId, ranges.slice(0, this.maxRangesPerUser));
+
+    this.db.transaction(() => {
+      this.db.run(
+        "INSERT OR REPLACE INTO event_ranges (user_id, range_start, range_end, data, updated_at) VALUES (?, ?, ?, ?, ?)",
+        [userId, startIso, endIso, JSON.stringify(events), timestamp]
+      );
+      this.db.run(
+        `DELETE FROM event_ranges WHERE user_id = ? AND rowid NOT IN (
+          SELECT rowid FROM event_ranges WHERE user_id = ? ORDER BY updated_at DESC LIMIT ?
+        )`,
+        [userId, userId, this.maxRangesPerUser]
+      );
+    })();
+  }
+
+  public clearEventRanges(userId: string): void {
+    this.cachedRanges.delete(userId);
+    this.db.run("DELETE FROM event_ranges WHERE user_id = ?", [userId]);
+  }
+
+  public getCachedEventsForRange(userId: string, start: Date, end: Date): CalendarEvent[] | undefined {
+    const ranges = this.cachedRanges.get(userId) || [];
+    const covering = ranges.find(range =>
+      new Date(range.start).getTime() <= start.getTime() &&
+      new Date(range.end).getTime() >= end.getTime()
+    );
+    if (!covering) {
+      return undefined;
+    }
+
+    // A wider cached range may contain events outside of the requested window
+    return covering.events.filter(event =>
+      eventTimeToMs(event.start) < end.getTime() &&
+      eventTimeToMs(event.end) > start.getTime()
+    );
+  }
+
+  // Dashboard sessions, read straight from the database since they are looked up per request
+  public storeSession(idHash: string, session: DashboardSession): void {
+    this.db.run(
+      "INSERT OR REPLACE INTO sessions (id_hash, data, expires_at) VALUES (?, ?, ?)",
+      [idHash, JSON.stringify(session), session.expiresAt]
+    );
+  }
+
+  public getSession(idHash: string): DashboardSession | undefined {
+    const row = this.db.query<{ data: string }, [string, number]>(
+      "SELECT data FROM sessions WHERE id_hash = ? AND expires_at > ?"
+    ).get(idHash, Date.now());
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  public deleteSession(idHash: string): void {
+    this.db.run("DELETE FROM sessions WHERE id_hash = ?", [idHash]);
+  }
+
+  public purgeExpiredSessions(): void {
+    this.db.run("DELETE FROM sessions WHERE expires_at <= ?", [Date.now()]);
+  }
+
+  // Change notification subscriptions, looked up by subscription ID when Graph calls the webhook
+  public storeSubscription(userId: string, subscription: GraphSubscription): void {
+    this.db.run(
+      "INSERT OR REPLACE INTO subscriptions (user_id, subscription_id, data) VALUES (?, ?, ?)",
+      [userId, subscription.id, JSON.stringify(subscription)]
+    );
+  }
+
+  public getSubscription(userId: string): GraphSubscription | undefined {
+    const row = this.db.query<{ data: string }, [string]>("SELECT data FROM subscriptions WHERE user_id = ?").get(userId);
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  public findSubscription(subscriptionId: string): { userId: string; subscription: GraphSubscription } | undefined {
+    const row = this.db.query<{ user_id: string; data: string }, [string]>(
+      "SELECT user_id, data FROM subscriptions WHERE subscription_id = ?"
+    ).get(subscriptionId);
+    return row ? { userId: row.user_id, subscription: JSON.parse(row.data) } : undefined;
+  }
+
+  public clearSubscription(userId: string): void {
+    this.db.run("DELETE FROM subscriptions WHERE user_id = ?", [userId]);
+  }
+
   public clearUserData(userId: string): void {
     this.tokenData.delete(userId);
     this.userProfiles.delete(userId);
     this.cachedEvents.delete(userId);
     this.cacheTimestamps.delete(userId);
-    this.saveToDisk();
+    this.cachedRanges.delete(userId);
+    this.deltaStates.delete(userId);
+    this.userSettings.delete(userId);
+    this.calendarLists.delete(userId);
+
+    this.db.transaction(() => {
+      for (const table of ["tokens", "users", "events", "event_ranges", "delta_states", "user_settings", "subscriptions", "calendars"]) {
+        this.db.run(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+      }
+    })();
   }
 
   public clearAllData(): void {
@@ -202,8 +669,17 @@ export class CacheManager {
     this.userProfiles.clear();
     this.cachedEvents.clear();
     this.cacheTimestamps.clear();
-    this.saveToDisk();
+    this.cachedRanges.clear();
+    this.deltaStates.clear();
+    this.userSettings.clear();
+    this.calendarLists.clear();
+
+    this.db.transaction(() => {
+      for (const table of ["tokens", "users", "events", "event_ranges", "delta_states", "user_settings", "subscriptions", "calendars"]) {
+        this.db.run(`DELETE FROM ${table}`);
+      }
+    })();
   }
 }
 
-export type { UserProfile, CalendarEvent, TokenData };
+export type { UserProfile, CalendarEvent, EventAttendee, CalendarInfo, CalendarSelection, TokenData, DeltaState, DashboardSession, UserSettings, GraphSubscription };
@@ -1,87 +1,394 @@
-import { Client } from "@microsoft/microsoft-graph-client";
-import type { CalendarEvent } from "./CacheManager.ts";
+import { GraphError } from "@microsoft/microsoft-graph-client";
+import { CacheManager, type CalendarEvent, type CalendarInfo, type CalendarSelection } from "./CacheManager.ts";
+import { AuthController } from "../auth/AuthController.ts";
+import type { CalendarProvider, ProviderType } from "../providers/CalendarProvider.ts";
+import { GraphCalendarProvider, type NewEvent } from "../providers/GraphCalendarProvider.ts";
+import { FixtureCalendarProvider } from "../providers/FixtureCalendarProvider.ts";
+import type { FixtureAccount } from "../config/Config.ts";
+import { eventTimeToMs, resolveTimeZone, startOfDayInZone } from "../utils/time.ts";
 
+export { DeltaSyncExpiredError, GraphThrottledError } from "../providers/GraphCalendarProvider.ts";
+
+// Used for calendars without a color of their own
+const CALENDAR_COLORS = ["#0d6efd", "#198754", "#dc3545", "#fd7e14", "#6f42c1", "#20c997", "#d63384", "#0dcaf0"];
+const CALENDAR_LIST_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Dashboard responses mapped to the Graph action and the resulting responseStatus
+const EVENT_RESPONSES = {
+  accept: { action: 'accept', status: 'accepted' },
+  tentative: { action: 'tentativelyAccept', status: 'tentativelyAccepted' },
+  decline: { action: 'decline', status: 'declined' }
+} as const;
+
+type EventResponse = keyof typeof EVENT_RESPONSES;
+
+interface WriteError {
+  error: string;
+  status: number;
+  // The account has to grant Calendars.ReadWrite first
+  consentRequired?: boolean;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EVENT_DURATION_MS = 14 * 24 * 60 * 60 * 1000;
+const FOCUS_SUBJECT = 'Focus time';
+
+// Picks the calendar provider of an account: Microsoft Graph by default, or a local
+// fixture file for accounts configured in "fixtures"
 export class CalendarService {
-  private createGraphClient(accessToken: string): Client {
-    return Client.init({
-      authProvider: (done) => {
-        done(null, accessToken);
+  private cacheManager: CacheManager;
+  private authController: AuthController;
+  private defaultTimeZone: string;
+
+  constructor(cacheManager: CacheManager, authController: AuthController, defaultTimeZone: string) {
+    this.cacheManager = cacheManager;
+    this.authController = authController;
+    this.defaultTimeZone = defaultTimeZone;
+  }
+
+  // Register fixture accounts from the configuration, accounts dropped from it go back to Graph
+  public registerFixtureAccounts(fixtures: FixtureAccount[]): void {
+    const configured = new Set(fixtures.map(fixture => fixture.id));
+    for (const userId of this.cacheManager.getAllUsers()) {
+      if (this.getProviderType(userId) === 'fixture' && !configured.has(userId)) {
+        this.cacheManager.updateUserSettings(userId, { provider: undefined, fixtureFile: undefined });
       }
+    }
+
+    for (const fixture of fixtures) {
+      const existing = this.cacheManager.getUserProfile(fixture.id);
+      this.cacheManager.storeUserProfile(fixture.id, {
+        id: fixture.id,
+        name: fixture.name || existing?.name || fixture.id,
+        email: fixture.email || existing?.email || `${fixture.id}@fixture.local`
+      });
+      this.cacheManager.updateUserSettings(fixture.id, { provider: 'fixture', fixtureFile: fixture.file });
+      console.log(`🧪 Account ${fixture.id} reads events from ${fixture.file}`);
+    }
+  }
+
+  public getTimeZone(userId: string): string {
+    return this.cacheManager.getUserSettings(userId).timeZone || this.defaultTimeZone;
+  }
+
+  // Null goes back to the configured default zone
+  public setTimeZone(userId: string, timeZone: unknown): string | { error: string } {
+    if (timeZone === null || timeZone === '') {
+      this.cacheManager.updateUserSettings(userId, { timeZone: undefined });
+    } else {
+      const resolved = typeof timeZone === 'string' ? resolveTimeZone(timeZone) : null;
+      if (!resolved) {
+        return { error: 'timeZone must be an IANA time zone such as "Europe/Berlin"' };
+      }
+      this.cacheManager.updateUserSettings(userId, { timeZone: resolved });
+    }
+    // Cached ranges hold times in the previous zone
+    this.cacheManager.clearEventRanges(userId);
+    return this.getTimeZone(userId);
+  }
+
+  public getProviderType(userId: string): ProviderType {
+    return this.cacheManager.getUserSettings(userId).provider || 'graph';
+  }
+
+  // Null when a Graph account has no usable access token
+  public async getProvider(userId: string): Promise<CalendarProvider | null> {
+    const settings = this.cacheManager.getUserSettings(userId);
+    if (settings.provider === 'fixture' && settings.fixtureFile) {
+      return new FixtureCalendarProvider(settings.fixtureFile, this.getTimeZone(userId));
+    }
+    return this.getGraphProvider(userId);
+  }
+
+  // Calendars included in background refresh, empty for the default calendar only
+  public getSelectedCalendarIds(userId: string): string[] {
+    return (this.cacheManager.getUserSettings(userId).calendars || []).map(calendar => calendar.id);
+  }
+
+  // Selected calendars with their names, for coloring events in the dashboard
+  public getSelectedCalendars(userId: string): { id: string; name: string; color: string }[] {
+    const known = this.cacheManager.getCalendars(userId);
+    return (this.cacheManager.getUserSettings(userId).calendars || []).map(selection => ({
+      id: selection.id,
+      name: known.find(calendar => calendar.id === selection.id)?.name || 'Calendar',
+      color: selection.color
+    }));
+  }
+
+  // Every calendar of the account with its selection state, fetched fresh when possible
+  public async getCalendarOptions(userId: string) {
+    const provider = await this.getProvider(userId);
+    if (provider) {
+      try {
+        await this.refreshCalendars(userId, provider);
+      } catch (error) {
+        console.log(`Failed to list calendars for user ${userId}, using cache:`, error instanceof Error ? error.message : error);
+      }
+    }
+
+    const selection = this.cacheManager.getUserSettings(userId).calendars;
+    return this.cacheManager.getCalendars(userId).map((calendar, index) => {
+      const selected = selection?.find(entry => entry.id === calendar.id);
+      return {
+        ...calendar,
+        // Without a selection only the default calendar is shown
+        selected: selection ? !!selected : calendar.isDefault,
+        color: selected?.color || calendar.hexColor || CALENDAR_COLORS[index % CALENDAR_COLORS.length]
+      };
     });
   }
 
-  public async getTodayEvents(accessToken: string): Promise<CalendarEvent[]> {
+  // An empty list goes back to the default calendar only
+  public async setSelectedCalendars(userId: string, calendars: unknown): Promise<CalendarSelection[] | { error: string }> {
+    if (!Array.isArray(calendars)) {
+      return { error: 'calendars must be a list of { id, color }' };
+    }
+
+    // Calendars created since the list was cached are looked up before rejecting them
+    const isKnown = (id: unknown) => this.cacheManager.getCalendars(userId).some(calendar => calendar.id === id);
+    const provider = calendars.some(calendar => !isKnown(calendar?.id)) ? await this.getProvider(userId) : null;
+    if (provider) {
+      await this.refreshCalendarsIfStale(userId, provider, 0);
+    }
+    const known = new Set(this.cacheManager.getCalendars(userId).map(calendar => calendar.id));
+    for (const calendar of calendars) {
+      if (typeof calendar?.id !== 'string' || !known.has(calendar.id)) {
+        return { error: `Unknown calendar: ${calendar?.id}` };
+      }
+      if (typeof calendar.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(calendar.color)) {
+        return { error: 'Colors must be hex values like #0d6efd' };
+      }
+    }
+
+    const selection: CalendarSelection[] = [];
+    for (const calendar of calendars as CalendarSelection[]) {
+      if (!selection.some(entry => entry.id === calendar.id)) {
+        selection.push({ id: calendar.id, color: calendar.color.toLowerCase() });
+      }
+    }
+    this.cacheManager.updateUserSettings(userId, { calendars: selection.length > 0 ? selection : undefined });
+    // Cached ranges were fetched with the old selection
+    this.cacheManager.clearEventRanges(userId);
+    return selection;
+  }
+
+  // Calendars get added and removed rarely, the list is refreshed every few hours during background refresh
+  public async refreshCalendarsIfStale(userId: string, provider: CalendarProvider, maxAgeMs: number = CALENDAR_LIST_MAX_AGE_MS): Promise<void> {
+    const updatedAt = this.cacheManager.getCalendarsTimestamp(userId);
+    if (updatedAt && Date.now() - updatedAt < maxAgeMs) {
+      return;
+    }
     try {
-      const graphClient = this.createGraphClient(accessToken);
-      
-      // Get today's date range
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
-      
-      const startTime = startOfDay.toISOString();
-      const endTime = endOfDay.toISOString();
-
-      // Fetch calendar events for today
-      const events = await graphClient
-        .api('/me/calendar/calendarView')
-        .query({
-          startDateTime: startTime,
-          endDateTime: endTime,
-          $select: 'id,subject,start,end,location,organizer,isOnlineMeeting,onlineMeetingUrl',
-          $orderby: 'start/dateTime'
-        })
-        .get();
-
-      // Transform the response to our CalendarEvent interface
-      const calendarEvents: CalendarEvent[] = events.value.map((event: any) => ({
-        id: event.id,
-        subject: event.subject || 'No Subject',
-        start: {
-          dateTime: event.start.dateTime,
-          timeZone: event.start.timeZone || 'UTC'
-        },
-        end: {
-          dateTime: event.end.dateTime,
-          timeZone: event.end.timeZone || 'UTC'
-        },
-        location: event.location ? {
-          displayName: event.location.displayName || ''
-        } : undefined,
-        organizer: event.organizer ? {
-          emailAddress: {
-            name: event.organizer.emailAddress.name || '',
-            address: event.organizer.emailAddress.address || ''
-          }
-        } : undefined,
-        isOnlineMeeting: event.isOnlineMeeting || false,
-        onlineMeetingUrl: event.onlineMeetingUrl || undefined
-      }));
-
-      return calendarEvents;
+      await this.refreshCalendars(userId, provider);
     } catch (error) {
-      console.error('Error fetching calendar events:', error);
-      throw new Error(`Failed to fetch calendar events: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      console.log(`Failed to refresh calendar list for user ${userId}:`, error instanceof Error ? error.message : error);
     }
   }
 
-  public async getUserProfile(accessToken: string): Promise<any> {
+  private async refreshCalendars(userId: string, provider: CalendarProvider): Promise<CalendarInfo[]> {
+    const calendars = await provider.listCalendars();
+    this.cacheManager.storeCalendars(userId, calendars);
+
+    // Deleted or unshared calendars would fail every refresh, drop them from the selection
+    const selection = this.cacheManager.getUserSettings(userId).calendars;
+    const remaining = selection?.filter(entry => calendars.some(calendar => calendar.id === entry.id));
+    if (selection && remaining && remaining.length !== selection.length) {
+      this.cacheManager.updateUserSettings(userId, { calendars: remaining.length > 0 ? remaining : undefined });
+      console.log(`📅 Removed ${selection.length - remaining.length} unavailable calendar(s) from the selection of user ${userId}`);
+    }
+    return calendars;
+  }
+
+  // Accept, tentatively accept or decline an invitation. The cached copy is updated right away,
+  // the next refresh confirms it.
+  public async respondToEvent(userId: string, eventId: string, response: unknown, comment?: unknown, sendResponse: boolean = true): Promise<{ response: string } | WriteError> {
+    if (typeof response !== 'string' || !(response in EVENT_RESPONSES)) {
+      return { error: 'response must be accept, tentative or decline', status: 400 };
+    }
+    if (comment !== undefined && typeof comment !== 'string') {
+      return { error: 'comment must be text', status: 400 };
+    }
+    const provider = await this.getWriteProvider(userId);
+    if ('error' in provider) {
+      return provider;
+    }
+
+    const { action, status } = EVENT_RESPONSES[response as EventResponse];
     try {
-      const graphClient = this.createGraphClient(accessToken);
-      
-      const profile = await graphClient
-        .api('/me')
-        .select('id,displayName,mail,userPrincipalName')
-        .get();
+      await provider.respondToEvent(eventId, action, typeof comment === 'string' ? comment.trim() : undefined, sendResponse);
+    } catch (error) {
+      const writeError = toWriteError(error);
+      if (writeError) {
+        return writeError;
+      }
+      throw error;
+    }
 
-      return {
-        id: profile.id,
-        name: profile.displayName,
-        email: profile.mail || profile.userPrincipalName
-      };
+    this.cacheManager.updateCachedEvent(userId, eventId, event => ({
+      ...event,
+      responseStatus: { response: status, time: new Date().toISOString() }
+    }));
+    return { response: status };
+  }
+
+  // Create an event from the dashboard form. It is added to the cache right away so the
+  // dashboard shows it before the next refresh.
+  public async createEvent(userId: string, input: any): Promise<CalendarEvent | WriteError> {
+    const subject = typeof input?.subject === 'string' ? input.subject.trim() : '';
+    if (!subject || subject.length > 255) {
+      return { error: 'subject is required (up to 255 characters)', status: 400 };
+    }
+    const start = typeof input.start === 'string' ? new Date(input.start) : null;
+    const end = typeof input.end === 'string' ? new Date(input.end) : null;
+    if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return { error: 'start and end must be ISO 8601 date-times', status: 400 };
+    }
+    if (end <= start || end.getTime() - start.getTime() > MAX_EVENT_DURATION_MS) {
+      return { error: 'end must be after start and at most 14 days later', status: 400 };
+    }
+    if (input.location !== undefined && (typeof input.location !== 'string' || input.location.length > 255)) {
+      return { error: 'location must be text (up to 255 characters)', status: 400 };
+    }
+    const attendees = input.attendees ?? [];
+    if (!Array.isArray(attendees) || attendees.length > 50 || attendees.some(address => typeof address !== 'string' || !EMAIL_PATTERN.test(address.trim()))) {
+      return { error: 'attendees must be a list of up to 50 email addresses', status: 400 };
+    }
+    const provider = await this.getWriteProvider(userId);
+    if ('error' in provider) {
+      return provider;
+    }
+
+    return this.writeEvent(provider, userId, {
+      subject,
+      start,
+      end,
+      location: input.location?.trim() || undefined,
+      isOnlineMeeting: input.isOnlineMeeting === true,
+      attendees: attendees.map((address: string) => address.trim()),
+      calendarId: typeof input.calendarId === 'string' ? input.calendarId : undefined
+    });
+  }
+
+  // Block the next free stretch of the given length today, starting at the next 5 minutes
+  public async blockNextFreeSlot(userId: string, minutes: unknown): Promise<CalendarEvent | WriteError> {
+    if (typeof minutes !== 'number' || !Number.isInteger(minutes) || minutes < 5 || minutes > 480) {
+      return { error: 'blockMinutes must be a whole number of minutes between 5 and 480', status: 400 };
+    }
+    const provider = await this.getWriteProvider(userId);
+    if ('error' in provider) {
+      return provider;
+    }
+
+    const step = 5 * 60 * 1000;
+    const now = new Date();
+    const dayEnd = startOfDayInZone(now, this.getTimeZone(userId), 1);
+    const duration = minutes * 60 * 1000;
+
+    // Read fresh, a meeting accepted a minute ago may not be cached yet
+    const busy = (await provider.getEvents(now, dayEnd, this.getSelectedCalendarIds(userId)))
+      .filter(event => isBusy(event))
+      .map(event => ({ start: eventTimeToMs(event.start), end: eventTimeToMs(event.end) }))
+      .sort((a, b) => a.start - b.start);
+
+    let candidate = Math.ceil(now.getTime() / step) * step;
+    for (const period of busy) {
+      if (period.start - candidate >= duration) {
+        break;
+      }
+      candidate = Math.max(candidate, period.end);
+    }
+    if (candidate + duration > dayEnd.getTime()) {
+      return { error: `No free ${minutes} minutes left today`, status: 409 };
+    }
+
+    return this.writeEvent(provider, userId, {
+      subject: FOCUS_SUBJECT,
+      start: new Date(candidate),
+      end: new Date(candidate + duration),
+      showAs: 'busy'
+    });
+  }
+
+  private async writeEvent(provider: GraphCalendarProvider, userId: string, event: NewEvent): Promise<CalendarEvent | WriteError> {
+    const calendarId = this.resolveWriteCalendar(userId, event.calendarId);
+    if (typeof calendarId === 'object') {
+      return calendarId;
+    }
+
+    try {
+      const created = await provider.createEvent({ ...event, calendarId });
+      this.cacheManager.addCachedEvent(userId, created);
+      return created;
     } catch (error) {
-      console.error('Error fetching user profile:', error);
-      throw new Error(`Failed to fetch user profile: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      const writeError = toWriteError(error);
+      if (writeError) {
+        return writeError;
+      }
+      throw error;
+    }
+  }
+
+  // New events go to a shown calendar, otherwise they would vanish with the next refresh.
+  // Undefined is the default calendar while no selection is stored.
+  private resolveWriteCalendar(userId: string, calendarId?: string): string | undefined | WriteError {
+    const selected = this.getSelectedCalendarIds(userId);
+    const defaultId = this.cacheManager.getCalendars(userId).find(calendar => calendar.isDefault)?.id;
+    if (selected.length === 0) {
+      return !calendarId || calendarId === defaultId
+        ? undefined
+        : { error: 'Events can only be created in a calendar shown on the dashboard', status: 400 };
+    }
+    if (calendarId) {
+      return selected.includes(calendarId)
+        ? calendarId
+        : { error: 'Events can only be created in a calendar shown on the dashboard', status: 400 };
     }
+    return defaultId && selected.includes(defaultId) ? defaultId : selected[0];
   }
+
+  // Writing needs a Graph account that opted in to Calendars.ReadWrite
+  private async getWriteProvider(userId: string): Promise<GraphCalendarProvider | WriteError> {
+    if (this.getProviderType(userId) !== 'graph') {
+      return { error: 'Fixture accounts are read-only', status: 400 };
+    }
+    if (!this.authController.hasWriteAccess(userId)) {
+      return { error: 'Allow this account to change its calendar first', status: 403, consentRequired: true };
+    }
+    const provider = await this.getGraphProvider(userId);
+    return provider || { error: 'No valid access token, sign in again', status: 401 };
+  }
+
+  // Graph-only features such as change notifications need the Graph provider itself
+  public async getGraphProvider(userId: string): Promise<GraphCalendarProvider | null> {
+    if (this.getProviderType(userId) !== 'graph') {
+      return null;
+    }
+    const accessToken = await this.authController.getValidAccessToken(userId);
+    return accessToken ? new GraphCalendarProvider(accessToken, this.getTimeZone(userId)) : null;
+  }
+}
+
+// Graph errors the dashboard can explain, anything else is a server error
+function toWriteError(error: unknown): WriteError | null {
+  if (!(error instanceof GraphError)) {
+    return null;
+  }
+  switch (error.statusCode) {
+    case 403:
+      // Consent was revoked, or the token was issued before it was granted
+      return { error: 'Microsoft Graph denied the change, allow this account to change its calendar again', status: 403, consentRequired: true };
+    case 404:
+      return { error: 'Event or calendar not found', status: 404 };
+    case 400:
+      return { error: error.message || 'Microsoft Graph rejected the change', status: 400 };
+    default:
+      return null;
+  }
+}
+
+// Cancelled, declined, free and working-elsewhere events leave time free. All-day events
+// go by their availability too, so an all-day out of office blocks the whole day.
+export function isBusy(event: CalendarEvent): boolean {
+  return !event.isCancelled && event.showAs !== 'free' && event.showAs !== 'workingElsewhere' &&
+    event.responseStatus?.response !== 'declined';
 }
@@ -0,0 +1,132 @@
+interface StreamClient {
+  controller: ReadableStreamDefaultController<Uint8Array>;
+  canReceive: (userId: string) => boolean;
+  isOpen: () => boolean;
+  // Language localized payloads are worded in
+  locale: string;
+}
+
+interface StreamOptions {
+  isOpen?: () => boolean;
+  locale?: string;
+}
+
+// Fans out refresh results to browsers connected through Server-Sent Events
+export class EventBroadcaster {
+  private clients: Set<StreamClient> = new Set();
+  private encoder = new TextEncoder();
+  private heartbeat: Timer | null = null;
+  private readonly heartbeatMs = 15000;
+
+  // Open a stream that receives updates for every user accepted by canReceive,
+  // until isOpen reports that the stream's session has ended
+  public createStream(
+    canReceive: (userId: string) => boolean,
+    initialMessages: { type: string; data: unknown }[] = [],
+    { isOpen = () => true, locale = "en" }: StreamOptions = {}
+  ): Response {
+    let client: StreamClient;
+
+    const stream = new ReadableStream<Uint8Array>({
+      start: (controller) => {
+        client = { controller, canReceive, isOpen, locale };
+        this.clients.add(client);
+        this.ensureHeartbeat();
+
+        // Tell the browser how long to wait before reconnecting
+        controller.enqueue(this.encoder.encode("retry: 5000\n\n"));
+        for (const message of initialMessages) {
+          controller.enqueue(this.encode(message.type, message.data));
+        }
+      },
+      cancel: () => {
+        this.removeClient(client);
+      }
+    });
+
+    return new Response(stream, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+      }
+    });
+  }
+
+  public publish(type: string, userId: string, data: unknown): void {
+    const chunk = this.encode(type, data);
+    for (const client of this.clients) {
+      if (this.checkOpen(client) && client.canReceive(userId)) {
+        this.send(client, chunk);
+      }
+    }
+  }
+
+  // Like publish, for payloads worded in each client's language. Rendered once per language.
+  public publishLocalized(type: string, userId: string, render: (locale: string) => unknown): void {
+    const chunks = new Map<string, Uint8Array>();
+    for (const client of this.clients) {
+      if (this.checkOpen(client) && client.canReceive(userId)) {
+        if (!chunks.has(client.locale)) {
+          chunks.set(client.locale, this.encode(type, render(client.locale)));
+        }
+        this.send(client, chunks.get(client.locale)!);
+      }
+    }
+  }
+
+  public getClientCount(): number {
+    return this.clients.size;
+  }
+
+  private encode(type: string, data: unknown): Uint8Array {
+    return this.encoder.encode(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  private send(client: StreamClient, chunk: Uint8Array): void {
+    try {
+      client.controller.enqueue(chunk);
+    } catch (error) {
+      // Stream was closed by the browser without cancel being called
+      this.removeClient(client);
+    }
+  }
+
+  // End the stream of a client whose session was signed out or expired
+  private checkOpen(client: StreamClient): boolean {
+    if (client.isOpen()) {
+      return true;
+    }
+    this.removeClient(client);
+    try {
+      client.controller.close();
+    } catch (error) {
+      // Already closed by the browser
+    }
+    return false;
+  }
+
+  private removeClient(client: StreamClient): void {
+    this.clients.delete(client);
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  // Comment lines keep idle connections (and proxies in between) from timing out
+  private ensureHeartbeat(): void {
+    if (this.heartbeat) {
+      return;
+    }
+    this.heartbeat = setInterval(() => {
+      const chunk = this.encoder.encode(": heartbeat\n\n");
+      for (const client of this.clients) {
+        if (this.checkOpen(client)) {
+          this.send(client, chunk);
+        }
+      }
+    }, this.heartbeatMs);
+  }
+}
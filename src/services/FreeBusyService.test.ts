@@ -0,0 +1,84 @@
+import { afterEach, beforeEach, expect, test } from "bun:test";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { CacheManager } from "./CacheManager.ts";
+import { FreeBusyService } from "./FreeBusyService.ts";
+import type { CalendarService } from "./CalendarService.ts";
+
+// A Monday far enough ahead that the sweep does not start at the current time
+const day = "2030-03-11";
+const at = (time: string) => Date.parse(`${day}T${time}:00Z`);
+
+let dataDir: string;
+let cacheManager: CacheManager;
+
+function createService(): FreeBusyService {
+  const graphProvider = {
+    getSchedule: async () => [
+      { start: at("10:00"), end: at("11:00") },
+      { start: at("10:30"), end: at("12:00") }
+    ]
+  };
+  const calendarService = {
+    getGraphProvider: async (userId: string) => userId === "work" ? graphProvider : null,
+    getProvider: async () => null
+  } as unknown as CalendarService;
+  return new FreeBusyService(cacheManager, calendarService, { start: "09:00", end: "17:00", days: [1, 2, 3, 4, 5] });
+}
+
+beforeEach(() => {
+  dataDir = mkdtempSync(join(tmpdir(), "freebusy-"));
+  cacheManager = new CacheManager(dataDir, null);
+  cacheManager.storeUserProfile("work", { id: "work", name: "Work", email: "work@example.com" });
+  cacheManager.storeUserProfile("offline", { id: "offline", name: "Offline", email: "" });
+  cacheManager.cacheEvents("offline", [
+    {
+      id: "lunch",
+      subject: "Lunch",
+      start: { dateTime: `${day}T13:00:00`, timeZone: "UTC" },
+      end: { dateTime: `${day}T13:15:00`, timeZone: "UTC" },
+      showAs: "busy"
+    },
+    {
+      id: "focus",
+      subject: "Focus time",
+      start: { dateTime: `${day}T15:00:00`, timeZone: "UTC" },
+      end: { dateTime: `${day}T16:00:00`, timeZone: "UTC" },
+      showAs: "free"
+    }
+  ]);
+});
+
+afterEach(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("free slots are the gaps between merged busy times of all accounts within working hours", async () => {
+  const result = await createService().findFreeSlots(["work", "offline"], new Date(at("00:00")), new Date(at("24:00")), 60, "UTC");
+
+  expect(result.slots).toEqual([
+    { start: `${day}T09:00:00.000Z`, end: `${day}T10:00:00.000Z` },
+    { start: `${day}T12:00:00.000Z`, end: `${day}T13:00:00.000Z` },
+    { start: `${day}T13:15:00.000Z`, end: `${day}T17:00:00.000Z` }
+  ]);
+  expect(result.accounts).toEqual([
+    { userId: "work", name: "Work", source: "schedule" },
+    { userId: "offline", name: "Offline", source: "cache" }
+  ]);
+});
+
+test("gaps shorter than the requested length are left out", async () => {
+  const result = await createService().findFreeSlots(["work", "offline"], new Date(at("00:00")), new Date(at("24:00")), 90, "UTC");
+
+  expect(result.slots).toEqual([{ start: `${day}T13:15:00.000Z`, end: `${day}T17:00:00.000Z` }]);
+});
+
+test("working hours are read in the requested zone and weekends are skipped", async () => {
+  const start = new Date("2030-03-15T00:00:00Z");
+  const end = new Date("2030-03-18T00:00:00Z");
+  const result = await createService().findFreeSlots(["offline"], start, end, 30, "Asia/Tokyo");
+
+  // Friday 09:00 to 17:00 in Tokyo, nothing on Saturday and Sunday, Monday's hours lie after the range
+  expect(result.slots).toEqual([{ start: "2030-03-15T00:00:00.000Z", end: "2030-03-15T08:00:00.000Z" }]);
+});
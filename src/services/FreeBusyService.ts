@@ -0,0 +1,123 @@
+import { GraphError } from "@microsoft/microsoft-graph-client";
+import { CacheManager, type CalendarEvent } from "./CacheManager.ts";
+import { CalendarService, isBusy } from "./CalendarService.ts";
+import type { BusyPeriod } from "../providers/GraphCalendarProvider.ts";
+import { addDaysToDate, eventTimeToMs, getDateInZone, toUtcDate } from "../utils/time.ts";
+import type { AppConfig } from "../config/Config.ts";
+
+// Where the busy times of an account came from, best source first
+type BusySource = 'schedule' | 'events' | 'cache';
+
+interface AccountAvailability {
+  userId: string;
+  name: string;
+  source: BusySource;
+}
+
+interface FreeSlot {
+  start: string;
+  end: string;
+}
+
+// Finds time that is free in every connected account. Busy times come from Graph getSchedule,
+// falling back to the account's events and then to cached events, so personal accounts,
+// fixture accounts and offline accounts still count.
+export class FreeBusyService {
+  private cacheManager: CacheManager;
+  private calendarService: CalendarService;
+  private workingHours: AppConfig['workingHours'];
+  // Accounts whose mailbox has no getSchedule (personal accounts), checked again after a restart
+  private scheduleUnsupported: Set<string> = new Set();
+
+  constructor(cacheManager: CacheManager, calendarService: CalendarService, workingHours: AppConfig['workingHours']) {
+    this.cacheManager = cacheManager;
+    this.calendarService = calendarService;
+    this.workingHours = workingHours;
+  }
+
+  public getWorkingHours(): AppConfig['workingHours'] {
+    return this.workingHours;
+  }
+
+  // Slots of at least the given length within working hours, from now on
+  public async findFreeSlots(userIds: string[], start: Date, end: Date, minutes: number, timeZone: string): Promise<{ slots: FreeSlot[]; accounts: AccountAvailability[] }> {
+    const results = await Promise.all(userIds.map(userId => this.getBusyPeriods(userId, start, end)));
+    const busy = results.flatMap(result => result.periods).sort((a, b) => a.start - b.start);
+    const duration = minutes * 60 * 1000;
+
+    const slots: FreeSlot[] = [];
+    const addSlot = (slotStart: number, slotEnd: number) => {
+      if (slotEnd - slotStart >= duration) {
+        slots.push({ start: new Date(slotStart).toISOString(), end: new Date(slotEnd).toISOString() });
+      }
+    };
+    for (const window of this.getWorkingWindows(start, end, timeZone)) {
+      let cursor = Math.max(window.start, start.getTime(), Date.now());
+      const windowEnd = Math.min(window.end, end.getTime());
+      for (const period of busy) {
+        if (period.end <= cursor || period.start >= windowEnd) {
+          continue;
+        }
+        addSlot(cursor, period.start);
+        cursor = period.end;
+      }
+      addSlot(cursor, windowEnd);
+    }
+
+    return { slots, accounts: results.map(({ periods, ...account }) => account) };
+  }
+
+  private async getBusyPeriods(userId: string, start: Date, end: Date): Promise<AccountAvailability & { periods: BusyPeriod[] }> {
+    const profile = this.cacheManager.getUserProfile(userId);
+    const account = { userId, name: profile?.name || userId };
+
+    if (profile?.email && !this.scheduleUnsupported.has(userId)) {
+      try {
+        const provider = await this.calendarService.getGraphProvider(userId);
+        if (provider) {
+          return { ...account, source: 'schedule', periods: await provider.getSchedule(profile.email, start, end) };
+        }
+      } catch (error) {
+        // Throttling and outages pass, a mailbox without free/busy does not
+        if (!(error instanceof GraphError && (error.statusCode === 429 || error.statusCode >= 500))) {
+          this.scheduleUnsupported.add(userId);
+        }
+        console.log(`Free/busy unavailable for user ${userId}, using events:`, error instanceof Error ? error.message : error);
+      }
+    }
+
+    try {
+      const provider = await this.calendarService.getProvider(userId);
+      if (provider) {
+        const events = await provider.getEvents(start, end, this.calendarService.getSelectedCalendarIds(userId));
+        return { ...account, source: 'events', periods: toBusyPeriods(events) };
+      }
+    } catch (error) {
+      console.log(`Failed to read events of user ${userId} for free/busy, using cache:`, error instanceof Error ? error.message : error);
+    }
+
+    const cached = this.cacheManager.getCachedEventsForRange(userId, start, end) || this.cacheManager.getAllCachedEvents(userId);
+    return { ...account, source: 'cache', periods: toBusyPeriods(cached) };
+  }
+
+  // Working hours of every configured weekday touching the range, in the given zone
+  private getWorkingWindows(start: Date, end: Date, timeZone: string): BusyPeriod[] {
+    const windows: BusyPeriod[] = [];
+    const lastDay = getDateInZone(end, timeZone);
+    for (let day = getDateInZone(start, timeZone); day <= lastDay; day = addDaysToDate(day, 1)) {
+      const weekday = new Date(`${day}T00:00:00Z`).getUTCDay() || 7;
+      if (!this.workingHours.days.includes(weekday)) {
+        continue;
+      }
+      const windowEnd = this.workingHours.end === "24:00"
+        ? toUtcDate(`${addDaysToDate(day, 1)}T00:00:00`, timeZone)
+        : toUtcDate(`${day}T${this.workingHours.end}:00`, timeZone);
+      windows.push({ start: toUtcDate(`${day}T${this.workingHours.start}:00`, timeZone).getTime(), end: windowEnd.getTime() });
+    }
+    return windows;
+  }
+}
+
+function toBusyPeriods(events: CalendarEvent[]): BusyPeriod[] {
+  return events.filter(isBusy).map(event => ({ start: eventTimeToMs(event.start), end: eventTimeToMs(event.end) }));
+}
@@ -0,0 +1,57 @@
+import { expect, test } from "bun:test";
+import type { CalendarEvent } from "./CacheManager.ts";
+import { IcsRenderer } from "./IcsRenderer.ts";
+
+const profile = { id: "user-1", name: "Jane Doe", email: "jane@example.com" };
+
+function render(events: CalendarEvent[], timeZone: string = "Europe/Berlin"): string[] {
+  return new IcsRenderer().renderCalendar(profile, events, timeZone).split("\r\n");
+}
+
+function event(start: CalendarEvent["start"], end: CalendarEvent["end"], extra: Partial<CalendarEvent> = {}): CalendarEvent {
+  return { id: "event-1", subject: "Planning", start, end, ...extra };
+}
+
+test("timed events are written in UTC", () => {
+  const lines = render([event(
+    { dateTime: "2026-07-15T09:00:00.0000000", timeZone: "W. Europe Standard Time" },
+    { dateTime: "2026-07-15T10:30:00.0000000", timeZone: "W. Europe Standard Time" }
+  )]);
+
+  expect(lines).toContain("DTSTART:20260715T070000Z");
+  expect(lines).toContain("DTEND:20260715T083000Z");
+  expect(lines.some(line => line.startsWith("BEGIN:VTIMEZONE"))).toBe(false);
+});
+
+test("times in a zone that cannot be mapped are read in the feed's zone", () => {
+  const lines = render([event(
+    { dateTime: "2026-01-15T09:00:00", timeZone: "Customized Time Zone" },
+    { dateTime: "2026-01-15T10:00:00", timeZone: "Customized Time Zone" }
+  )]);
+
+  expect(lines).toContain("DTSTART:20260115T080000Z");
+  expect(lines).toContain("DTEND:20260115T090000Z");
+});
+
+test("all-day events are floating dates", () => {
+  const lines = render([event(
+    { dateTime: "2026-07-15T00:00:00.0000000", timeZone: "UTC" },
+    { dateTime: "2026-07-16T00:00:00.0000000", timeZone: "UTC" },
+    { isAllDay: true }
+  )]);
+
+  expect(lines).toContain("DTSTART;VALUE=DATE:20260715");
+  expect(lines).toContain("DTEND;VALUE=DATE:20260716");
+});
+
+test("text is escaped and long lines are folded", () => {
+  const lines = render([event(
+    { dateTime: "2026-07-15T09:00:00Z", timeZone: "UTC" },
+    { dateTime: "2026-07-15T10:00:00Z", timeZone: "UTC" },
+    { subject: "Budget; Q3, Q4", bodyPreview: "a".repeat(100) }
+  )]);
+
+  expect(lines).toContain("SUMMARY:Budget\\; Q3\\, Q4");
+  expect(lines.every(line => new TextEncoder().encode(line).length <= 75)).toBe(true);
+  expect(lines.some(line => line.startsWith(" "))).toBe(true);
+});
@@ -0,0 +1,121 @@
+import type { CalendarEvent, UserProfile } from "./CacheManager.ts";
+import { resolveTimeZone, toUtcDate } from "../utils/time.ts";
+
+// Renders cached events as an RFC 5545 iCalendar feed
+export class IcsRenderer {
+  // timeZone is the zone the account's events were fetched in
+  public renderCalendar(profile: UserProfile, events: CalendarEvent[], timeZone: string): string {
+    const stamp = this.formatUtc(new Date());
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//msgraph-webui-daemon//Calendar Feed//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${this.escapeText(profile.name || profile.email)}`,
+      `X-WR-TIMEZONE:${timeZone}`,
+      "X-PUBLISHED-TTL:PT15M"
+    ];
+
+    for (const event of events) {
+      lines.push(...this.renderEvent(event, stamp, timeZone));
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(line => this.foldLine(line)).join("\r\n") + "\r\n";
+  }
+
+  private renderEvent(event: CalendarEvent, stamp: string, timeZone: string): string[] {
+    const lines = [
+      "BEGIN:VEVENT",
+      `UID:${this.escapeText(event.id)}@msgraph-webui-daemon`,
+      `DTSTAMP:${stamp}`,
+      ...this.renderTimes(event, timeZone),
+      `SUMMARY:${this.escapeText(event.subject)}`
+    ];
+
+    if (event.isCancelled) {
+      lines.push("STATUS:CANCELLED");
+    }
+    if (event.showAs === "free") {
+      lines.push("TRANSP:TRANSPARENT");
+    }
+    if (event.categories?.length) {
+      lines.push(`CATEGORIES:${event.categories.map(category => this.escapeText(category)).join(",")}`);
+    }
+
+    if (event.location?.displayName) {
+      lines.push(`LOCATION:${this.escapeText(event.location.displayName)}`);
+    }
+
+    if (event.organizer?.emailAddress.address) {
+      const { name, address } = event.organizer.emailAddress;
+      const commonName = name ? `;CN=${this.quoteParam(name)}` : "";
+      lines.push(`ORGANIZER${commonName}:mailto:${address}`);
+    }
+
+    const description = [event.bodyPreview];
+    if (event.onlineMeetingUrl) {
+      lines.push(`URL:${event.onlineMeetingUrl}`);
+      description.push(`Join online meeting: ${event.onlineMeetingUrl}`);
+    }
+    if (event.bodyPreview || event.onlineMeetingUrl) {
+      lines.push(`DESCRIPTION:${this.escapeText(description.filter(Boolean).join("\n\n"))}`);
+    }
+
+    lines.push("END:VEVENT");
+    return lines;
+  }
+
+  // All-day events are floating dates, everything else is written as UTC so no VTIMEZONE is needed.
+  // Wall-clock times in a zone we cannot map are read in the feed's zone rather than taken as UTC.
+  private renderTimes(event: CalendarEvent, timeZone: string): string[] {
+    if (event.isAllDay) {
+      const formatDate = (dateTime: string) => dateTime.slice(0, 10).replace(/-/g, "");
+      return [`DTSTART;VALUE=DATE:${formatDate(event.start.dateTime)}`, `DTEND;VALUE=DATE:${formatDate(event.end.dateTime)}`];
+    }
+    const toUtc = (time: CalendarEvent['start']) => toUtcDate(time.dateTime, resolveTimeZone(time.timeZone) ?? timeZone);
+    return [`DTSTART:${this.formatUtc(toUtc(event.start))}`, `DTEND:${this.formatUtc(toUtc(event.end))}`];
+  }
+
+  private formatUtc(date: Date): string {
+    return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  }
+
+  private escapeText(value: string): string {
+    return value
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  private quoteParam(value: string): string {
+    return `"${value.replace(/"/g, "'")}"`;
+  }
+
+  // Content lines longer than 75 octets are folded onto continuation lines starting with a space
+  private foldLine(line: string): string {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) {
+      return line;
+    }
+
+    const parts: string[] = [];
+    let current = "";
+    let currentLength = 0;
+    for (const char of line) {
+      const charLength = encoder.encode(char).length;
+      const limit = parts.length === 0 ? 75 : 74;
+      if (currentLength + charLength > limit) {
+        parts.push(current);
+        current = "";
+        currentLength = 0;
+      }
+      current += char;
+      currentLength += charLength;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+  }
+}
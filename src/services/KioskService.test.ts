@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, expect, test } from "bun:test";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { CacheManager, type CalendarEvent } from "./CacheManager.ts";
+import { KioskService } from "./KioskService.ts";
+
+const profile = { id: "user-1", name: "Room", email: "room@example.com" };
+const now = Date.parse("2026-03-10T10:30:00Z");
+
+let dataDir: string;
+let cacheManager: CacheManager;
+
+function event(id: string, start: string, end: string, extra: Partial<CalendarEvent> = {}): CalendarEvent {
+  return {
+    id,
+    subject: id,
+    start: { dateTime: start, timeZone: "UTC" },
+    end: { dateTime: end, timeZone: "UTC" },
+    showAs: "busy",
+    ...extra
+  };
+}
+
+beforeEach(() => {
+  dataDir = mkdtempSync(join(tmpdir(), "kiosk-"));
+  cacheManager = new CacheManager(dataDir, null);
+});
+
+afterEach(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("a meeting in progress is shown instead of an all-day event that overlaps it", () => {
+  cacheManager.cacheEvents(profile.id, [
+    event("Conference", "2026-03-10T00:00:00", "2026-03-11T00:00:00", { isAllDay: true }),
+    event("Standup", "2026-03-10T10:00:00", "2026-03-10T11:00:00"),
+    event("Review", "2026-03-10T14:00:00", "2026-03-10T15:00:00"),
+    event("Holiday", "2026-03-11T00:00:00", "2026-03-12T00:00:00", { isAllDay: true, showAs: "oof" })
+  ]);
+
+  const status = new KioskService(cacheManager).getStatus(profile, now);
+
+  expect(status.status).toBe("busy");
+  expect(status.current?.subject).toBe("Standup");
+  expect(status.next?.subject).toBe("Review");
+});
+
+test("an all-day event is current when no meeting is in progress", () => {
+  cacheManager.cacheEvents(profile.id, [
+    event("Vacation", "2026-03-10T00:00:00", "2026-03-11T00:00:00", { isAllDay: true, showAs: "oof" })
+  ]);
+
+  const status = new KioskService(cacheManager).getStatus(profile, now);
+
+  expect(status.status).toBe("oof");
+  expect(status.current?.subject).toBe("Vacation");
+  expect(status.next).toBeNull();
+});
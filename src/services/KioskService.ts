@@ -0,0 +1,86 @@
+import { CacheManager, type CalendarEvent, type UserProfile } from "./CacheManager.ts";
+import { isBusy } from "./CalendarService.ts";
+import { eventTimeToMs } from "../utils/time.ts";
+
+// Only what a wall display shows, no attendees, bodies or meeting links
+interface KioskEvent {
+  subject: string;
+  start: string;
+  end: string;
+  location?: string;
+  organizer?: string;
+  showAs: string;
+  isOnlineMeeting: boolean;
+}
+
+interface KioskStatus {
+  userId: string;
+  name: string;
+  // free, busy, tentative, oof, ... of the current event, free between meetings
+  status: string;
+  current: KioskEvent | null;
+  next: KioskEvent | null;
+  // Meetings still ahead today, the next one included
+  remainingToday: number;
+  updatedAt: string | null;
+}
+
+// Overlapping meetings report the strongest status
+const STATUS_PRIORITY = ['tentative', 'busy', 'oof'];
+
+// How far ahead the next meeting is looked up in cached events
+const NEXT_HORIZON_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Current and next meeting per account for the read-only kiosk display, read from the cache only
+export class KioskService {
+  private cacheManager: CacheManager;
+
+  constructor(cacheManager: CacheManager) {
+    this.cacheManager = cacheManager;
+  }
+
+  public getStatus(profile: UserProfile, now: number = Date.now()): KioskStatus {
+    const today = this.cacheManager.getCachedEvents(profile.id) || [];
+    const busy = this.cacheManager.getAllCachedEvents(profile.id).filter(isBusy);
+
+    // Of overlapping meetings the one ending last is shown as current. A meeting in progress wins
+    // over an all-day event, which only shows as current when nothing else is going on.
+    const ongoing = busy
+      .filter(event => eventTimeToMs(event.start) <= now && eventTimeToMs(event.end) > now)
+      .sort((a, b) => Number(!!a.isAllDay) - Number(!!b.isAllDay) || eventTimeToMs(b.end) - eventTimeToMs(a.end));
+    const current = ongoing[0];
+    const status = ongoing
+      .map(event => STATUS_PRIORITY.includes(event.showAs || '') ? event.showAs! : 'busy')
+      .reduce((strongest, showAs) => STATUS_PRIORITY.indexOf(showAs) > STATUS_PRIORITY.indexOf(strongest) ? showAs : strongest, 'free');
+    // All-day events are not meetings to count down to
+    const next = busy.find(event => {
+      const start = eventTimeToMs(event.start);
+      return !event.isAllDay && start > now && start < now + NEXT_HORIZON_MS;
+    });
+    const timestamp = this.cacheManager.getCacheTimestamp(profile.id);
+
+    return {
+      userId: profile.id,
+      name: profile.name,
+      status,
+      current: current ? this.toKioskEvent(current) : null,
+      next: next ? this.toKioskEvent(next) : null,
+      remainingToday: today.filter(event => isBusy(event) && eventTimeToMs(event.start) > now).length,
+      updatedAt: timestamp ? new Date(timestamp).toISOString() : null
+    };
+  }
+
+  private toKioskEvent(event: CalendarEvent): KioskEvent {
+    return {
+      subject: event.subject,
+      start: new Date(eventTimeToMs(event.start)).toISOString(),
+      end: new Date(eventTimeToMs(event.end)).toISOString(),
+      location: event.location?.displayName || undefined,
+      organizer: event.organizer?.emailAddress.name || undefined,
+      showAs: event.showAs || 'busy',
+      isOnlineMeeting: !!event.isOnlineMeeting
+    };
+  }
+}
+
+export type { KioskEvent, KioskStatus };
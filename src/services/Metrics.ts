@@ -0,0 +1,190 @@
+type Labels = Record<string, string>;
+
+// Series are keyed by their rendered label set, e.g. {user_id="abc",result="success"}
+function formatLabels(labels: Labels, extra: Labels = {}): string {
+  const entries = Object.entries({ ...labels, ...extra });
+  if (entries.length === 0) {
+    return "";
+  }
+  const escaped = entries.map(([key, value]) =>
+    `${key}="${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return `{${escaped.join(",")}}`;
+}
+
+abstract class Metric {
+  constructor(public readonly name: string, public readonly help: string, public readonly type: string) {}
+
+  public render(): string[] {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()];
+  }
+
+  protected abstract renderSamples(): string[];
+}
+
+class Counter extends Metric {
+  private values: Map<string, number> = new Map();
+
+  constructor(name: string, help: string) {
+    super(name, help, "counter");
+  }
+
+  public inc(labels: Labels = {}, value: number = 1): void {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  protected renderSamples(): string[] {
+    return Array.from(this.values, ([key, value]) => `${this.name}${key} ${value}`);
+  }
+}
+
+class Gauge extends Metric {
+  private values: Map<string, number> = new Map();
+
+  constructor(name: string, help: string) {
+    super(name, help, "gauge");
+  }
+
+  public set(labels: Labels, value: number): void {
+    this.values.set(formatLabels(labels), value);
+  }
+
+  // Drops every series, used by collectors so removed accounts disappear
+  public reset(): void {
+    this.values.clear();
+  }
+
+  protected renderSamples(): string[] {
+    return Array.from(this.values, ([key, value]) => `${this.name}${key} ${value}`);
+  }
+}
+
+interface HistogramSeries {
+  labels: Labels;
+  bucketCounts: number[];
+  sum: number;
+  count: number;
+}
+
+class Histogram extends Metric {
+  private series: Map<string, HistogramSeries> = new Map();
+
+  constructor(name: string, help: string, private readonly buckets: number[]) {
+    super(name, help, "histogram");
+  }
+
+  public observe(labels: Labels, value: number): void {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, bucketCounts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series!.bucketCounts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Measure how long an async operation takes, the label callback sees the outcome
+  public async time<T>(labelsFor: (error?: unknown) => Labels, operation: () => Promise<T>): Promise<T> {
+    const startedAt = performance.now();
+    try {
+      const result = await operation();
+      this.observe(labelsFor(), (performance.now() - startedAt) / 1000);
+      return result;
+    } catch (error) {
+      this.observe(labelsFor(error), (performance.now() - startedAt) / 1000);
+      throw error;
+    }
+  }
+
+  protected renderSamples(): string[] {
+    const lines: string[] = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(series.labels, { le: String(bound) })} ${series.bucketCounts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(series.labels, { le: "+Inf" })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+// Minimal registry rendering the Prometheus text exposition format
+export class MetricsRegistry {
+  private metrics: Metric[] = [];
+  private collectors: (() => void)[] = [];
+
+  public counter(name: string, help: string): Counter {
+    return this.register(new Counter(name, help));
+  }
+
+  public gauge(name: string, help: string): Gauge {
+    return this.register(new Gauge(name, help));
+  }
+
+  public histogram(name: string, help: string, buckets: number[]): Histogram {
+    return this.register(new Histogram(name, help, [...buckets].sort((a, b) => a - b)));
+  }
+
+  // Collectors run right before rendering, for values that are cheaper to read than to track
+  public addCollector(collector: () => void): void {
+    this.collectors.push(collector);
+  }
+
+  public render(): string {
+    for (const collector of this.collectors) {
+      collector();
+    }
+    return this.metrics.map(metric => metric.render().join("\n")).join("\n\n") + "\n";
+  }
+
+  private register<T extends Metric>(metric: T): T {
+    this.metrics.push(metric);
+    return metric;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+// Metrics shared by the daemon, exposed on /metrics
+export const metrics = {
+  registry,
+  refreshRuns: registry.counter("calendar_refresh_runs_total", "Account refreshes run by the background scheduler"),
+  refreshDuration: registry.histogram(
+    "calendar_refresh_duration_seconds",
+    "Duration of a background refresh of one account",
+    [0.5, 1, 2.5, 5, 10, 30, 60]
+  ),
+  lastRefresh: registry.gauge("calendar_refresh_last_run_timestamp_seconds", "Unix time the last background refresh finished"),
+  accountRefreshes: registry.counter(
+    "calendar_account_refresh_total",
+    "Per-account refresh results (success, no_token, reauth_required, throttled, error)"
+  ),
+  refreshFailures: registry.gauge("calendar_account_refresh_consecutive_failures", "Failed refreshes of an account since its last success"),
+  refreshPaused: registry.gauge("calendar_account_refresh_paused", "1 while refreshing an account is paused until it signs in again"),
+  graphRequestDuration: registry.histogram(
+    "calendar_graph_request_duration_seconds",
+    "Latency of Microsoft Graph requests by operation and status",
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  ),
+  tokenRefreshes: registry.counter(
+    "calendar_token_refresh_total",
+    "Access token refresh attempts by outcome (success, no_refresh_token, rejected, error)"
+  ),
+  graphNotifications: registry.counter(
+    "calendar_graph_notifications_total",
+    "Graph change notifications received (accepted, rejected)"
+  ),
+  cacheAge: registry.gauge("calendar_cache_age_seconds", "Seconds since the cached events of an account were refreshed"),
+  cachedEvents: registry.gauge("calendar_cached_events", "Events in the cached today window of an account"),
+  accounts: registry.gauge("calendar_accounts", "Connected Microsoft accounts"),
+  streamClients: registry.gauge("calendar_stream_clients", "Browsers connected to the live update stream")
+};
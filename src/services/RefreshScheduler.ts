@@ -0,0 +1,242 @@
+import { SyncService, type SyncResult } from "./SyncService.ts";
+import { metrics } from "./Metrics.ts";
+import type { AppConfig } from "../config/Config.ts";
+
+type RefreshStatus = 'scheduled' | 'running' | 'backoff' | 'throttled' | 'paused';
+
+interface AccountRefreshState {
+  status: RefreshStatus;
+  nextRunAt: number | null;
+  consecutiveFailures: number;
+  lastSuccessAt: number | null;
+  lastFailureAt: number | null;
+  lastError: string | null;
+  // Change notifications are active, polling only runs as a slow fallback
+  pushEnabled: boolean;
+}
+
+type RefreshListener = (result: SyncResult) => void;
+
+// Refreshes every account on its own timer. Failing accounts back off exponentially,
+// throttled accounts wait for Graph's Retry-After and accounts with a dead refresh token
+// are paused until they sign in again.
+export class RefreshScheduler {
+  private syncService: SyncService;
+  private config: AppConfig['refresh'];
+  private fallbackPollSeconds: number;
+  private states: Map<string, AccountRefreshState> = new Map();
+  private timers: Map<string, Timer> = new Map();
+  private listeners: RefreshListener[] = [];
+  // Notifications that arrived while a refresh was already running
+  private refreshAfterRun: Set<string> = new Set();
+  private readonly maxBackoffMs = 30 * 60 * 1000;
+  // Graph often sends several notifications for one change
+  private readonly notificationDelayMs = 2000;
+
+  constructor(syncService: SyncService, config: AppConfig['refresh'], fallbackPollSeconds: number) {
+    this.syncService = syncService;
+    this.config = config;
+    this.fallbackPollSeconds = fallbackPollSeconds;
+  }
+
+  // Called after every refresh attempt with its outcome
+  public onRefreshed(listener: RefreshListener): void {
+    this.listeners.push(listener);
+  }
+
+  // Start refreshing an account, or resume it right away if it was paused
+  public add(userId: string): void {
+    const state = this.states.get(userId);
+    if (state && state.status !== 'paused') {
+      return;
+    }
+
+    this.states.set(userId, {
+      status: 'scheduled',
+      nextRunAt: null,
+      consecutiveFailures: 0,
+      lastSuccessAt: state?.lastSuccessAt ?? null,
+      lastFailureAt: null,
+      lastError: null,
+      pushEnabled: state?.pushEnabled ?? false
+    });
+    this.schedule(userId, state ? 1000 : this.nextInterval());
+  }
+
+  // Refresh soon, e.g. after a change notification. Bursts of calls collapse into one refresh.
+  public refreshNow(userId: string): void {
+    const state = this.states.get(userId);
+    if (!state || state.status === 'paused' || state.status === 'throttled') {
+      return;
+    }
+    if (state.status === 'running') {
+      this.refreshAfterRun.add(userId);
+      return;
+    }
+    if (state.nextRunAt && state.nextRunAt - Date.now() <= this.notificationDelayMs) {
+      return;
+    }
+    this.schedule(userId, this.notificationDelayMs);
+  }
+
+  public setPushEnabled(userId: string, enabled: boolean): void {
+    const state = this.states.get(userId);
+    if (!state || state.pushEnabled === enabled) {
+      return;
+    }
+    state.pushEnabled = enabled;
+    // Falling back to regular polling should not wait for the long fallback interval
+    if (!enabled && state.status === 'scheduled') {
+      this.schedule(userId, this.nextInterval());
+    }
+  }
+
+  public remove(userId: string): void {
+    this.clearTimer(userId);
+    this.states.delete(userId);
+    this.refreshAfterRun.delete(userId);
+  }
+
+  // Refresh for a request that wants fresh data. Accounts waiting out a backoff, Retry-After or
+  // pause are left alone and null is returned so the caller serves the cache instead.
+  public async refreshOnDemand(userId: string): Promise<SyncResult | null> {
+    const state = this.states.get(userId);
+    if (!state) {
+      return this.syncService.syncTodayEvents(userId);
+    }
+    if (state.status !== 'scheduled') {
+      return null;
+    }
+    this.clearTimer(userId);
+    return this.run(userId);
+  }
+
+  public getState(userId: string) {
+    const state = this.states.get(userId);
+    if (!state) {
+      return null;
+    }
+    return {
+      status: state.status,
+      nextRunAt: state.nextRunAt ? new Date(state.nextRunAt).toISOString() : null,
+      consecutiveFailures: state.consecutiveFailures,
+      pushEnabled: state.pushEnabled,
+      lastSuccessAt: state.lastSuccessAt ? new Date(state.lastSuccessAt).toISOString() : null,
+      lastFailureAt: state.lastFailureAt ? new Date(state.lastFailureAt).toISOString() : null,
+      lastError: state.lastError
+    };
+  }
+
+  public getStates(): Map<string, AccountRefreshState> {
+    return this.states;
+  }
+
+  private schedule(userId: string, delayMs: number): void {
+    const state = this.states.get(userId);
+    if (!state) {
+      return;
+    }
+
+    this.clearTimer(userId);
+    state.nextRunAt = Date.now() + delayMs;
+    this.timers.set(userId, setTimeout(() => this.run(userId), delayMs));
+  }
+
+  private clearTimer(userId: string): void {
+    const timer = this.timers.get(userId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(userId);
+    }
+  }
+
+  private async run(userId: string): Promise<SyncResult | null> {
+    const state = this.states.get(userId);
+    if (!state) {
+      return null;
+    }
+
+    this.timers.delete(userId);
+    state.status = 'running';
+    state.nextRunAt = null;
+
+    const startedAt = performance.now();
+    let result: SyncResult;
+    try {
+      result = await this.syncService.syncTodayEvents(userId);
+    } catch (error) {
+      result = { userId, success: false, reason: 'error', error: error instanceof Error ? error.message : String(error) };
+    }
+    metrics.refreshRuns.inc();
+    metrics.refreshDuration.observe({}, (performance.now() - startedAt) / 1000);
+    metrics.lastRefresh.set({}, Math.floor(Date.now() / 1000));
+    metrics.accountRefreshes.inc({ user_id: userId, result: result.success ? "success" : result.reason || "error" });
+
+    // The account may have been removed while the refresh was running
+    if (this.states.get(userId) !== state) {
+      return result;
+    }
+    this.applyResult(userId, state, result);
+
+    for (const listener of this.listeners) {
+      listener(result);
+    }
+    return result;
+  }
+
+  private applyResult(userId: string, state: AccountRefreshState, result: SyncResult): void {
+    if (result.success) {
+      state.status = 'scheduled';
+      state.consecutiveFailures = 0;
+      state.lastSuccessAt = Date.now();
+      state.lastError = null;
+      if (this.refreshAfterRun.delete(userId)) {
+        this.schedule(userId, this.notificationDelayMs);
+      } else {
+        this.schedule(userId, state.pushEnabled ? this.fallbackInterval() : this.nextInterval());
+      }
+      return;
+    }
+
+    state.consecutiveFailures++;
+    state.lastFailureAt = Date.now();
+    state.lastError = result.error || result.reason || 'error';
+
+    if (result.reason === 'reauth_required') {
+      state.status = 'paused';
+      state.lastError = 'Refresh token is no longer valid, sign in again to resume';
+      console.log(`⏸ Pausing background refresh for user ${userId} until the account signs in again`);
+      return;
+    }
+
+    if (result.reason === 'throttled' && result.retryAfterMs != null) {
+      state.status = 'throttled';
+      this.schedule(userId, Math.max(result.retryAfterMs, 1000));
+      console.log(`🐢 Graph throttled user ${userId}, retrying in ${Math.ceil(result.retryAfterMs / 1000)}s`);
+      return;
+    }
+
+    state.status = result.reason === 'throttled' ? 'throttled' : 'backoff';
+    const delay = this.backoffDelay(state.consecutiveFailures);
+    this.schedule(userId, delay);
+    console.log(`↻ Retrying refresh for user ${userId} in ${Math.round(delay / 1000)}s (failure ${state.consecutiveFailures})`);
+  }
+
+  // Random interval within the configured range (60±10 seconds by default)
+  private nextInterval(): number {
+    const { minSeconds, maxSeconds } = this.config;
+    return (minSeconds + Math.random() * (maxSeconds - minSeconds)) * 1000;
+  }
+
+  private fallbackInterval(): number {
+    return this.fallbackPollSeconds * 1000 + Math.random() * (this.config.maxSeconds - this.config.minSeconds) * 1000;
+  }
+
+  // Doubles with every consecutive failure, capped, with jitter from the regular interval
+  private backoffDelay(failures: number): number {
+    const exponential = this.config.minSeconds * 1000 * Math.pow(2, Math.min(failures - 1, 10));
+    return Math.min(exponential, this.maxBackoffMs) + Math.random() * (this.config.maxSeconds - this.config.minSeconds) * 1000;
+  }
+}
+
+export type { AccountRefreshState, RefreshStatus };
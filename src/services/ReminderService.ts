@@ -0,0 +1,87 @@
+import { CacheManager, type UserProfile } from "./CacheManager.ts";
+import { toUtcDate } from "../utils/time.ts";
+
+interface Reminder {
+  userId: string;
+  accountName: string;
+  eventId: string;
+  subject: string;
+  location?: string;
+  onlineMeetingUrl?: string;
+  start: string;
+  remindAt: string;
+  leadMinutes: number;
+}
+
+const DEFAULT_LEAD_MINUTES = [5];
+const MAX_LEAD_MINUTES = 24 * 60;
+const MAX_LEAD_TIMES = 5;
+
+// Turns cached events into reminder times the browser's service worker can schedule
+export class ReminderService {
+  private cacheManager: CacheManager;
+
+  constructor(cacheManager: CacheManager) {
+    this.cacheManager = cacheManager;
+  }
+
+  public getLeadMinutes(userId: string): number[] {
+    return this.cacheManager.getUserSettings(userId).reminderLeadMinutes ?? DEFAULT_LEAD_MINUTES;
+  }
+
+  // An empty list turns reminders off for the account
+  public setLeadMinutes(userId: string, leadMinutes: unknown): number[] | { error: string } {
+    if (!Array.isArray(leadMinutes) || leadMinutes.length > MAX_LEAD_TIMES) {
+      return { error: `leadMinutes must be a list of at most ${MAX_LEAD_TIMES} values` };
+    }
+    if (!leadMinutes.every(value => Number.isInteger(value) && value >= 0 && value <= MAX_LEAD_MINUTES)) {
+      return { error: `Lead times must be whole minutes between 0 and ${MAX_LEAD_MINUTES}` };
+    }
+
+    const sorted = [...new Set(leadMinutes as number[])].sort((a, b) => b - a);
+    this.cacheManager.updateUserSettings(userId, { reminderLeadMinutes: sorted });
+    return sorted;
+  }
+
+  // Reminders for meetings that have not started yet and start within the horizon
+  public getUpcomingReminders(profiles: UserProfile[], horizonMs: number = 24 * 60 * 60 * 1000): Reminder[] {
+    const now = Date.now();
+    const reminders: Reminder[] = [];
+
+    for (const profile of profiles) {
+      const leadMinutes = this.getLeadMinutes(profile.id);
+      if (leadMinutes.length === 0) {
+        continue;
+      }
+
+      for (const event of this.cacheManager.getAllCachedEvents(profile.id)) {
+        // Cancelled meetings and all-day events get no reminder
+        if (event.isCancelled || event.isAllDay) {
+          continue;
+        }
+        const start = toUtcDate(event.start.dateTime, event.start.timeZone).getTime();
+        if (start <= now || start > now + horizonMs) {
+          continue;
+        }
+
+        for (const lead of leadMinutes) {
+          reminders.push({
+            userId: profile.id,
+            accountName: profile.name,
+            eventId: event.id,
+            subject: event.subject,
+            location: event.location?.displayName || undefined,
+            onlineMeetingUrl: event.onlineMeetingUrl,
+            start: new Date(start).toISOString(),
+            remindAt: new Date(start - lead * 60 * 1000).toISOString(),
+            leadMinutes: lead
+          });
+        }
+      }
+    }
+
+    return reminders.sort((a, b) => a.remindAt.localeCompare(b.remindAt));
+  }
+}
+
+export type { Reminder };
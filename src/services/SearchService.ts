@@ -0,0 +1,99 @@
+import { GraphError } from "@microsoft/microsoft-graph-client";
+import { CacheManager, type CalendarEvent } from "./CacheManager.ts";
+import { CalendarService } from "./CalendarService.ts";
+import { eventTimeToMs } from "../utils/time.ts";
+import { eventMatches, toSearchTerms } from "../utils/search.ts";
+
+interface SearchResult extends CalendarEvent {
+  userId: string;
+}
+
+interface AccountSearch {
+  userId: string;
+  name: string;
+  // "provider" when the account was searched beyond its cached events
+  source: 'cache' | 'provider';
+}
+
+interface SearchRange {
+  start?: Date;
+  end?: Date;
+}
+
+// Searches the cached events of several accounts. Ranges that are not fully cached are also
+// searched through the account's provider (Microsoft Search for Graph accounts).
+export class SearchService {
+  private cacheManager: CacheManager;
+  private calendarService: CalendarService;
+  // Accounts without Microsoft Search (personal accounts), checked again after a restart
+  private searchUnsupported: Set<string> = new Set();
+
+  constructor(cacheManager: CacheManager, calendarService: CalendarService) {
+    this.cacheManager = cacheManager;
+    this.calendarService = calendarService;
+  }
+
+  // The matches closest to now, in chronological order
+  public async search(userIds: string[], query: string, range: SearchRange, limit: number): Promise<{ results: SearchResult[]; accounts: AccountSearch[] }> {
+    const terms = toSearchTerms(query);
+    const inRange = (event: CalendarEvent) =>
+      (!range.end || eventTimeToMs(event.start) < range.end.getTime()) &&
+      (!range.start || eventTimeToMs(event.end) > range.start.getTime());
+
+    const searches = await Promise.all(userIds.map(async userId => {
+      const events = new Map<string, CalendarEvent>();
+      let source: AccountSearch['source'] = 'cache';
+
+      if (!this.isCovered(userId, range) && !this.searchUnsupported.has(userId)) {
+        try {
+          const provider = await this.calendarService.getProvider(userId);
+          if (provider) {
+            for (const event of (await provider.searchEvents(query, limit)).filter(inRange)) {
+              events.set(event.id, event);
+            }
+            source = 'provider';
+          }
+        } catch (error) {
+          // Throttling and outages pass, a mailbox without search does not
+          if (!(error instanceof GraphError && (error.statusCode === 429 || error.statusCode >= 500))) {
+            this.searchUnsupported.add(userId);
+          }
+          console.log(`Event search unavailable for user ${userId}, using cache:`, error instanceof Error ? error.message : error);
+        }
+      }
+
+      // Cached copies are refreshed more often than the search index
+      for (const event of this.cacheManager.getAllCachedEvents(userId)) {
+        if (inRange(event) && eventMatches(event, terms)) {
+          events.set(event.id, event);
+        }
+      }
+
+      const account: AccountSearch = { userId, name: this.cacheManager.getUserProfile(userId)?.name || userId, source };
+      return { account, results: Array.from(events.values(), event => ({ ...event, userId })) };
+    }));
+
+    const now = Date.now();
+    const results = searches
+      .flatMap(search => search.results)
+      .sort((a, b) => Math.abs(eventTimeToMs(a.start) - now) - Math.abs(eventTimeToMs(b.start) - now))
+      .slice(0, limit)
+      .sort((a, b) => eventTimeToMs(a.start) - eventTimeToMs(b.start));
+
+    return { results, accounts: searches.map(search => search.account) };
+  }
+
+  // Whether the cached events of an account contain every event of the range
+  private isCovered(userId: string, range: SearchRange): boolean {
+    if (!range.start || !range.end) {
+      return false;
+    }
+    if (this.cacheManager.getCachedEventsForRange(userId, range.start, range.end)) {
+      return true;
+    }
+    const deltaState = this.cacheManager.getDeltaState(userId);
+    return !!deltaState && !!this.cacheManager.getCachedEvents(userId) &&
+      new Date(deltaState.windowStart).getTime() <= range.start.getTime() &&
+      new Date(deltaState.windowEnd).getTime() >= range.end.getTime();
+  }
+}
@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, expect, test } from "bun:test";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { CacheManager, type GraphSubscription } from "./CacheManager.ts";
+import { SubscriptionService } from "./SubscriptionService.ts";
+import type { CalendarService } from "./CalendarService.ts";
+import type { RefreshScheduler } from "./RefreshScheduler.ts";
+import type { AppConfig } from "../config/Config.ts";
+
+const userId = "user-1";
+const hour = 60 * 60 * 1000;
+
+let dataDir: string;
+let cacheManager: CacheManager;
+let renewals: { subscription: GraphSubscription; expiration: Date }[];
+let refreshes: string[];
+
+function createService(): SubscriptionService {
+  const provider = {
+    renewSubscription: async (subscription: GraphSubscription, expiration: Date) => {
+      renewals.push({ subscription, expiration });
+      return { ...subscription, expirationDateTime: expiration.toISOString() };
+    },
+    createSubscription: async () => {
+      throw new Error("An existing subscription should be renewed, not replaced");
+    }
+  };
+  const calendarService = { getGraphProvider: async () => provider } as unknown as CalendarService;
+  const refreshScheduler = {
+    setPushEnabled: () => {},
+    refreshNow: (id: string) => refreshes.push(id)
+  } as unknown as RefreshScheduler;
+  const config = {
+    notifications: { enabled: true },
+    server: { publicBaseUrl: "https://calendar.example.com" }
+  } as unknown as AppConfig;
+  return new SubscriptionService(cacheManager, calendarService, refreshScheduler, config);
+}
+
+function storeSubscription(expiresInMs: number): string {
+  const expirationDateTime = new Date(Date.now() + expiresInMs).toISOString();
+  cacheManager.storeSubscription(userId, { id: "sub-1", expirationDateTime, clientState: "secret" });
+  return expirationDateTime;
+}
+
+function notify(service: SubscriptionService, notification: Record<string, string>): Promise<Response> {
+  const url = new URL("https://calendar.example.com/api/graph/notifications");
+  const req = new Request(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ value: [notification] })
+  });
+  return service.handleNotification(req, url);
+}
+
+beforeEach(() => {
+  dataDir = mkdtempSync(join(tmpdir(), "subscriptions-"));
+  cacheManager = new CacheManager(dataDir, null);
+  renewals = [];
+  refreshes = [];
+});
+
+afterEach(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("the validation token is echoed back when Graph checks the webhook", async () => {
+  const url = new URL("https://calendar.example.com/api/graph/notifications?validationToken=abc");
+  const response = await createService().handleNotification(new Request(url, { method: "POST" }), url);
+
+  expect(response.status).toBe(200);
+  expect(await response.text()).toBe("abc");
+});
+
+test("change notifications refresh the account only with the right clientState", async () => {
+  storeSubscription(40 * hour);
+  const service = createService();
+
+  await notify(service, { subscriptionId: "sub-1", clientState: "wrong", changeType: "updated" });
+  expect(refreshes).toHaveLength(0);
+
+  const response = await notify(service, { subscriptionId: "sub-1", clientState: "secret", changeType: "updated" });
+  expect(response.status).toBe(202);
+  expect(refreshes).toEqual([userId]);
+});
+
+test("a subscription close to expiring is renewed", async () => {
+  const expirationDateTime = storeSubscription(2 * hour);
+
+  await createService().ensureSubscription(userId);
+
+  expect(renewals).toHaveLength(1);
+  expect(Date.parse(cacheManager.getSubscription(userId)!.expirationDateTime)).toBeGreaterThan(Date.parse(expirationDateTime));
+});
+
+test("a regular renewal check leaves a subscription far from expiring alone", async () => {
+  storeSubscription(40 * hour);
+
+  await createService().ensureSubscription(userId);
+
+  expect(renewals).toHaveLength(0);
+});
+
+test("reauthorizationRequired renews a subscription that is far from expiring", async () => {
+  const expirationDateTime = storeSubscription(40 * hour);
+  const service = createService();
+
+  const response = await notify(service, {
+    subscriptionId: "sub-1",
+    clientState: "secret",
+    lifecycleEvent: "reauthorizationRequired"
+  });
+  expect(response.status).toBe(202);
+  await service.ensureSubscription(userId);
+
+  expect(renewals).toHaveLength(1);
+  expect(renewals[0].subscription.id).toBe("sub-1");
+  expect(Date.parse(cacheManager.getSubscription(userId)!.expirationDateTime)).toBeGreaterThan(Date.parse(expirationDateTime));
+});
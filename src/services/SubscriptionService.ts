@@ -0,0 +1,199 @@
+import { randomBytes } from "crypto";
+import { GraphError } from "@microsoft/microsoft-graph-client";
+import { CacheManager, type GraphSubscription } from "./CacheManager.ts";
+import { CalendarService } from "./CalendarService.ts";
+import { RefreshScheduler } from "./RefreshScheduler.ts";
+import type { GraphCalendarProvider } from "../providers/GraphCalendarProvider.ts";
+import { metrics } from "./Metrics.ts";
+import { secretsMatch } from "../utils/secrets.ts";
+import type { AppConfig } from "../config/Config.ts";
+
+interface ChangeNotification {
+  subscriptionId?: string;
+  clientState?: string;
+  changeType?: string;
+  lifecycleEvent?: 'reauthorizationRequired' | 'subscriptionRemoved' | 'missed';
+}
+
+// Keeps a Graph change notification subscription per account and turns incoming
+// notifications into immediate refreshes. Polling continues as a slower fallback.
+export class SubscriptionService {
+  private cacheManager: CacheManager;
+  private calendarService: CalendarService;
+  private refreshScheduler: RefreshScheduler;
+  private config: AppConfig;
+  private pending: Map<string, Promise<void>> = new Map();
+  private renewTimer: Timer | null = null;
+
+  // Graph allows up to 4230 minutes for event subscriptions
+  private readonly lifetimeMs = 48 * 60 * 60 * 1000;
+  private readonly renewBeforeMs = 12 * 60 * 60 * 1000;
+  private readonly renewCheckMs = 60 * 60 * 1000;
+
+  constructor(cacheManager: CacheManager, calendarService: CalendarService, refreshScheduler: RefreshScheduler, config: AppConfig) {
+    this.cacheManager = cacheManager;
+    this.calendarService = calendarService;
+    this.refreshScheduler = refreshScheduler;
+    this.config = config;
+  }
+
+  public isEnabled(): boolean {
+    return this.config.notifications.enabled;
+  }
+
+  public getNotificationUrl(): string {
+    return `${this.config.server.publicBaseUrl}/api/graph/notifications`;
+  }
+
+  // Subscribe every account and keep renewing the subscriptions before they expire
+  public start(): void {
+    if (!this.isEnabled() || this.renewTimer) {
+      return;
+    }
+    console.log(`🔔 Graph change notifications enabled, webhook: ${this.getNotificationUrl()}`);
+
+    const renewAll = () => {
+      for (const userId of this.cacheManager.getAllUsers()) {
+        this.ensureSubscription(userId);
+      }
+    };
+    renewAll();
+    this.renewTimer = setInterval(renewAll, this.renewCheckMs);
+  }
+
+  // force renews the subscription even when it is far from expiring, e.g. to reauthorize it
+  public ensureSubscription(userId: string, force = false): Promise<void> {
+    if (!this.isEnabled()) {
+      return Promise.resolve();
+    }
+
+    // Startup and sign-in can ask for the same account at once, only subscribe once.
+    // A forced renewal still runs, after the pending one.
+    const pending = this.pending.get(userId);
+    if (pending && !force) {
+      return pending;
+    }
+    const task: Promise<void> = (pending ?? Promise.resolve())
+      .then(() => this.subscribe(userId, force))
+      .finally(() => {
+        if (this.pending.get(userId) === task) {
+          this.pending.delete(userId);
+        }
+      });
+    this.pending.set(userId, task);
+    return task;
+  }
+
+  // Best effort, the subscription expires on its own if Graph cannot be reached
+  public async removeSubscription(userId: string): Promise<void> {
+    const subscription = this.cacheManager.getSubscription(userId);
+    if (!subscription) {
+      return;
+    }
+    this.cacheManager.clearSubscription(userId);
+
+    try {
+      const provider = await this.calendarService.getGraphProvider(userId);
+      if (provider) {
+        await provider.deleteSubscription(subscription.id);
+      }
+    } catch (error) {
+      console.log(`Could not delete Graph subscription for user ${userId}:`, error instanceof Error ? error.message : error);
+    }
+  }
+
+  // Webhook called by Graph, reachable without a dashboard session
+  public async handleNotification(req: Request, url: URL): Promise<Response> {
+    // Graph validates the endpoint when a subscription is created by sending a token to echo back
+    const validationToken = url.searchParams.get("validationToken");
+    if (validationToken) {
+      return new Response(validationToken, {
+        headers: { "Content-Type": "text/plain" }
+      });
+    }
+
+    if (req.method !== "POST") {
+      return new Response("Method Not Allowed", { status: 405 });
+    }
+
+    const body = await req.json().catch(() => ({}));
+    const notifications: ChangeNotification[] = Array.isArray(body.value) ? body.value : [];
+    for (const notification of notifications) {
+      const match = notification.subscriptionId ? this.cacheManager.findSubscription(notification.subscriptionId) : undefined;
+      if (!match || !notification.clientState || !secretsMatch(notification.clientState, match.subscription.clientState)) {
+        metrics.graphNotifications.inc({ result: "rejected" });
+        continue;
+      }
+
+      metrics.graphNotifications.inc({ result: "accepted" });
+      this.handleChange(match.userId, notification);
+    }
+
+    // Graph expects a quick 202, refreshes happen in the background
+    return new Response(null, { status: 202 });
+  }
+
+  private handleChange(userId: string, notification: ChangeNotification): void {
+    switch (notification.lifecycleEvent) {
+      case 'reauthorizationRequired':
+        // Graph wants the subscription renewed now, however long it still has to live
+        this.ensureSubscription(userId, true);
+        break;
+      case 'subscriptionRemoved':
+        this.cacheManager.clearSubscription(userId);
+        this.refreshScheduler.setPushEnabled(userId, false);
+        this.ensureSubscription(userId);
+        break;
+      default:
+        // Regular change notifications and "missed" notifications both mean the cache is stale
+        this.refreshScheduler.refreshNow(userId);
+    }
+  }
+
+  private async subscribe(userId: string, force: boolean): Promise<void> {
+    const existing = this.cacheManager.getSubscription(userId);
+    const expiresAt = existing ? Date.parse(existing.expirationDateTime) : 0;
+    if (existing && !force && expiresAt - Date.now() > this.renewBeforeMs) {
+      this.refreshScheduler.setPushEnabled(userId, true);
+      return;
+    }
+
+    try {
+      // Fixture accounts have nothing to subscribe to
+      const provider = await this.calendarService.getGraphProvider(userId);
+      if (!provider) {
+        this.refreshScheduler.setPushEnabled(userId, false);
+        return;
+      }
+
+      const expiration = new Date(Date.now() + this.lifetimeMs);
+      let subscription: GraphSubscription | null = null;
+      if (existing && expiresAt > Date.now()) {
+        subscription = await this.renew(provider, existing, expiration);
+      }
+      if (!subscription) {
+        const clientState = randomBytes(32).toString('base64url');
+        subscription = await provider.createSubscription(this.getNotificationUrl(), clientState, expiration);
+        console.log(`🔔 Subscribed to calendar changes for user ${userId}`);
+      }
+
+      this.cacheManager.storeSubscription(userId, subscription);
+      this.refreshScheduler.setPushEnabled(userId, true);
+    } catch (error) {
+      console.error(`Failed to set up change notifications for user ${userId}, polling instead:`, error instanceof Error ? error.message : error);
+      this.refreshScheduler.setPushEnabled(userId, false);
+    }
+  }
+
+  // Returns null when Graph no longer knows the subscription and a new one is needed
+  private async renew(provider: GraphCalendarProvider, subscription: GraphSubscription, expiration: Date): Promise<GraphSubscription | null> {
+    try {
+      return await provider.renewSubscription(subscription, expiration);
+    } catch (error) {
+      if (error instanceof GraphError && error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,86 @@
+import { afterEach, beforeEach, expect, test } from "bun:test";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { CacheManager, type CalendarEvent } from "./CacheManager.ts";
+import { DeltaSyncExpiredError, type CalendarService } from "./CalendarService.ts";
+import { SyncService } from "./SyncService.ts";
+import type { AuthController } from "../auth/AuthController.ts";
+import { startOfDayInZone } from "../utils/time.ts";
+
+const userId = "user-1";
+
+let dataDir: string;
+let cacheManager: CacheManager;
+let deltaLinks: (string | undefined)[];
+
+function event(id: string): CalendarEvent {
+  const start = startOfDayInZone(new Date(), "UTC");
+  return {
+    id,
+    subject: id,
+    start: { dateTime: start.toISOString(), timeZone: "UTC" },
+    end: { dateTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString(), timeZone: "UTC" }
+  };
+}
+
+// Graph answers an expired link with 410 Gone, the provider turns that into DeltaSyncExpiredError
+function createService(failure: Error = new DeltaSyncExpiredError("Delta token expired, a full resync is required")): SyncService {
+  const provider = {
+    syncEventsDelta: async (start: Date, end: Date, deltaLink?: string) => {
+      deltaLinks.push(deltaLink);
+      if (deltaLink === "stale-link") {
+        throw failure;
+      }
+      return { updated: [event("current")], removedIds: [], deltaLink: "fresh-link", fullResync: !deltaLink };
+    }
+  };
+  const calendarService = {
+    getProvider: async () => provider,
+    getTimeZone: () => "UTC",
+    refreshCalendarsIfStale: async () => {},
+    getSelectedCalendarIds: () => []
+  } as unknown as CalendarService;
+  return new SyncService(cacheManager, {} as AuthController, calendarService);
+}
+
+beforeEach(() => {
+  dataDir = mkdtempSync(join(tmpdir(), "sync-"));
+  cacheManager = new CacheManager(dataDir, null);
+  deltaLinks = [];
+});
+
+afterEach(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("an expired delta link falls back to a full resync of the calendar", async () => {
+  cacheManager.cacheEvents(userId, [event("deleted-meanwhile")]);
+  cacheManager.storeDeltaState(userId, {
+    deltaLinks: { default: "stale-link" },
+    windowStart: startOfDayInZone(new Date(), "UTC").toISOString(),
+    windowEnd: startOfDayInZone(new Date(), "UTC", 1).toISOString(),
+    timeZone: "UTC"
+  });
+
+  const result = await createService().syncTodayEvents(userId);
+
+  expect(result).toMatchObject({ userId, success: true, eventCount: 1 });
+  expect(deltaLinks).toEqual(["stale-link", undefined]);
+  expect(cacheManager.getCachedEvents(userId)?.map(cached => cached.id)).toEqual(["current"]);
+  expect(cacheManager.getDeltaState(userId)?.deltaLinks).toEqual({ default: "fresh-link" });
+});
+
+test("other errors are reported without a resync", async () => {
+  cacheManager.storeDeltaState(userId, {
+    deltaLinks: { default: "stale-link" },
+    windowStart: startOfDayInZone(new Date(), "UTC").toISOString(),
+    windowEnd: startOfDayInZone(new Date(), "UTC", 1).toISOString(),
+    timeZone: "UTC"
+  });
+  const result = await createService(new Error("Service unavailable")).syncTodayEvents(userId);
+
+  expect(result).toEqual({ userId, success: false, reason: "error", error: "Service unavailable" });
+  expect(deltaLinks).toEqual(["stale-link"]);
+  expect(cacheManager.getDeltaState(userId)?.deltaLinks).toEqual({ default: "stale-link" });
+});
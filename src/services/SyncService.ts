@@ -0,0 +1,128 @@
+import { CacheManager, type CalendarEvent } from "./CacheManager.ts";
+import { CalendarService, DeltaSyncExpiredError, GraphThrottledError } from "./CalendarService.ts";
+import { AuthController } from "../auth/AuthController.ts";
+import { startOfDayInZone } from "../utils/time.ts";
+
+interface SyncResult {
+  userId: string;
+  success: boolean;
+  reason?: 'no_token' | 'reauth_required' | 'throttled' | 'error';
+  error?: string;
+  // Set for throttled results when Graph sent a Retry-After header
+  retryAfterMs?: number | null;
+  eventCount?: number;
+  fullResync?: boolean;
+}
+
+// Delta links of the default calendar are stored under this key
+const DEFAULT_CALENDAR_KEY = 'default';
+
+export class SyncService {
+  private cacheManager: CacheManager;
+  private authController: AuthController;
+  private calendarService: CalendarService;
+
+  constructor(cacheManager: CacheManager, authController: AuthController, calendarService: CalendarService) {
+    this.cacheManager = cacheManager;
+    this.authController = authController;
+    this.calendarService = calendarService;
+  }
+
+  // Bring the cached events for today up to date using calendarView delta queries
+  public async syncTodayEvents(userId: string): Promise<SyncResult> {
+    const provider = await this.calendarService.getProvider(userId);
+    if (!provider) {
+      return this.noTokenResult(userId);
+    }
+
+    // "Today" is the current day in the account's time zone
+    const timeZone = this.calendarService.getTimeZone(userId);
+    const start = startOfDayInZone(new Date(), timeZone);
+    const end = startOfDayInZone(new Date(), timeZone, 1);
+
+    try {
+      await this.calendarService.refreshCalendarsIfStale(userId, provider);
+      const calendarIds = this.calendarService.getSelectedCalendarIds(userId);
+      const keys = calendarIds.length > 0 ? calendarIds : [DEFAULT_CALENDAR_KEY];
+
+      // A delta link is bound to the window it was created for, so a new day starts from scratch.
+      // A changed calendar selection starts over as well, dropping events of removed calendars.
+      const deltaState = this.cacheManager.getDeltaState(userId);
+      const sameWindow = deltaState?.windowStart === start.toISOString() && deltaState?.windowEnd === end.toISOString() &&
+        deltaState?.timeZone === timeZone;
+      const sameCalendars = !!deltaState && Object.keys(deltaState.deltaLinks).sort().join() === [...keys].sort().join();
+      const fullResync = !sameWindow || !sameCalendars;
+
+      const updated: CalendarEvent[] = [];
+      const removedIds: string[] = [];
+      const deltaLinks: Record<string, string> = {};
+      for (const key of keys) {
+        const calendarId = key === DEFAULT_CALENDAR_KEY ? undefined : key;
+        const deltaLink = fullResync ? undefined : deltaState!.deltaLinks[key];
+
+        let result;
+        try {
+          result = await provider.syncEventsDelta(start, end, deltaLink, calendarId);
+        } catch (error) {
+          if (!(error instanceof DeltaSyncExpiredError)) {
+            throw error;
+          }
+          console.log(`Delta token expired for user ${userId}, performing full resync`);
+          result = await provider.syncEventsDelta(start, end, undefined, calendarId);
+        }
+
+        // A full resync of one calendar replaces only that calendar's cached events
+        if (result.fullResync && !fullResync) {
+          const cached = this.cacheManager.getCachedEvents(userId) || [];
+          removedIds.push(...cached.filter(event => event.calendarId === calendarId).map(event => event.id));
+        }
+        updated.push(...result.updated);
+        removedIds.push(...result.removedIds);
+        deltaLinks[key] = result.deltaLink;
+      }
+
+      this.cacheManager.applyEventChanges(userId, updated, removedIds, fullResync);
+      this.cacheManager.storeDeltaState(userId, {
+        deltaLinks,
+        windowStart: start.toISOString(),
+        windowEnd: end.toISOString(),
+        timeZone
+      });
+
+      const eventCount = this.cacheManager.getCachedEvents(userId)?.length || 0;
+      return { userId, success: true, eventCount, fullResync };
+    } catch (error) {
+      return this.errorResult(userId, error);
+    }
+  }
+
+  // Fetch an arbitrary window from Graph and store it in the range cache
+  public async syncRange(userId: string, start: Date, end: Date): Promise<SyncResult> {
+    const provider = await this.calendarService.getProvider(userId);
+    if (!provider) {
+      return this.noTokenResult(userId);
+    }
+
+    try {
+      const events = await provider.getEvents(start, end, this.calendarService.getSelectedCalendarIds(userId));
+      this.cacheManager.cacheEventsForRange(userId, start, end, events);
+      return { userId, success: true, eventCount: events.length };
+    } catch (error) {
+      return this.errorResult(userId, error);
+    }
+  }
+
+  private noTokenResult(userId: string): SyncResult {
+    const reason = this.authController.needsReauthentication(userId) ? 'reauth_required' : 'no_token';
+    return { userId, success: false, reason };
+  }
+
+  private errorResult(userId: string, error: unknown): SyncResult {
+    if (error instanceof GraphThrottledError) {
+      return { userId, success: false, reason: 'throttled', error: error.message, retryAfterMs: error.retryAfterMs };
+    }
+    return { userId, success: false, reason: 'error', error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+export type { SyncResult };
@@ -0,0 +1,99 @@
+import { CacheManager, type CalendarEvent } from "./CacheManager.ts";
+import { SyncService } from "./SyncService.ts";
+import { eventTimeToMs } from "../utils/time.ts";
+
+interface EventRef {
+  userId: string;
+  eventId: string;
+}
+
+interface MergedEvent extends CalendarEvent {
+  userId: string;
+  // Overlapping events of other accounts, i.e. double-bookings
+  conflicts: EventRef[];
+}
+
+interface MergedTimeline {
+  events: MergedEvent[];
+  conflictCount: number;
+}
+
+// Combines the cached events of several accounts into one timeline
+export class TimelineService {
+  private cacheManager: CacheManager;
+  private syncService: SyncService;
+
+  constructor(cacheManager: CacheManager, syncService: SyncService) {
+    this.cacheManager = cacheManager;
+    this.syncService = syncService;
+  }
+
+  public async getMergedTimeline(userIds: string[], start: Date, end: Date, isToday: boolean): Promise<MergedTimeline> {
+    // Today is kept fresh by the background refresh, other windows are fetched once if nothing covers them
+    if (!isToday) {
+      const missing = userIds.filter(userId => !this.cacheManager.getCachedEventsForRange(userId, start, end));
+      const results = await Promise.all(missing.map(userId => this.syncService.syncRange(userId, start, end)));
+      for (const result of results.filter(result => !result.success)) {
+        console.log(`Failed to fetch range for user ${result.userId}, using cache:`, result.error || result.reason);
+      }
+    }
+
+    const events: MergedEvent[] = [];
+    for (const userId of userIds) {
+      for (const event of this.getCachedWindow(userId, start, end, isToday)) {
+        events.push({ ...event, userId, conflicts: [] });
+      }
+    }
+    events.sort((a, b) => eventTimeToMs(a.start) - eventTimeToMs(b.start));
+
+    return { events, conflictCount: this.markConflicts(events) };
+  }
+
+  private getCachedWindow(userId: string, start: Date, end: Date, isToday: boolean): CalendarEvent[] {
+    const events = isToday
+      ? this.cacheManager.getCachedEvents(userId)
+      : this.cacheManager.getCachedEventsForRange(userId, start, end);
+    if (events) {
+      return events;
+    }
+
+    // Nothing covers the window exactly, use whatever is cached for the account
+    return this.cacheManager.getAllCachedEvents(userId).filter(event =>
+      eventTimeToMs(event.start) < end.getTime() &&
+      eventTimeToMs(event.end) > start.getTime()
+    );
+  }
+
+  // Sweep over events sorted by start, returns the number of conflicting pairs
+  private markConflicts(events: MergedEvent[]): number {
+    let conflictCount = 0;
+    let active: { event: MergedEvent; end: number }[] = [];
+
+    for (const event of events) {
+      // Cancelled, free and all-day events do not block the time
+      if (event.isCancelled || event.isAllDay || event.showAs === 'free') {
+        continue;
+      }
+      const start = eventTimeToMs(event.start);
+      active = active.filter(entry => entry.end > start);
+
+      for (const entry of active) {
+        if (entry.event.userId === event.userId) {
+          continue;
+        }
+        entry.event.conflicts.push({ userId: event.userId, eventId: event.id });
+        event.conflicts.push({ userId: entry.event.userId, eventId: entry.event.id });
+        conflictCount++;
+      }
+
+      const end = eventTimeToMs(event.end);
+      if (end > start) {
+        active.push({ event, end });
+      }
+    }
+
+    return conflictCount;
+  }
+}
+
+export type { MergedEvent, MergedTimeline };
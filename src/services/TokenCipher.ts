@@ -0,0 +1,105 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "crypto";
+import { readFileSync, existsSync } from "fs";
+
+interface EncryptedPayload {
+  encrypted: true;
+  version: 1;
+  algorithm: 'aes-256-gcm';
+  kdf: 'scrypt';
+  salt: string;
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+export class TokenEncryptionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TokenEncryptionError';
+  }
+}
+
+// AES-256-GCM encryption for token storage, keyed by a passphrase via scrypt
+export class TokenCipher {
+  private passphrase: string;
+  private salt: Buffer = randomBytes(16);
+  private derivedKeys: Map<string, Buffer> = new Map();
+
+  constructor(passphrase: string) {
+    if (!passphrase) {
+      throw new TokenEncryptionError("Token encryption passphrase must not be empty");
+    }
+    this.passphrase = passphrase;
+  }
+
+  // Returns null when no key is configured, which keeps tokens in plaintext
+  public static fromEnvironment(): TokenCipher | null {
+    const passphrase = process.env.TOKEN_ENCRYPTION_KEY;
+    if (passphrase) {
+      return new TokenCipher(passphrase);
+    }
+
+    const keyFile = process.env.TOKEN_ENCRYPTION_KEY_FILE;
+    if (keyFile) {
+      if (!existsSync(keyFile)) {
+        throw new TokenEncryptionError(`TOKEN_ENCRYPTION_KEY_FILE points to a missing file: ${keyFile}`);
+      }
+      return new TokenCipher(readFileSync(keyFile, 'utf8').trim());
+    }
+
+    return null;
+  }
+
+  public static isEncryptedPayload(value: unknown): value is EncryptedPayload {
+    return !!value && typeof value === 'object' && (value as EncryptedPayload).encrypted === true;
+  }
+
+  public encrypt(plaintext: string): EncryptedPayload {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', this.deriveKey(this.salt), iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      encrypted: true,
+      version: 1,
+      algorithm: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: this.salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  public decrypt(payload: EncryptedPayload): string {
+    if (payload.version !== 1 || payload.algorithm !== 'aes-256-gcm') {
+      throw new TokenEncryptionError(`Unsupported token encryption format (version ${payload.version}, ${payload.algorithm})`);
+    }
+
+    try {
+      const key = this.deriveKey(Buffer.from(payload.salt, 'base64'));
+      const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+      const data = Buffer.concat([
+        decipher.update(Buffer.from(payload.data, 'base64')),
+        decipher.final()
+      ]);
+      return data.toString('utf8');
+    } catch (error) {
+      // GCM authentication fails for both a wrong key and tampered data
+      throw new TokenEncryptionError("Failed to decrypt stored tokens: the encryption key is wrong or the data is corrupted");
+    }
+  }
+
+  private deriveKey(salt: Buffer): Buffer {
+    const cacheKey = salt.toString('base64');
+    let key = this.derivedKeys.get(cacheKey);
+    if (!key) {
+      key = scryptSync(this.passphrase, salt, 32);
+      this.derivedKeys.set(cacheKey, key);
+    }
+    return key;
+  }
+}
+
+export type { EncryptedPayload };
@@ -0,0 +1,58 @@
+import { expect, test } from "bun:test";
+import { MAX_RANGE_DAYS, parseEventRange } from "./eventRange.ts";
+
+const timeZone = "Europe/Berlin";
+// Berlin moves to summer time on 2026-03-29
+const now = new Date("2026-03-28T15:00:00Z");
+
+function range(query: string) {
+  return parseEventRange(new URLSearchParams(query), timeZone, now);
+}
+
+test("without parameters the window is today in the zone", () => {
+  expect(range("")).toEqual({
+    start: new Date("2026-03-27T23:00:00Z"),
+    end: new Date("2026-03-28T23:00:00Z"),
+    isToday: true
+  });
+});
+
+test("days from today end at midnight in the zone across a DST change", () => {
+  expect(range("days=2")).toEqual({
+    start: new Date("2026-03-27T23:00:00Z"),
+    end: new Date("2026-03-29T22:00:00Z"),
+    isToday: false
+  });
+});
+
+test("start plus days keeps the time of day across a DST change", () => {
+  const result = range("start=2026-03-28T08:00:00Z&days=1");
+  expect(result).toEqual({
+    start: new Date("2026-03-28T08:00:00Z"),
+    end: new Date("2026-03-29T07:00:00Z"),
+    isToday: false
+  });
+});
+
+test("the longest window is accepted even when it spans a DST change", () => {
+  const result = range(`start=2026-03-01T00:00:00%2B01:00&days=${MAX_RANGE_DAYS}`);
+  expect("error" in result).toBe(false);
+
+  const explicitEnd = range("start=2026-03-01T00:00:00%2B01:00&end=2026-05-02T00:00:00%2B02:00");
+  expect("error" in explicitEnd).toBe(false);
+});
+
+test("windows longer than the maximum are rejected", () => {
+  expect(range(`days=${MAX_RANGE_DAYS + 1}`)).toEqual({ error: `days must be between 1 and ${MAX_RANGE_DAYS}` });
+  expect(range("start=2026-03-01T00:00:00%2B01:00&end=2026-05-02T00:00:01%2B02:00")).toEqual({
+    error: `Date range cannot exceed ${MAX_RANGE_DAYS} days`
+  });
+});
+
+test("invalid parameters are reported", () => {
+  expect(range("days=0")).toEqual({ error: `days must be between 1 and ${MAX_RANGE_DAYS}` });
+  expect(range("days=many")).toEqual({ error: `days must be between 1 and ${MAX_RANGE_DAYS}` });
+  expect(range("start=yesterday")).toEqual({ error: "Invalid start date" });
+  expect(range("start=2026-03-28T08:00:00Z&end=later")).toEqual({ error: "Invalid end date" });
+  expect(range("start=2026-03-28T08:00:00Z&end=2026-03-28T08:00:00Z")).toEqual({ error: "end must be after start" });
+});
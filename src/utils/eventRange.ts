@@ -0,0 +1,52 @@
+import { addDaysInZone, startOfDayInZone } from "./time.ts";
+
+// Longest window /api/events serves in one request
+export const MAX_RANGE_DAYS = 62;
+
+// Resolve the requested event window for /api/events.
+// Accepts start/end ISO dates, start plus days, or days counted from today.
+// Without any parameters the window is today, which is what the background refresh caches.
+// Days are calendar days in the given zone, so a window over a DST change keeps its wall-clock end.
+export function parseEventRange(params: URLSearchParams, timeZone: string, now: Date = new Date()): { start: Date; end: Date; isToday: boolean } | { error: string } {
+  const startParam = params.get("start");
+  const endParam = params.get("end");
+  const daysParam = params.get("days");
+
+  const startOfToday = startOfDayInZone(now, timeZone);
+
+  if (!startParam && !endParam && !daysParam) {
+    return { start: startOfToday, end: startOfDayInZone(now, timeZone, 1), isToday: true };
+  }
+
+  let days: number | undefined;
+  if (daysParam) {
+    days = parseInt(daysParam);
+    if (isNaN(days) || days < 1 || days > MAX_RANGE_DAYS) {
+      return { error: `days must be between 1 and ${MAX_RANGE_DAYS}` };
+    }
+  }
+
+  const start = startParam ? new Date(startParam) : startOfToday;
+  if (isNaN(start.getTime())) {
+    return { error: "Invalid start date" };
+  }
+
+  let end: Date;
+  if (endParam) {
+    end = new Date(endParam);
+    if (isNaN(end.getTime())) {
+      return { error: "Invalid end date" };
+    }
+  } else {
+    end = addDaysInZone(start, timeZone, days || 1);
+  }
+
+  if (end.getTime() <= start.getTime()) {
+    return { error: "end must be after start" };
+  }
+  if (end.getTime() > addDaysInZone(start, timeZone, MAX_RANGE_DAYS).getTime()) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { start, end, isToday: false };
+}
@@ -0,0 +1,19 @@
+import type { CalendarEvent } from "../services/CacheManager.ts";
+
+// Lowercased words of a query, every one of them has to match
+export function toSearchTerms(query: string): string[] {
+  return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Matches subject, location, organizer and attendees (names and addresses)
+export function eventMatches(event: CalendarEvent, terms: string[]): boolean {
+  const fields = [
+    event.subject,
+    event.location?.displayName,
+    event.organizer?.emailAddress.name,
+    event.organizer?.emailAddress.address,
+    ...(event.attendees || []).flatMap(attendee => [attendee.emailAddress.name, attendee.emailAddress.address])
+  ];
+  const text = fields.filter(Boolean).join("\n").toLowerCase();
+  return terms.every(term => text.includes(term));
+}
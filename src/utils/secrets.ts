@@ -0,0 +1,8 @@
+import { createHash, timingSafeEqual } from "crypto";
+
+// Constant-time comparison for secrets passed in URLs, headers or request bodies
+export function secretsMatch(provided: string, expected: string): boolean {
+  const a = createHash("sha256").update(provided).digest();
+  const b = createHash("sha256").update(expected).digest();
+  return timingSafeEqual(a, b);
+}
@@ -0,0 +1,45 @@
+import { expect, test } from "bun:test";
+import { addDaysInZone, formatLastUpdate, resolveLocale, startOfDayInZone, toUtcDate } from "./time.ts";
+
+test("wall-clock times in Windows zones follow the zone's DST rules", () => {
+  expect(toUtcDate("2026-01-15T09:00:00.0000000", "W. Europe Standard Time").toISOString()).toBe("2026-01-15T08:00:00.000Z");
+  expect(toUtcDate("2026-07-15T09:00:00.0000000", "W. Europe Standard Time").toISOString()).toBe("2026-07-15T07:00:00.000Z");
+  expect(toUtcDate("2026-07-15T09:00:00", "Pacific Standard Time").toISOString()).toBe("2026-07-15T16:00:00.000Z");
+});
+
+test("the first hour after a DST change uses the new offset", () => {
+  expect(toUtcDate("2026-03-29T03:00:00", "Europe/Berlin").toISOString()).toBe("2026-03-29T01:00:00.000Z");
+  expect(toUtcDate("2026-10-25T04:00:00", "Europe/Berlin").toISOString()).toBe("2026-10-25T03:00:00.000Z");
+});
+
+test("times with an offset and UTC times are taken as they are", () => {
+  expect(toUtcDate("2026-03-29T03:00:00Z", "Europe/Berlin").toISOString()).toBe("2026-03-29T03:00:00.000Z");
+  expect(toUtcDate("2026-03-29T03:00:00+05:30", "Europe/Berlin").toISOString()).toBe("2026-03-28T21:30:00.000Z");
+  expect(toUtcDate("2026-03-29T03:00:00", "UTC").toISOString()).toBe("2026-03-29T03:00:00.000Z");
+});
+
+test("start of day is midnight in the zone, also on a DST change", () => {
+  const instant = new Date("2026-03-29T12:00:00Z");
+  expect(startOfDayInZone(instant, "Europe/Berlin").toISOString()).toBe("2026-03-28T23:00:00.000Z");
+  expect(startOfDayInZone(instant, "Europe/Berlin", 1).toISOString()).toBe("2026-03-29T22:00:00.000Z");
+  expect(startOfDayInZone(instant, "Asia/Tokyo").toISOString()).toBe("2026-03-28T15:00:00.000Z");
+});
+
+test("adding days keeps the time of day in the zone", () => {
+  const instant = new Date("2026-03-28T08:00:00Z");
+  expect(addDaysInZone(instant, "Europe/Berlin", 1).toISOString()).toBe("2026-03-29T07:00:00.000Z");
+  expect(addDaysInZone(instant, "UTC", 1).toISOString()).toBe("2026-03-29T08:00:00.000Z");
+});
+
+test("the last update reads as never in the requested locale", () => {
+  expect(formatLastUpdate(null, "en")).toBe("Never");
+  expect(formatLastUpdate(undefined, "zh-CN")).toBe("从未");
+  expect(formatLastUpdate(null, "fr")).toBe("Never");
+  expect(formatLastUpdate(1000, "en", 1000 + 5 * 60 * 1000)).toBe("5 minutes ago");
+});
+
+test("the locale is picked by quality from the supported tags", () => {
+  expect(resolveLocale(null, "de;q=0.5, zh-CN, en;q=0.8")).toBe("zh-CN");
+  expect(resolveLocale("en", "zh-CN")).toBe("en");
+  expect(resolveLocale(undefined, "*")).toBe("en");
+});
@@ -0,0 +1,169 @@
+// Graph reports Windows time zone names unless an IANA zone was requested, map the common ones
+const WINDOWS_TIME_ZONES: Record<string, string> = {
+  "UTC": "UTC",
+  "GMT Standard Time": "Europe/London",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "E. Europe Standard Time": "Europe/Chisinau",
+  "FLE Standard Time": "Europe/Kiev",
+  "Russian Standard Time": "Europe/Moscow",
+  "India Standard Time": "Asia/Kolkata",
+  "China Standard Time": "Asia/Shanghai",
+  "Singapore Standard Time": "Asia/Singapore",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "Korea Standard Time": "Asia/Seoul",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "Eastern Standard Time": "America/New_York",
+  "Central Standard Time": "America/Chicago",
+  "Mountain Standard Time": "America/Denver",
+  "Pacific Standard Time": "America/Los_Angeles"
+};
+
+// Resolve a Graph or IANA time zone name to an IANA zone Intl understands, null if unknown
+export function resolveTimeZone(timeZone: string | undefined): string | null {
+  if (!timeZone) {
+    return "UTC";
+  }
+  const candidate = WINDOWS_TIME_ZONES[timeZone] || timeZone;
+  try {
+    // Canonical spelling, zone names are matched case-insensitively
+    return new Intl.DateTimeFormat("en-US", { timeZone: candidate }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+// Offset of a zone from UTC in milliseconds at the given instant
+function getZoneOffset(timestamp: number, timeZone: string): number {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(new Date(timestamp));
+  const value = (type: string) => parseInt(parts.find(part => part.type === type)!.value);
+  const asUtc = Date.UTC(value("year"), value("month") - 1, value("day"), value("hour"), value("minute"), value("second"));
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Convert a wall-clock date time in a time zone (as returned by Graph) to an absolute Date
+export function toUtcDate(dateTime: string, timeZone: string | undefined): Date {
+  // Values that already carry an offset are unambiguous
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(dateTime)) {
+    return new Date(dateTime);
+  }
+
+  const match = dateTime.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.(\d+))?)?$/);
+  if (!match) {
+    return new Date(dateTime);
+  }
+  const [, year, month, day, hour = "0", minute = "0", second = "0", fraction = "0"] = match;
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second, Math.round(+`0.${fraction}` * 1000));
+
+  const zone = resolveTimeZone(timeZone);
+  if (!zone || zone === "UTC") {
+    return new Date(wallClock);
+  }
+
+  // Two passes so instants right after a DST change pick up the new offset
+  let offset = getZoneOffset(wallClock, zone);
+  offset = getZoneOffset(wallClock - offset, zone);
+  return new Date(wallClock - offset);
+}
+
+export function eventTimeToMs(time: { dateTime: string; timeZone: string }): number {
+  return toUtcDate(time.dateTime, time.timeZone).getTime();
+}
+
+// Time zone of the machine the daemon runs on
+export function getSystemTimeZone(): string {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in a time zone
+export function getDateInZone(date: Date, timeZone: string): string {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).formatToParts(date);
+  const value = (type: string) => parts.find(part => part.type === type)!.value;
+  return `${value("year")}-${value("month")}-${value("day")}`;
+}
+
+// Shift a YYYY-MM-DD date by whole days
+export function addDaysToDate(date: string, days: number): string {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Midnight in a time zone of the day the instant falls on, moved by dayOffset days
+export function startOfDayInZone(date: Date, timeZone: string, dayOffset: number = 0): Date {
+  return toUtcDate(`${addDaysToDate(getDateInZone(date, timeZone), dayOffset)}T00:00:00`, timeZone);
+}
+
+// The same time of day a number of calendar days later in a time zone, so DST changes do not shift it
+export function addDaysInZone(date: Date, timeZone: string, days: number): Date {
+  const wallClock = date.getTime() + getZoneOffset(date.getTime(), timeZone) + days * 24 * 60 * 60 * 1000;
+  return toUtcDate(new Date(wallClock).toISOString().slice(0, 23), timeZone);
+}
+
+// "5 minutes ago", "yesterday" in the given locale, "now" below half a minute
+export function formatRelativeTime(timestamp: number, locale: string = "en", now: number = Date.now()): string {
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: "auto" });
+  const seconds = Math.floor((now - timestamp) / 1000);
+  const units: [Intl.RelativeTimeFormatUnit, number][] = [["day", 86400], ["hour", 3600], ["minute", 60]];
+  for (const [unit, size] of units) {
+    if (seconds >= size) {
+      return format.format(-Math.floor(seconds / size), unit);
+    }
+  }
+  return seconds > 30 ? format.format(-seconds, "second") : format.format(0, "second");
+}
+
+// Intl has no word for an update that never happened, keyed by primary language subtag
+const NEVER_UPDATED: Record<string, string> = {
+  en: "Never",
+  zh: "从未"
+};
+
+// formatRelativeTime, or "Never" in the given locale when there was no update yet
+export function formatLastUpdate(timestamp: number | null | undefined, locale: string = "en", now: number = Date.now()): string {
+  if (!timestamp) {
+    return NEVER_UPDATED[locale.split("-")[0].toLowerCase()] || NEVER_UPDATED.en;
+  }
+  return formatRelativeTime(timestamp, locale, now);
+}
+
+// First locale Intl supports of a ?lang= value or an Accept-Language header, English otherwise
+export function resolveLocale(...candidates: (string | null | undefined)[]): string {
+  const tags = candidates
+    .filter((value): value is string => !!value)
+    .flatMap(value => value.split(",")
+      .map(part => {
+        const [tag, ...params] = part.trim().split(";");
+        const quality = params.map(param => param.trim()).find(param => param.startsWith("q="));
+        return { tag, quality: quality ? parseFloat(quality.slice(2)) : 1 };
+      })
+      .filter(({ tag, quality }) => tag && tag !== "*" && quality > 0)
+      .sort((a, b) => b.quality - a.quality)
+      .map(({ tag }) => tag));
+
+  for (const tag of tags) {
+    try {
+      const [supported] = Intl.RelativeTimeFormat.supportedLocalesOf(tag);
+      if (supported) {
+        return supported;
+      }
+    } catch {
+      // Malformed tag, try the next one
+    }
+  }
+  return "en";
+}